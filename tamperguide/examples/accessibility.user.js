@@ -8,7 +8,7 @@
 //               Includes detailed comments explaining each ARIA behaviour.
 // @author       UNKchr
 // @match        *://*/*
-// @require      https://cdn.jsdelivr.net/gh/UNKchr/tamperguide@v1.5.0/tamperguide/tamperGuide.js
+// @require      https://cdn.jsdelivr.net/gh/UNKchr/tamperguide@v1.6.0/tamperguide/tamperGuide.js
 // @grant        GM_registerMenuCommand
 // @run-at       document-idle
 // @license      MIT
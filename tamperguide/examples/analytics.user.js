@@ -9,7 +9,7 @@
 //               developers to inspect the data structure.
 // @author       UNKchr
 // @match        *://*/*
-// @require      https://cdn.jsdelivr.net/gh/UNKchr/tamperguide@v1.5.0/tamperguide/tamperGuide.js
+// @require      https://cdn.jsdelivr.net/gh/UNKchr/tamperguide@v1.6.0/tamperguide/tamperGuide.js
 // @grant        GM_registerMenuCommand
 // @run-at       document-idle
 // @license      MIT
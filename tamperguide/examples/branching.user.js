@@ -0,0 +1,99 @@
+// ==UserScript==
+// @name         TamperGuide — Branching Tour Example
+// @namespace    https://github.com/UNKchr/tamperguide
+// @version      1.0.0
+// @description  Demonstrates the `next` step property and popover `choices`.
+//               The tour forks into an admin flow and a regular-user flow,
+//               ends each flow with next: null, and shows that Previous
+//               retraces the path the user actually took.
+// @author       UNKchr
+// @match        *://*/*
+// @require      https://cdn.jsdelivr.net/gh/UNKchr/tamperguide@v1.6.0/tamperguide/tamperGuide.js
+// @grant        GM_registerMenuCommand
+// @run-at       document-idle
+// @license      MIT
+// ==/UserScript==
+
+(function () {
+  'use strict';
+
+  function startTour() {
+
+    const guide = tamperGuide({
+      showProgress: true,
+      showButtons: ['next', 'previous', 'close'],
+
+      steps: [
+
+        // ----------------------------------------------------------------
+        // Step "role": the fork.
+        // ----------------------------------------------------------------
+        // popover.choices renders one button per entry. Clicking a choice
+        // looks up its value in the "next" map and jumps to that step ID.
+        // Pressing Next instead uses the "default" key of the map.
+        {
+          id: 'role',
+          popover: {
+            title: 'Welcome',
+            description: 'How do you use this site? We will tailor the tour.',
+            choices: [
+              { label: 'I manage the team', value: 'admin' },
+              { label: 'I work on projects', value: 'user' },
+            ],
+          },
+          next: { admin: 'admin-intro', user: 'user-intro', 'default': 'user-intro' },
+        },
+
+        // ----------------------------------------------------------------
+        // Admin flow: two steps, then next: null ends the tour.
+        // ----------------------------------------------------------------
+        {
+          id: 'admin-intro',
+          popover: {
+            title: 'Admin Tools',
+            description: 'Press Previous: you go back to the role question, not to a user step.',
+          },
+        },
+        {
+          id: 'admin-done',
+          popover: {
+            title: 'Admin Tour Complete',
+            description: 'next: null ends the tour here, so the Next button reads Done.',
+          },
+          next: null,
+        },
+
+        // ----------------------------------------------------------------
+        // User flow: a function decides whether to show the bonus step.
+        // ----------------------------------------------------------------
+        // Returning a step ID jumps there, null ends the tour, and
+        // undefined continues with the following step in the array.
+        {
+          id: 'user-intro',
+          element: 'body > *:first-child',
+          popover: {
+            title: 'Your Projects',
+            description: 'This step decides at click time where to go next.',
+          },
+          next: function (ctx) {
+            return document.querySelector('a') ? 'user-links' : null;
+          },
+        },
+        {
+          id: 'user-links',
+          element: 'a',
+          popover: {
+            title: 'Links',
+            description: 'Shown only when the page has at least one link.',
+          },
+        },
+
+      ],
+    });
+
+    guide.drive();
+  }
+
+  GM_registerMenuCommand('Start Branching Tour', startTour);
+
+})();
@@ -0,0 +1,51 @@
+// ==UserScript==
+// @name         TamperGuide — Tours as Data Example
+// @namespace    https://github.com/UNKchr/tamperguide
+// @version      1.0.0
+// @description  Demonstrates tamperGuide.fromResource(): the tour lives in a
+//               JSON file declared with @resource, and references the
+//               functions it needs by name.
+// @author       UNKchr
+// @match        *://*/*
+// @require      https://cdn.jsdelivr.net/gh/UNKchr/tamperguide@v1.6.0/tamperguide/tamperGuide.js
+// @resource     jsonTour https://cdn.jsdelivr.net/gh/UNKchr/tamperguide@v1.6.0/tamperguide/examples/json-tour.json
+// @grant        GM_getResourceText
+// @grant        GM_registerMenuCommand
+// @run-at       document-idle
+// @license      MIT
+// ==/UserScript==
+
+(function () {
+  'use strict';
+
+  // --------------------------------------------------------------------------
+  // Named functions
+  // --------------------------------------------------------------------------
+  // Registered functions are available to every definition loaded later.
+  // Functions passed to fromResource() / fromJSON() only apply to that
+  // definition, and win over registered ones with the same name.
+  tamperGuide.registerFunctions({
+    announce: function () {
+      console.log('[json-tour] The JSON tour is complete.');
+    },
+  });
+
+  function startTour() {
+    // A typo in json-tour.json (say "side": "up") throws here, and the
+    // error names the field: "Invalid tour definition at
+    // $.steps[1].popover.side: ...".
+    const guide = tamperGuide.fromResource('jsonTour', {
+      firstHeading: function () {
+        return document.querySelector('h1, h2, h3') || document.body.firstElementChild;
+      },
+      hasLinks: function () {
+        return !!document.querySelector('a');
+      },
+    });
+
+    guide.drive();
+  }
+
+  GM_registerMenuCommand('Start JSON Tour', startTour);
+
+})();
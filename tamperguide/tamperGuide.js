@@ -1,14 +1,14 @@
 // ==UserScript==
 // @name         TamperGuide
 // @namespace    https://github.com/UNKchr/tamperguide
-// @version      1.5.0
+// @version      1.6.0
 // @author       UNKchr
 // @description  Lightweight library for product tours, highlights, and contextual help in Tampermonkey userscripts.
 // @license      MIT
 // ==/UserScript==
 
 // ===========================================================================
-// TamperGuide v1.4.1
+// TamperGuide v1.6.0
 // ===========================================================================
 
 (function () {
@@ -39,13 +39,57 @@
     PERSISTENCE_ERROR: 'PERSISTENCE_ERROR',
     WAIT_TIMEOUT: 'WAIT_TIMEOUT',
     ADVANCE_ON_ERROR: 'ADVANCE_ON_ERROR',
-    HOSTSPOT_ERROR: 'HOSTSPOT_ERROR',
+    HOTSPOT_ERROR: 'HOTSPOT_ERROR',
+    ELEMENT_HIDDEN: 'ELEMENT_HIDDEN',
   });
 
   function warn(code, message) {
     console.warn('[TamperGuide:' + code + '] ' + message);
   }
 
+  // [NEW v1.6.0] Style variants of custom popover buttons.
+  var BUTTON_VARIANTS = ['primary', 'secondary', 'link'];
+
+  /**
+   * [NEW v1.6.0] Validates step.popover.buttons: extra buttons rendered
+   * next to Previous/Next, each { label, onClick, variant?, key?, className? }.
+   *
+   * @param {*} buttons
+   * @param {number} index - Step index for error messages
+   * @throws {TamperGuideError} INVALID_STEP
+   */
+  function validateCustomButtons(buttons, index) {
+    if (!Array.isArray(buttons)) {
+      throw new TamperGuideError(ErrorCodes.INVALID_STEP, '"popover.buttons" in step ' + index + ' must be an Array. ' + 'Example: buttons: [{ label: "Skip section", onClick: function (el, step, opts) { opts.driver.moveToStep("next-section"); } }]', { step: index, field: 'popover.buttons' });
+    }
+    for (var i = 0; i < buttons.length; i++) {
+      var b = buttons[i];
+      var where = '"popover.buttons[' + i + ']" in step ' + index;
+      if (b === null || typeof b !== 'object' || typeof b.label !== 'string') {
+        throw new TamperGuideError(ErrorCodes.INVALID_STEP, where + ' must be an object with a string "label".', { step: index, field: 'popover.buttons[' + i + ']' });
+      }
+      if (typeof b.onClick !== 'function') {
+        throw new TamperGuideError(ErrorCodes.INVALID_STEP, where + ' needs an "onClick" function. It receives (element, step, { config, state, driver }).', { step: index, field: 'popover.buttons[' + i + ']' });
+      }
+      if (b.variant !== undefined && BUTTON_VARIANTS.indexOf(b.variant) === -1) {
+        throw new TamperGuideError(ErrorCodes.INVALID_STEP, where + ' has an invalid "variant". Use one of: ' + BUTTON_VARIANTS.join(', ') + '.', { step: index, field: 'popover.buttons[' + i + ']' });
+      }
+      if (b.key !== undefined && (typeof b.key !== 'string' || b.key === '')) {
+        throw new TamperGuideError(ErrorCodes.INVALID_STEP, where + ' has an invalid "key". Use a KeyboardEvent.key value such as "s".', { step: index, field: 'popover.buttons[' + i + ']' });
+      }
+      if (b.className !== undefined && typeof b.className !== 'string') {
+        throw new TamperGuideError(ErrorCodes.INVALID_STEP, where + ' "className" must be a string.', { step: index, field: 'popover.buttons[' + i + ']' });
+      }
+    }
+  }
+
+  // [NEW v1.6.0] What to do when a step's element exists but is hidden.
+  var HIDDEN_BEHAVIORS = ['wait', 'skip', 'center', 'error'];
+
+  // [NEW v1.6.0] What to do when the route changes away from the page of
+  // the active step.
+  var ROUTE_CHANGE_BEHAVIORS = ['pause', 'jump', 'end', 'none'];
+
   function validateConfig(config) {
     if (config === null || typeof config !== 'object') {
       throw new TamperGuideError(ErrorCodes.INVALID_CONFIG, 'Configuration must be an object. Received: ' + typeof config);
@@ -60,6 +104,10 @@
       'onHighlightStarted', 'onHighlighted', 'onDeselected',
       'onDestroyStarted', 'onDestroyed', 'onNextClick', 'onPrevClick',
       'onCloseClick', 'onPopoverRender', 'persist', 'persistKey', 'persistStorage', 'persistExpiry', 'theme', 'autoRefresh', 'autoRefreshInterval', 'onStepChange', 'onTourComplete',
+      'hiddenBehavior', 'isolateStyles', 'customStyles', 'popoverRender', 'popoverTemplate',
+      'maxDismissals', 'tourVersion', 'migrateProgress', 'syncTabs',
+      'routeChangeBehavior', 'onRouteChange', 'tourId', 'priority', 'prerequisites',
+      'tourTitle',
     ];
     var configKeys = Object.keys(config);
     for (var i = 0; i < configKeys.length; i++) {
@@ -76,23 +124,24 @@
     }
     if (config.steps !== undefined) {
       if (!Array.isArray(config.steps)) {
-        throw new TamperGuideError(ErrorCodes.INVALID_CONFIG, '"steps" must be an Array.');
+        throw new TamperGuideError(ErrorCodes.INVALID_CONFIG, '"steps" must be an Array.', { field: 'steps' });
       }
       for (var j = 0; j < config.steps.length; j++) { validateStep(config.steps[j], j); }
+      validateStepTargets(config.steps);
     }
     if (config.overlayOpacity !== undefined) {
       if (typeof config.overlayOpacity !== 'number' || config.overlayOpacity < 0 || config.overlayOpacity > 1) {
-        throw new TamperGuideError(ErrorCodes.INVALID_CONFIG, '"overlayOpacity" must be 0-1.');
+        throw new TamperGuideError(ErrorCodes.INVALID_CONFIG, '"overlayOpacity" must be 0-1.', { field: 'overlayOpacity' });
       }
     }
     if (config.showButtons !== undefined) {
       if (!Array.isArray(config.showButtons)) {
-        throw new TamperGuideError(ErrorCodes.INVALID_CONFIG, '"showButtons" must be an Array.');
+        throw new TamperGuideError(ErrorCodes.INVALID_CONFIG, '"showButtons" must be an Array.', { field: 'showButtons' });
       }
       var validButtons = ['next', 'previous', 'close'];
       for (var b = 0; b < config.showButtons.length; b++) {
         if (validButtons.indexOf(config.showButtons[b]) === -1) {
-          throw new TamperGuideError(ErrorCodes.INVALID_CONFIG, 'Unknown button: "' + config.showButtons[b] + '".');
+          throw new TamperGuideError(ErrorCodes.INVALID_CONFIG, 'Unknown button: "' + config.showButtons[b] + '".', { field: 'showButtons[' + b + ']' });
         }
       }
     }
@@ -100,125 +149,308 @@
       'onHighlightStarted', 'onHighlighted', 'onDeselected',
       'onDestroyStarted', 'onDestroyed', 'onNextClick', 'onPrevClick',
       'onCloseClick', 'onPopoverRender', 'onStepChange', 'onTourComplete',
+      'migrateProgress', 'onRouteChange',
     ];
 
     for (var h = 0; h < hookKeys.length; h++) {
       if (config[hookKeys[h]] !== undefined && typeof config[hookKeys[h]] !== 'function') {
-        throw new TamperGuideError(ErrorCodes.INVALID_CONFIG, '"' + hookKeys[h] + '" must be a function.');
+        throw new TamperGuideError(ErrorCodes.INVALID_CONFIG, '"' + hookKeys[h] + '" must be a function.', { field: hookKeys[h] });
       }
     }
 
     if (config.persist !== undefined && typeof config.persist !== 'boolean') {
       throw new TamperGuideError(ErrorCodes.INVALID_CONFIG,
         '"persist" must be a boolean (true or false). Received: ' + typeof config.persist + '. ' +
-        'Set persist:true to save tour progress across page navigations.');
+        'Set persist:true to save tour progress across page navigations.', { field: 'persist' });
     }
     if (config.persistKey !== undefined && typeof config.persistKey !== 'string') {
       throw new TamperGuideError(ErrorCodes.INVALID_CONFIG,
         '"persistKey" must be a string that uniquely identifies this tour. Received: ' + typeof config.persistKey + '. ' +
-        'Example: persistKey: "my-site-onboarding".');
+        'Example: persistKey: "my-site-onboarding".', { field: 'persistKey' });
     }
     if (config.persistKey !== undefined && typeof config.persistKey === 'string' && config.persistKey.trim() === '') {
       throw new TamperGuideError(ErrorCodes.INVALID_CONFIG,
-        '"persistKey" cannot be an empty string. Provide a unique identifier like "my-tour-v1".');
+        '"persistKey" cannot be an empty string. Provide a unique identifier like "my-tour-v1".', { field: 'persistKey' });
     }
+    // [MODIFIED v1.6.0] Also accepts "sessionStorage", "GM_async" and
+    // custom adapter objects.
     if (config.persistStorage !== undefined) {
-      if (typeof config.persistStorage !== 'string' || ['localStorage', 'GM'].indexOf(config.persistStorage) === -1) {
+      var storage = config.persistStorage;
+      if (storage && typeof storage === 'object') {
+        ['get', 'set', 'remove'].forEach(function (m) {
+          if (typeof storage[m] !== 'function') {
+            throw new TamperGuideError(ErrorCodes.INVALID_CONFIG,
+              'A custom "persistStorage" adapter must have get, set and remove functions. "' + m + '" is ' + typeof storage[m] + '. ' +
+              'Example: { get: function (key) {...}, set: function (key, value) {...}, remove: function (key) {...} }. ' +
+              'Each may return a Promise.', { field: 'persistStorage' });
+          }
+        });
+      } else if (typeof storage !== 'string' || ['localStorage', 'sessionStorage', 'GM', 'GM_async'].indexOf(storage) === -1) {
         throw new TamperGuideError(ErrorCodes.INVALID_CONFIG,
-          '"persistStorage" must be "localStorage" or "GM". Received: "' + config.persistStorage + '". ' +
+          '"persistStorage" must be "localStorage", "sessionStorage", "GM", "GM_async" or an adapter object. Received: "' + storage + '". ' +
           'Use "GM" when your userscript has @grant GM_setValue and you want cross-domain persistence. ' +
-          'Use "localStorage" (default) for same-origin persistence without special grants.');
+          'Use "localStorage" (default) for same-origin persistence without special grants.', { field: 'persistStorage' });
       }
     }
     if (config.persistExpiry !== undefined) {
       if (typeof config.persistExpiry !== 'number' || config.persistExpiry < 0) {
         throw new TamperGuideError(ErrorCodes.INVALID_CONFIG,
           '"persistExpiry" must be a non-negative number (milliseconds). Received: ' + config.persistExpiry + '. ' +
-          'Use 0 for no expiration, or e.g. 7*24*60*60*1000 for 7 days.');
+          'Use 0 for no expiration, or e.g. 7*24*60*60*1000 for 7 days.', { field: 'persistExpiry' });
       }
     }
+    if (config.tourVersion !== undefined && typeof config.tourVersion !== 'string' && typeof config.tourVersion !== 'number') {
+      throw new TamperGuideError(ErrorCodes.INVALID_CONFIG,
+        '"tourVersion" must be a string or a number. Received: ' + typeof config.tourVersion + '. ' +
+        'Bump it when you add, remove, or reorder steps so saved progress is migrated.', { field: 'tourVersion' });
+    }
+    if (config.maxDismissals !== undefined && (typeof config.maxDismissals !== 'number' || config.maxDismissals < 0 || Math.floor(config.maxDismissals) !== config.maxDismissals)) {
+      throw new TamperGuideError(ErrorCodes.INVALID_CONFIG,
+        '"maxDismissals" must be a non-negative integer. Received: ' + config.maxDismissals + '. ' +
+        'Use 0 (default) to keep offering the tour no matter how often it is closed.', { field: 'maxDismissals' });
+    }
+    if (config.syncTabs !== undefined && typeof config.syncTabs !== 'boolean') {
+      throw new TamperGuideError(ErrorCodes.INVALID_CONFIG,
+        '"syncTabs" must be a boolean. Received: ' + typeof config.syncTabs + '. ' +
+        'It has an effect only together with persist: true and a persistKey.', { field: 'syncTabs' });
+    }
     if (config.theme !== undefined) {
       var validThemes = ['default', 'dark', 'minimal', 'rounded'];
       if (typeof config.theme !== 'string' || validThemes.indexOf(config.theme) === -1) {
         throw new TamperGuideError(ErrorCodes.INVALID_CONFIG,
-          '"theme" must be one of: ' + validThemes.join(', ') + '. Received: "' + config.theme + '".');
+          '"theme" must be one of: ' + validThemes.join(', ') + '. Received: "' + config.theme + '".', { field: 'theme' });
       }
     }
     if (config.autoRefresh !== undefined && typeof config.autoRefresh !== 'boolean') {
       throw new TamperGuideError(ErrorCodes.INVALID_CONFIG,
         '"autoRefresh" must be a boolean. Received: ' + typeof config.autoRefresh + '. ' +
-        'Set autoRefresh:true to automatically reposition the overlay and popover when the DOM changes (useful for SPAs).');
+        'Set autoRefresh:true to automatically reposition the overlay and popover when the DOM changes (useful for SPAs).', { field: 'autoRefresh' });
+    }
+    if (config.popoverRender !== undefined && typeof config.popoverRender !== 'function') {
+      throw new TamperGuideError(ErrorCodes.INVALID_CONFIG,
+        '"popoverRender" must be a function (step, { config, state, slot }) returning an HTML string, an Element, or a DocumentFragment.', { field: 'popoverRender' });
+    }
+    if (config.popoverTemplate !== undefined && typeof config.popoverTemplate !== 'string') {
+      throw new TamperGuideError(ErrorCodes.INVALID_CONFIG,
+        '"popoverTemplate" must be an HTML string with slots such as {{title}}, {{description}}, and {{footer}}.', { field: 'popoverTemplate' });
+    }
+    if (config.isolateStyles !== undefined && typeof config.isolateStyles !== 'boolean') {
+      throw new TamperGuideError(ErrorCodes.INVALID_CONFIG,
+        '"isolateStyles" must be a boolean. Received: ' + typeof config.isolateStyles + '. ' +
+        'Set isolateStyles:true to render the tour UI inside a shadow root that host page CSS cannot reach.', { field: 'isolateStyles' });
+    }
+    if (config.customStyles !== undefined && typeof config.customStyles !== 'string') {
+      throw new TamperGuideError(ErrorCodes.INVALID_CONFIG,
+        '"customStyles" must be a string of CSS. Received: ' + typeof config.customStyles + '.', { field: 'customStyles' });
+    }
+    if (config.hiddenBehavior !== undefined && HIDDEN_BEHAVIORS.indexOf(config.hiddenBehavior) === -1) {
+      throw new TamperGuideError(ErrorCodes.INVALID_CONFIG,
+        '"hiddenBehavior" must be one of: ' + HIDDEN_BEHAVIORS.join(', ') + '. Received: "' + config.hiddenBehavior + '".', { field: 'hiddenBehavior' });
+    }
+    if (config.tourId !== undefined && (typeof config.tourId !== 'string' || config.tourId.trim() === '')) {
+      throw new TamperGuideError(ErrorCodes.INVALID_CONFIG,
+        '"tourId" must be a non-empty string that names this tour for prerequisites. Defaults to persistKey.', { field: 'tourId' });
+    }
+    if (config.tourTitle !== undefined && typeof config.tourTitle !== 'string') {
+      throw new TamperGuideError(ErrorCodes.INVALID_CONFIG,
+        '"tourTitle" must be a string. It names this tour in the launcher. Received: ' + typeof config.tourTitle + '.', { field: 'tourTitle' });
+    }
+    if (config.priority !== undefined && (typeof config.priority !== 'number' || !isFinite(config.priority))) {
+      throw new TamperGuideError(ErrorCodes.INVALID_CONFIG,
+        '"priority" must be a finite number. When several tours want to start, higher priorities go first. Received: ' + config.priority + '.', { field: 'priority' });
+    }
+    if (config.prerequisites !== undefined) {
+      if (!Array.isArray(config.prerequisites) || config.prerequisites.some(function (id) { return typeof id !== 'string' || id.trim() === ''; })) {
+        throw new TamperGuideError(ErrorCodes.INVALID_CONFIG,
+          '"prerequisites" must be an Array of tour IDs (tourId or persistKey of other tours). ' +
+          'Example: prerequisites: ["welcome-tour"]', { field: 'prerequisites' });
+      }
+    }
+    if (config.routeChangeBehavior !== undefined && ROUTE_CHANGE_BEHAVIORS.indexOf(config.routeChangeBehavior) === -1) {
+      throw new TamperGuideError(ErrorCodes.INVALID_CONFIG,
+        '"routeChangeBehavior" must be one of: ' + ROUTE_CHANGE_BEHAVIORS.join(', ') + '. Received: "' + config.routeChangeBehavior + '".', { field: 'routeChangeBehavior' });
     }
     if (config.autoRefreshInterval !== undefined) {
       if (typeof config.autoRefreshInterval !== 'number' || config.autoRefreshInterval < 50) {
         throw new TamperGuideError(ErrorCodes.INVALID_CONFIG,
           '"autoRefreshInterval" must be a number >= 50 (milliseconds). Received: ' + config.autoRefreshInterval + '. ' +
           'This controls the debounce delay for MutationObserver-triggered repositioning. ' +
-          'Values below 50ms can cause excessive repaints and degrade performance.');
+          'Values below 50ms can cause excessive repaints and degrade performance.', { field: 'autoRefreshInterval' });
       }
     }
   }
 
   function validateStep(step, index) {
     if (step === null || typeof step !== 'object') {
-      throw new TamperGuideError(ErrorCodes.INVALID_STEP, 'Step ' + index + ' must be an object.');
+      throw new TamperGuideError(ErrorCodes.INVALID_STEP, 'Step ' + index + ' must be an object.', { step: index });
     }
     if (step.element !== undefined) {
-      var t = typeof step.element;
-      if (t !== 'string' && t !== 'function' && !(step.element instanceof Element)) {
-        throw new TamperGuideError(ErrorCodes.INVALID_STEP, '"element" in step ' + index + ' must be a string, function, or Element.');
+      // [MODIFIED v1.6.0] An Array of targets highlights several elements.
+      var targets = Array.isArray(step.element) ? step.element : [step.element];
+      if (Array.isArray(step.element) && step.element.length === 0) {
+        throw new TamperGuideError(ErrorCodes.INVALID_STEP, '"element" in step ' + index + ' is an empty Array.', { step: index, field: 'element' });
       }
-      if (t === 'string' && step.element.trim() === '') {
-        throw new TamperGuideError(ErrorCodes.INVALID_STEP, '"element" in step ' + index + ' is empty.');
+      for (var et = 0; et < targets.length; et++) {
+        var t = typeof targets[et];
+        if (t !== 'string' && t !== 'function' && !isDomElement(targets[et])) {
+          throw new TamperGuideError(ErrorCodes.INVALID_STEP, '"element" in step ' + index + ' must be a string, function, Element, or an Array of them.', { step: index, field: 'element' });
+        }
+        if (t === 'string' && targets[et].trim() === '') {
+          throw new TamperGuideError(ErrorCodes.INVALID_STEP, '"element" in step ' + index + ' is empty.', { step: index, field: 'element' });
+        }
+        if (t === 'string' && targets[et].split(PIERCE_SEPARATOR).some(function (part) { return part.trim() === ''; })) {
+          throw new TamperGuideError(ErrorCodes.INVALID_STEP, '"element" in step ' + index + ' has an empty segment around "' + PIERCE_SEPARATOR + '". ' + 'Use "host-selector ' + PIERCE_SEPARATOR + ' inner-selector", e.g. "my-app ' + PIERCE_SEPARATOR + ' #save".', { step: index, field: 'element' });
+        }
       }
     }
+    if (step.multiple !== undefined && typeof step.multiple !== 'boolean') {
+      throw new TamperGuideError(ErrorCodes.INVALID_STEP, '"multiple" in step ' + index + ' must be a boolean. ' + 'Set multiple: true to highlight every element matching the "element" selector.', { step: index, field: 'multiple' });
+    }
+    if (step.cutout !== undefined && ['each', 'union'].indexOf(step.cutout) === -1) {
+      throw new TamperGuideError(ErrorCodes.INVALID_STEP, '"cutout" in step ' + index + ' must be "each" (one hole per element) or "union" (one hole around all of them).', { step: index, field: 'cutout' });
+    }
+    if (step.primary !== undefined && !(typeof step.primary === 'number' && step.primary >= 0 && Math.floor(step.primary) === step.primary) && !(typeof step.primary === 'string' && step.primary.trim() !== '')) {
+      throw new TamperGuideError(ErrorCodes.INVALID_STEP, '"primary" in step ' + index + ' must be a non-negative integer index or a CSS selector string.', { step: index, field: 'primary' });
+    }
     if (step.popover !== undefined) {
       if (typeof step.popover !== 'object' || step.popover === null) {
-        throw new TamperGuideError(ErrorCodes.INVALID_STEP, '"popover" in step ' + index + ' must be an object.');
+        throw new TamperGuideError(ErrorCodes.INVALID_STEP, '"popover" in step ' + index + ' must be an object.', { step: index, field: 'popover' });
       }
       if (step.popover.side && ['top', 'right', 'bottom', 'left'].indexOf(step.popover.side) === -1) {
-        throw new TamperGuideError(ErrorCodes.INVALID_STEP, 'Invalid side in step ' + index + '.');
+        throw new TamperGuideError(ErrorCodes.INVALID_STEP, '"popover.side" in step ' + index + ' must be "top", "right", "bottom", or "left".', { step: index, field: 'popover.side' });
       }
       if (step.popover.align && ['start', 'center', 'end'].indexOf(step.popover.align) === -1) {
-        throw new TamperGuideError(ErrorCodes.INVALID_STEP, 'Invalid align in step ' + index + '.');
+        throw new TamperGuideError(ErrorCodes.INVALID_STEP, '"popover.align" in step ' + index + ' must be "start", "center", or "end".', { step: index, field: 'popover.align' });
+      }
+      if (step.popover.buttons !== undefined) validateCustomButtons(step.popover.buttons, index);
+      if (step.popover.render !== undefined && typeof step.popover.render !== 'function') {
+        throw new TamperGuideError(ErrorCodes.INVALID_STEP, '"popover.render" in step ' + index + ' must be a function. It receives (step, { config, state, slot }) and returns the popover content.', { step: index, field: 'popover.render' });
+      }
+      if (step.popover.template !== undefined && typeof step.popover.template !== 'string') {
+        throw new TamperGuideError(ErrorCodes.INVALID_STEP, '"popover.template" in step ' + index + ' must be an HTML string.', { step: index, field: 'popover.template' });
       }
     }
     if (!step.element && !step.popover) {
-      throw new TamperGuideError(ErrorCodes.INVALID_STEP, 'Step ' + index + ' needs "element" or "popover".');
+      throw new TamperGuideError(ErrorCodes.INVALID_STEP, 'Step ' + index + ' needs "element" or "popover".', { step: index });
     }
 
     if (step.id !== undefined) {
       if (typeof step.id !== 'string' || step.id.trim() === '') {
-        throw new TamperGuideError(ErrorCodes.INVALID_STEP, '"id" in step ' + index + ' must be a non-empty string.' + 'Step IDs let you navigate with moveToStep("id") instead of numeric indices.');
+        throw new TamperGuideError(ErrorCodes.INVALID_STEP, '"id" in step ' + index + ' must be a non-empty string.' + 'Step IDs let you navigate with moveToStep("id") instead of numeric indices.', { step: index, field: 'id' });
       }
     }
     if (step.when !== undefined && typeof step.when !== 'function') {
-      throw new TamperGuideError(ErrorCodes.INVALID_STEP, '"when" in step ' + index + ' must be a function that returns a boolean.' + 'When it returns false, the step is skipped during the tour. ' + 'Example: when: funtion()  { return document.querySelector("#panel") !== null; }');
+      throw new TamperGuideError(ErrorCodes.INVALID_STEP, '"when" in step ' + index + ' must be a function that returns a boolean or a Promise resolving to a boolean. ' + 'When it returns false, the step is skipped during the tour. ' + 'Example: when: function () { return document.querySelector("#panel") !== null; }', { step: index, field: 'when' });
     }
     if (step.waitFor !== undefined) {
       if (typeof step.waitFor !== 'object' || step.waitFor === null) {
-        throw new TamperGuideError(ErrorCodes.INVALID_STEP, '"waitfor" in step ' + index + ' must be an object with optional keys: timeout, pollInterval. ' + 'Example: waitFor: { timeout: 5000, pollInterval: 100 }');
+        throw new TamperGuideError(ErrorCodes.INVALID_STEP, '"waitFor" in step ' + index + ' must be an object with optional keys: timeout, pollInterval, strategy, visible, stable, until. ' + 'Example: waitFor: { timeout: 5000, pollInterval: 100 }', { step: index, field: 'waitFor' });
       }
       if (step.waitFor.timeout !== undefined && (typeof step.waitFor.timeout !== 'number' || step.waitFor.timeout < 0)) {
-        throw new TamperGuideError(ErrorCodes.INVALID_STEP, '"waitFor.timeout" in step ' + index + ' must be a non-negative number (milliseconds).');
+        throw new TamperGuideError(ErrorCodes.INVALID_STEP, '"waitFor.timeout" in step ' + index + ' must be a non-negative number (milliseconds).', { step: index, field: 'waitFor.timeout' });
       }
       if (step.waitFor.pollInterval !== undefined && (typeof step.waitFor.pollInterval !== 'number' || step.waitFor.pollInterval < 16)) {
-        throw new TamperGuideError(ErrorCodes.INVALID_STEP, '"waitFor.pollInterval" in step ' + index + ' must be a number >= 16 (milliseconds). ' +  'Values below 16ms approach the browser frame rate and waste CPU cycles.');
+        throw new TamperGuideError(ErrorCodes.INVALID_STEP, '"waitFor.pollInterval" in step ' + index + ' must be a number >= 16 (milliseconds). ' +  'Values below 16ms approach the browser frame rate and waste CPU cycles.', { step: index, field: 'waitFor.pollInterval' });
+      }
+      if (step.waitFor.strategy !== undefined && ['observer', 'poll'].indexOf(step.waitFor.strategy) === -1) {
+        throw new TamperGuideError(ErrorCodes.INVALID_STEP, '"waitFor.strategy" in step ' + index + ' must be "observer" or "poll". Received: "' + step.waitFor.strategy + '".', { step: index, field: 'waitFor.strategy' });
+      }
+      if (step.waitFor.visible !== undefined && typeof step.waitFor.visible !== 'boolean') {
+        throw new TamperGuideError(ErrorCodes.INVALID_STEP, '"waitFor.visible" in step ' + index + ' must be a boolean.', { step: index, field: 'waitFor.visible' });
+      }
+      if (step.waitFor.stable !== undefined && typeof step.waitFor.stable !== 'boolean') {
+        throw new TamperGuideError(ErrorCodes.INVALID_STEP, '"waitFor.stable" in step ' + index + ' must be a boolean.', { step: index, field: 'waitFor.stable' });
+      }
+      if (step.waitFor.until !== undefined && typeof step.waitFor.until !== 'function') {
+        throw new TamperGuideError(ErrorCodes.INVALID_STEP, '"waitFor.until" in step ' + index + ' must be a function that receives the element and returns a boolean. ' + 'Example: until: function (el) { return !el.disabled; }', { step: index, field: 'waitFor.until' });
       }
     }
     if (step.advanceOn !== undefined) {
       if (typeof step.advanceOn !== 'object' || step.advanceOn === null) {
-        throw new TamperGuideError(ErrorCodes.INVALID_STEP, '"advanceOn" in step ' + index + ' must be an object with at least an "event" key. ' + 'Example: advanceOn: { event: "click", selector: "#my-button" }');
+        throw new TamperGuideError(ErrorCodes.INVALID_STEP, '"advanceOn" in step ' + index + ' must be an object with at least an "event" key. ' + 'Example: advanceOn: { event: "click", selector: "#my-button" }', { step: index, field: 'advanceOn' });
       }
       if (!step.advanceOn.event || typeof step.advanceOn.event !== 'string') {
-        throw new TamperGuideError(ErrorCodes.INVALID_STEP, '"advanceOn.event" in step ' + index + ' is required and must be a string (e.g. "click", "input", "change").');
+        throw new TamperGuideError(ErrorCodes.INVALID_STEP, '"advanceOn.event" in step ' + index + ' is required and must be a string (e.g. "click", "input", "change").', { step: index, field: 'advanceOn.event' });
       }
       if (step.advanceOn.selector !== undefined && typeof step.advanceOn.selector !== 'string') {
-        throw new TamperGuideError(ErrorCodes.INVALID_STEP, '"advanceOn.selector" in step ' + index + ' must be a CSS selector string.');
+        throw new TamperGuideError(ErrorCodes.INVALID_STEP, '"advanceOn.selector" in step ' + index + ' must be a CSS selector string.', { step: index, field: 'advanceOn.selector' });
       }
     }
+    ['url', 'route'].forEach(function (key) {
+      var pattern = step[key];
+      if (pattern === undefined) return;
+      if (!(typeof pattern === 'string' && pattern.trim() !== '') && !isRegExp(pattern) && typeof pattern !== 'function') {
+        throw new TamperGuideError(ErrorCodes.INVALID_STEP, '"' + key + '" in step ' + index + ' must be a non-empty string (exact match, or a glob with *), a RegExp, or a function receiving window.location. ' +
+          'Example: ' + key + ': ' + (key === 'url' ? '"https://example.com/settings*"' : '"/settings/*"'), { step: index, field: key });
+      }
+    });
+    if (step.navigate !== undefined && !(typeof step.navigate === 'string' && step.navigate.trim() !== '') && typeof step.navigate !== 'function') {
+      throw new TamperGuideError(ErrorCodes.INVALID_STEP, '"navigate" in step ' + index + ' must be a URL string or a function that navigates. ' +
+        'It is used when the step belongs to another page (see "url" and "route").', { step: index, field: 'navigate' });
+    }
+    if (step.navigate !== undefined && step.url === undefined && step.route === undefined) {
+      throw new TamperGuideError(ErrorCodes.INVALID_STEP, '"navigate" in step ' + index + ' needs "url" or "route" to tell which page the step belongs to.', { step: index, field: 'navigate' });
+    }
+    if (step.hiddenBehavior !== undefined && HIDDEN_BEHAVIORS.indexOf(step.hiddenBehavior) === -1) {
+      throw new TamperGuideError(ErrorCodes.INVALID_STEP, '"hiddenBehavior" in step ' + index + ' must be one of: ' + HIDDEN_BEHAVIORS.join(', ') + '. Received: "' + step.hiddenBehavior + '".', { step: index, field: 'hiddenBehavior' });
+    }
     if (step.ariaLabel !== undefined && typeof step.ariaLabel !== 'string') {
-      throw new TamperGuideError(ErrorCodes.INVALID_STEP, '"ariaLabel" in step ' + index + ' must be a string for screen reader announcements.');
+      throw new TamperGuideError(ErrorCodes.INVALID_STEP, '"ariaLabel" in step ' + index + ' must be a string for screen reader announcements.', { step: index, field: 'ariaLabel' });
+    }
+    if (step.next !== undefined && step.next !== null) {
+      var nt = typeof step.next;
+      if (nt === 'string') {
+        if (step.next.trim() === '') {
+          throw new TamperGuideError(ErrorCodes.INVALID_STEP, '"next" in step ' + index + ' is an empty string. Use the id of the step to go to, e.g. next: "admin-intro".', { step: index, field: 'next' });
+        }
+      } else if (nt === 'object') {
+        var choiceKeys = Object.keys(step.next);
+        for (var ck = 0; ck < choiceKeys.length; ck++) {
+          var target = step.next[choiceKeys[ck]];
+          if (typeof target !== 'string' || target.trim() === '') {
+            throw new TamperGuideError(ErrorCodes.INVALID_STEP, '"next.' + choiceKeys[ck] + '" in step ' + index + ' must be a non-empty step id string. ' + 'Example: next: { admin: "admin-intro", user: "user-intro" }', { step: index, field: 'next.' + choiceKeys[ck] });
+          }
+        }
+      } else if (nt !== 'function') {
+        throw new TamperGuideError(ErrorCodes.INVALID_STEP, '"next" in step ' + index + ' must be a step id string, a function returning a step id, an object mapping choices to step ids, or null to end the tour.', { step: index, field: 'next' });
+      }
+    }
+    if (step.popover && step.popover.choices !== undefined) {
+      if (!Array.isArray(step.popover.choices)) {
+        throw new TamperGuideError(ErrorCodes.INVALID_STEP, '"popover.choices" in step ' + index + ' must be an Array. ' + 'Example: choices: [{ label: "I am an admin", value: "admin" }]', { step: index, field: 'popover.choices' });
+      }
+      for (var c = 0; c < step.popover.choices.length; c++) {
+        var choice = step.popover.choices[c];
+        if (!choice || typeof choice !== 'object' || typeof choice.label !== 'string' || typeof choice.value !== 'string') {
+          throw new TamperGuideError(ErrorCodes.INVALID_STEP, '"popover.choices[' + c + ']" in step ' + index + ' must be an object with string "label" and "value" keys.', { step: index, field: 'popover.choices[' + c + ']' });
+        }
+      }
+    }
+  }
+
+  /**
+   * Checks that every static "next" target (a string or the values of a
+   * choice map) names a step that exists. Function targets can only be
+   * checked when they run, so they are skipped here.
+   *
+   * @param {Array} steps - The steps array to check
+   */
+  function validateStepTargets(steps) {
+    var ids = [];
+    for (var i = 0; i < steps.length; i++) {
+      if (steps[i].id) ids.push(steps[i].id);
+    }
+    for (var j = 0; j < steps.length; j++) {
+      var next = steps[j].next;
+      if (next === undefined || next === null || typeof next === 'function') continue;
+      var targets = typeof next === 'string' ? [next] : Object.keys(next).map(function (k) { return next[k]; });
+      for (var t = 0; t < targets.length; t++) {
+        if (ids.indexOf(targets[t]) === -1) {
+          throw new TamperGuideError(ErrorCodes.INVALID_STEP,
+            '"next" in step ' + j + ' points to unknown step id "' + targets[t] + '". ' +
+            (ids.length > 0 ? 'Available step IDs: "' + ids.join('", "') + '".' : 'No steps have an "id" property defined.'), { step: j, field: 'next' });
+        }
+      }
     }
   }
   // =========================================================================
@@ -235,9 +467,14 @@
       previousStep: undefined,
       __transitionInProgress: false,
       __focusedBeforeActivation: null,
+      __history: [],
+      __pausedIndex: undefined,
     };
     var state = {};
-    for (var k in initialState) { state[k] = initialState[k]; }
+    // Arrays are copied so that a reset never shares a mutated array
+    // with the previous run.
+    function initial(k) { return Array.isArray(initialState[k]) ? initialState[k].slice() : initialState[k]; }
+    for (var k in initialState) { state[k] = initial(k); }
     return {
       getState: function (key) {
         if (key !== undefined) return state[key];
@@ -246,7 +483,7 @@
         return c;
       },
       setState: function (key, value) { state[key] = value; },
-      resetState: function () { for (var k in initialState) { state[k] = initialState[k]; } },
+      resetState: function () { for (var k in initialState) { state[k] = initial(k); } },
     };
   }
 
@@ -267,6 +504,11 @@
     onHighlightStarted: undefined, onHighlighted: undefined, onDeselected: undefined,
     onDestroyStarted: undefined, onDestroyed: undefined, onNextClick: undefined,
     onPrevClick: undefined, onCloseClick: undefined, onPopoverRender: undefined, persist: false, persistKey: '', persistStorage: 'localStorage', persistExpiry: 604800000, theme: 'default', autoRefresh: false, autoRefreshInterval: 300, onStepChange: undefined, onTourComplete: undefined,
+    hiddenBehavior: 'center', isolateStyles: false, customStyles: '',
+    popoverRender: undefined, popoverTemplate: '', maxDismissals: 0,
+    tourVersion: '', migrateProgress: undefined, syncTabs: false,
+    routeChangeBehavior: 'pause', onRouteChange: undefined,
+    tourId: '', priority: 0, prerequisites: [], tourTitle: '',
   });
 
   function createConfigManager(userConfig) {
@@ -383,9 +625,34 @@
     },
   });
 
+  // [MODIFIED v1.6.0] The stylesheet text is built by buildStyles() so the
+  // isolated UI root can adopt the same rules inside its shadow root.
+  // [MODIFIED v1.6.0] The stylesheet is shared by every instance, including
+  // instances from other userscripts, so it is reference counted: each
+  // injectStyles() adds one to its data-tg-refs attribute and each
+  // removeStyles() takes one away. The count lives in the DOM because that
+  // is the only thing all userscript sandboxes share.
   function injectStyles(zOverlay, zPopover) {
-    if (document.getElementById(STYLE_ID)) return;
-    var css = [
+    var existing = document.getElementById(STYLE_ID);
+    if (existing) {
+      existing.setAttribute('data-tg-refs', String(styleRefs(existing) + 1));
+      return;
+    }
+    var style = document.createElement('style');
+    style.id = STYLE_ID;
+    style.setAttribute('data-tg-refs', '1');
+    style.textContent = buildStyles(zOverlay, zPopover);
+    (document.head || document.documentElement).appendChild(style);
+  }
+
+  // A stylesheet injected by an older version has no count: it counts as one.
+  function styleRefs(style) {
+    var n = parseInt(style.getAttribute('data-tg-refs'), 10);
+    return n > 0 ? n : 1;
+  }
+
+  function buildStyles(zOverlay, zPopover) {
+    return [
       '.tg-overlay { position: fixed; inset: 0; z-index: ' + zOverlay + '; pointer-events: none; transition: opacity 0.3s ease; }',
       '.tg-overlay svg { position: absolute; inset: 0; width: 100%; height: 100%; }',
       '.tg-overlay-clickable { pointer-events: auto; cursor: default; }',
@@ -422,6 +689,13 @@
       '.tg-popover-btn-prev:hover { background: var(--tg-btn-secondary-bg, #e0e0ea); filter: brightness(0.95); }',
       '.tg-popover-btn-next, .tg-popover-btn-done { background: var(--tg-btn-primary-bg, #3b82f6); color: var(--tg-btn-primary-color, #fff); }',
       '.tg-popover-btn-next:hover, .tg-popover-btn-done:hover { background: var(--tg-btn-primary-bg, #2563eb); filter: brightness(0.9); }',
+      '.tg-popover-choices { display: flex; flex-direction: column; gap: 6px; margin: 0 0 12px 0; }',
+      '.tg-popover-btn-choice { width: 100%; justify-content: flex-start; background: var(--tg-btn-secondary-bg, #f0f0f5); color: var(--tg-btn-secondary-color, #4a4a6a); }',
+      '.tg-popover-btn-choice:hover { filter: brightness(0.95); }',
+      '.tg-popover-btn-primary { background: var(--tg-btn-primary-bg, #3b82f6); color: var(--tg-btn-primary-color, #fff); }',
+      '.tg-popover-btn-secondary { background: var(--tg-btn-secondary-bg, #f0f0f5); color: var(--tg-btn-secondary-color, #4a4a6a); }',
+      '.tg-popover-btn-primary:hover, .tg-popover-btn-secondary:hover { filter: brightness(0.93); }',
+      '.tg-popover-btn-link { background: transparent; color: var(--tg-btn-secondary-color, #4a4a6a); padding-left: 4px; padding-right: 4px; text-decoration: underline; }',
       '.tg-popover-btn-close {',
       '  position: absolute; top: 8px; right: 8px; background: transparent;',
       '  border: none; font-size: 18px; color: var(--tg-close-color, #aaa); cursor: pointer;',
@@ -436,9 +710,11 @@
       '',
       
       '@keyframes tg-pulse { 0% { transform: scale(1); opacity: 1; } 50% { transform: scale(1.8); opacity: 0.4; } 100% { transform: scale(2.5); opacity: 0; } }',
-      '.tg-hotspot { position: absolute; z-index: ' + zPopover + '; pointer-events: auto; cursor: pointer; }',
+      '.tg-hotspot { position: fixed; z-index: ' + zPopover + '; pointer-events: auto; cursor: pointer; }',
       '.tg-hotspot-dot { width: 12px; height: 12px; border-radius: 50%; position: relative; }',
       '.tg-hotspot-pulse { position: absolute; inset: 0; border-radius: 50%; animation: tg-pulse 2s ease-out infinite; }',
+      // [NEW v1.6.0] A hotspot the user has already opened stops pulsing.
+      '.tg-hotspot-seen .tg-hotspot-pulse { animation: none; opacity: 0; }',
       '.tg-hotspot-tooltip {',
       '  position: absolute; background: var(--tg-bg, #fff); color: var(--tg-desc-color, #4a4a6a);',
       '  border-radius: var(--tg-border-radius, 8px); padding: 8px 12px; font-size: 13px;',
@@ -447,44 +723,542 @@
       '  pointer-events: none; opacity: 0; transition: opacity 0.2s ease; line-height: 1.4;',
       '}',
       '.tg-hotspot:hover .tg-hotspot-tooltip { opacity: 1; }',
+      // [NEW v1.6.0] Keyboard focus and taps also show the tooltip.
+      '.tg-hotspot:focus .tg-hotspot-tooltip, .tg-hotspot-open .tg-hotspot-tooltip { opacity: 1; }',
+      '.tg-hotspot:focus { outline: none; }',
+      '.tg-hotspot:focus-visible .tg-hotspot-dot { outline: 2px solid #3b82f6; outline-offset: 3px; }',
+      '.tg-hotspot-popover { max-width: 320px; }',
+      '',
+
+      // [NEW v1.6.0] Spotlight ring. It never takes pointer events.
+      '.tg-spotlight { position: fixed; z-index: ' + (zPopover - 1) + '; pointer-events: none; box-sizing: border-box; }',
+      '.tg-spotlight-outline { border: 2px solid var(--tg-spotlight-color, var(--tg-btn-primary-bg, #3b82f6)); }',
+      '.tg-spotlight-glow {',
+      '  box-shadow: 0 0 0 2px var(--tg-spotlight-color, var(--tg-btn-primary-bg, #3b82f6)),',
+      '    0 0 18px 6px var(--tg-spotlight-color, var(--tg-btn-primary-bg, #3b82f6));',
+      '}',
       '',
       
+      // [NEW v1.6.0] Launcher widget. It stays below the overlay of a running tour.
+      '.tg-launcher {',
+      '  all: initial; position: fixed; z-index: ' + (zOverlay - 1) + '; display: flex; flex-direction: column; align-items: flex-end; gap: 8px;',
+      '  font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif;',
+      '  font-size: 14px; line-height: 1.5; color: var(--tg-color, #1a1a2e);',
+      '}',
+      '.tg-launcher *, .tg-launcher *::before, .tg-launcher *::after { box-sizing: border-box; }',
+      '.tg-launcher-bottom-right { right: 16px; bottom: 16px; }',
+      '.tg-launcher-bottom-left { left: 16px; bottom: 16px; align-items: flex-start; }',
+      '.tg-launcher-top-right { right: 16px; top: 16px; flex-direction: column-reverse; }',
+      '.tg-launcher-top-left { left: 16px; top: 16px; flex-direction: column-reverse; align-items: flex-start; }',
+      '.tg-launcher-button {',
+      '  width: 40px; height: 40px; border: none; border-radius: 50%; cursor: pointer;',
+      '  background: var(--tg-btn-primary-bg, #3b82f6); color: var(--tg-btn-primary-color, #fff);',
+      '  font-family: inherit; font-size: 18px; font-weight: 700; line-height: 1;',
+      '  box-shadow: var(--tg-shadow, 0 8px 32px rgba(0,0,0,0.25), 0 2px 8px rgba(0,0,0,0.1));',
+      '}',
+      '.tg-launcher-button:hover { filter: brightness(0.93); }',
+      '.tg-launcher-button:focus-visible { outline: 2px solid #3b82f6; outline-offset: 2px; }',
+      '.tg-launcher-panel {',
+      '  display: flex; flex-direction: column; gap: 10px; min-width: 240px; max-width: 320px; max-height: 60vh; overflow: auto;',
+      '  background: var(--tg-bg, #fff); border-radius: var(--tg-border-radius, 8px); padding: 14px 16px;',
+      '  box-shadow: var(--tg-shadow, 0 8px 32px rgba(0,0,0,0.25), 0 2px 8px rgba(0,0,0,0.1));',
+      '}',
+      '.tg-launcher-panel[hidden] { display: none; }',
+      '.tg-launcher-title { font-size: 15px; font-weight: 700; color: var(--tg-title-color, #0f0f23); }',
+      '.tg-launcher-list { list-style: none; margin: 0; padding: 0; display: flex; flex-direction: column; gap: 8px; }',
+      '.tg-launcher-item { display: flex; align-items: center; gap: 10px; }',
+      '.tg-launcher-item-text { display: flex; flex-direction: column; flex: 1; min-width: 0; }',
+      '.tg-launcher-item-title { font-weight: 600; color: var(--tg-title-color, #0f0f23); overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }',
+      '.tg-launcher-item-state { font-size: 12px; color: var(--tg-progress-color, #8888aa); }',
+      '.tg-launcher-item .tg-popover-btn:disabled { opacity: 0.5; cursor: default; }',
+      '.tg-launcher-empty { font-size: 13px; color: var(--tg-desc-color, #4a4a6a); }',
+      '',
+
+      // [NEW v1.6.0] Checklist dock.
+      '.tg-checklist {',
+      '  all: initial; position: fixed; z-index: ' + (zOverlay - 1) + '; display: flex; flex-direction: column; gap: 10px;',
+      '  width: 300px; max-height: 70vh; padding: 14px 16px; overflow: auto;',
+      '  background: var(--tg-bg, #fff); color: var(--tg-color, #1a1a2e); border-radius: var(--tg-border-radius, 8px);',
+      '  box-shadow: var(--tg-shadow, 0 8px 32px rgba(0,0,0,0.25), 0 2px 8px rgba(0,0,0,0.1));',
+      '  font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif;',
+      '  font-size: 14px; line-height: 1.5;',
+      '}',
+      '.tg-checklist *, .tg-checklist *::before, .tg-checklist *::after { box-sizing: border-box; }',
+      '.tg-checklist-bottom-right { right: 16px; bottom: 16px; }',
+      '.tg-checklist-bottom-left { left: 16px; bottom: 16px; }',
+      '.tg-checklist-top-right { right: 16px; top: 16px; }',
+      '.tg-checklist-top-left { left: 16px; top: 16px; }',
+      '.tg-checklist-header {',
+      '  display: flex; align-items: baseline; gap: 8px; width: 100%; margin: 0; padding: 0; border: none; background: transparent;',
+      '  font-family: inherit; color: inherit; text-align: left; cursor: pointer;',
+      '}',
+      '.tg-checklist-header:focus-visible, .tg-checklist-item-button:focus-visible { outline: 2px solid #3b82f6; outline-offset: 2px; }',
+      '.tg-checklist-title { flex: 1; font-size: 15px; font-weight: 700; color: var(--tg-title-color, #0f0f23); }',
+      '.tg-checklist-count { font-size: 12px; color: var(--tg-progress-color, #8888aa); white-space: nowrap; }',
+      '.tg-checklist-chevron { width: 8px; height: 8px; border-right: 2px solid var(--tg-progress-color, #8888aa); border-bottom: 2px solid var(--tg-progress-color, #8888aa); transform: rotate(45deg); transition: transform 0.2s ease; }',
+      '.tg-checklist-collapsed .tg-checklist-chevron { transform: rotate(-135deg); }',
+      '.tg-checklist-progress { height: 6px; border-radius: 3px; overflow: hidden; background: var(--tg-btn-secondary-bg, #f0f0f5); }',
+      '.tg-checklist-progress-bar { height: 100%; width: 0; background: var(--tg-btn-primary-bg, #3b82f6); transition: width 0.3s ease; }',
+      '.tg-checklist-items { list-style: none; margin: 0; padding: 0; display: flex; flex-direction: column; gap: 4px; }',
+      '.tg-checklist-items[hidden] { display: none; }',
+      '.tg-checklist-item-button {',
+      '  display: flex; align-items: flex-start; gap: 10px; width: 100%; margin: 0; padding: 6px 8px; border: none;',
+      '  border-radius: var(--tg-btn-radius, 6px); background: transparent; font-family: inherit; color: inherit; text-align: left; cursor: pointer;',
+      '}',
+      '.tg-checklist-item-button:hover:not(:disabled) { background: var(--tg-btn-secondary-bg, #f0f0f5); }',
+      '.tg-checklist-item-button:disabled { cursor: default; }',
+      '.tg-checklist-check { flex-shrink: 0; width: 18px; height: 18px; margin-top: 2px; border-radius: 50%; border: 2px solid var(--tg-progress-color, #8888aa); position: relative; }',
+      '.tg-checklist-item-done .tg-checklist-check { background: var(--tg-btn-primary-bg, #3b82f6); border-color: var(--tg-btn-primary-bg, #3b82f6); }',
+      '.tg-checklist-item-done .tg-checklist-check::after {',
+      '  content: ""; position: absolute; left: 4px; top: 1px; width: 5px; height: 9px;',
+      '  border-right: 2px solid var(--tg-btn-primary-color, #fff); border-bottom: 2px solid var(--tg-btn-primary-color, #fff); transform: rotate(45deg);',
+      '}',
+      '.tg-checklist-item-text { display: flex; flex-direction: column; min-width: 0; }',
+      '.tg-checklist-item-title { font-weight: 600; color: var(--tg-title-color, #0f0f23); }',
+      '.tg-checklist-item-done .tg-checklist-item-title { text-decoration: line-through; color: var(--tg-progress-color, #8888aa); }',
+      '.tg-checklist-item-description { font-size: 12px; color: var(--tg-desc-color, #4a4a6a); }',
+      '',
+
       '.tg-live-region { position: absolute; width: 1px; height: 1px; overflow: hidden; clip: rect(0,0,0,0); white-space: nowrap; border: 0; }',
     ].join('\n');
-    var style = document.createElement('style');
-    style.id = STYLE_ID;
-    style.textContent = css;
-    (document.head || document.documentElement).appendChild(style);
   }
 
   function removeStyles() {
     var el = document.getElementById(STYLE_ID);
-    if (el) el.remove();
+    if (!el) return;
+    var refs = styleRefs(el) - 1;
+    if (refs > 0) el.setAttribute('data-tg-refs', String(refs));
+    else el.remove();
+  }
+
+  // =========================================================================
+  // [NEW v1.6.0] MODULE: UI Root
+  // =========================================================================
+  // Decides where TamperGuide's own elements (overlay, popover, hotspots,
+  // live region, and the dummy anchor of centered popovers) are mounted.
+  //
+  // By default they are appended to document.body and styled by the
+  // global <style id="tamperguide-styles">. With isolateStyles: true they
+  // are mounted inside a closed shadow root instead:
+  //   - Host page rules (button resets, "div { font: ... }", !important
+  //     rules, selectors targeting .tg-*) cannot reach them.
+  //   - Our stylesheet does not leak into the page either; it is adopted
+  //     by the shadow root, or added as a <style> inside it on browsers
+  //     without constructable stylesheets.
+  //   - CSS custom properties still inherit through the shadow boundary,
+  //     so theme variables set on :root keep working.
+  //   - Page CSS does not apply inside the shadow root, so the page's
+  //     rules that mention a popoverClass class are copied in when the
+  //     root is created (see mirrorClassRules). Rules that depend on page
+  //     ancestors ("body.dark .my-popover"), rules of cross-origin
+  //     stylesheets, and rules added later are not; pass those in
+  //     customStyles, which comes last and wins.
+  // The shadow host itself carries "all: initial !important" inline, which
+  // outranks any page rule that could hide or move it.
+  // =========================================================================
+
+  var UI_HOST_TAG = 'tamperguide-root';
+
+  // [NEW v1.6.0] Our own elements, mounted in the page or in the shadow
+  // host. Page queries skip them and everything inside them.
+  var OWN_UI_SELECTOR = '.tg-overlay, .tg-popover, .tg-hotspot, .tg-spotlight, .tg-live-region, #tg-dummy-element, ' + UI_HOST_TAG;
+
+  function isOwnUi(element) {
+    return !!(element.closest && element.closest(OWN_UI_SELECTOR));
+  }
+
+  /**
+   * [NEW v1.6.0] Collects the page's CSS rules whose selector mentions one
+   * of the given classes, including those inside @media and @supports,
+   * so that popoverClass styles also apply inside the shadow root.
+   * Stylesheets whose rules cannot be read (cross-origin) are skipped.
+   *
+   * @param {string} classNames - Space-separated class names (popoverClass)
+   * @returns {string} CSS text, empty if nothing matched
+   */
+  function mirrorClassRules(classNames) {
+    var classes = String(classNames || '').split(/\s+/).filter(Boolean);
+    if (!classes.length) return '';
+    var patterns = classes.map(function (c) {
+      return new RegExp('\\.' + c.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '(?![\\w-])');
+    });
+    function mentions(selector) {
+      return patterns.some(function (re) { return re.test(selector); });
+    }
+    function collect(rules) {
+      var css = '';
+      for (var i = 0; i < rules.length; i++) {
+        var rule = rules[i];
+        if (typeof rule.selectorText === 'string') {
+          if (mentions(rule.selectorText)) css += rule.cssText + '\n';
+        } else if (rule.cssRules && (rule.media || typeof rule.conditionText === 'string')) {
+          var inner = collect(rule.cssRules);
+          if (inner) css += (rule.media ? '@media ' + rule.media.mediaText : '@supports ' + rule.conditionText) + ' {\n' + inner + '}\n';
+        }
+      }
+      return css;
+    }
+    var css = '';
+    for (var i = 0; i < document.styleSheets.length; i++) {
+      try { css += collect(document.styleSheets[i].cssRules); }
+      catch (e) { /* cross-origin stylesheet */ }
+    }
+    return css;
+  }
+
+  function createUiRoot(configManager) {
+    var host = null;
+    var shadow = null;
+    // [NEW v1.6.0] Whether this root holds a reference on the shared
+    // stylesheet, and the elements it mounted.
+    var holdsStyles = false;
+    var mounted = [];
+
+    /**
+     * Prepares the mount point and styles. Called when the tour starts or
+     * a hotspot is added; repeated calls are no-ops.
+     *
+     * @param {number} zOverlay
+     * @param {number} zPopover
+     */
+    function init(zOverlay, zPopover) {
+      if (!configManager.getConfig('isolateStyles')) {
+        if (!holdsStyles) { injectStyles(zOverlay, zPopover); holdsStyles = true; }
+        return;
+      }
+      if (host && host.isConnected) return;
+      host = document.createElement(UI_HOST_TAG);
+      host.style.setProperty('all', 'initial', 'important');
+      shadow = host.attachShadow({ mode: 'closed' });
+      var css = buildStyles(zOverlay, zPopover) + '\n' + mirrorClassRules(configManager.getConfig('popoverClass')) +
+        '\n' + (configManager.getConfig('customStyles') || '');
+      var adopted = false;
+      if ('adoptedStyleSheets' in shadow && typeof CSSStyleSheet === 'function') {
+        try {
+          var sheet = new CSSStyleSheet();
+          sheet.replaceSync(css);
+          shadow.adoptedStyleSheets = [sheet];
+          adopted = true;
+        } catch (e) { /* Constructable stylesheets unsupported; use <style> */ }
+      }
+      if (!adopted) {
+        var style = document.createElement('style');
+        style.textContent = css;
+        shadow.appendChild(style);
+      }
+      (document.body || document.documentElement).appendChild(host);
+    }
+
+    /**
+     * Appends one of our elements to the mount point.
+     *
+     * @param {Element} element
+     */
+    function mount(element) {
+      (shadow || document.body).appendChild(element);
+      mounted.push(element);
+    }
+
+    /**
+     * Returns the node that receives events from our elements before they
+     * are retargeted: the shadow root when isolated, otherwise document.
+     * Listeners on document only ever see the shadow host as the target.
+     *
+     * @returns {Document|ShadowRoot}
+     */
+    function getEventRoot() {
+      return shadow || document;
+    }
+
+    /**
+     * Releases the styles, or removes the shadow host, once nothing is
+     * mounted anymore (hotspots may outlive the tour).
+     * [MODIFIED v1.6.0] Drops this root's reference on the shared
+     * stylesheet instead of removing it outright.
+     */
+    function release() {
+      mounted = mounted.filter(function (el) { return el.isConnected; });
+      if (mounted.length) return;
+      if (!host) {
+        if (holdsStyles) { removeStyles(); holdsStyles = false; }
+        return;
+      }
+      host.remove();
+      host = null;
+      shadow = null;
+    }
+
+    return { init: init, mount: mount, getEventRoot: getEventRoot, release: release };
   }
 
   // =========================================================================
   // MODULE: DOM Utilities
   // =========================================================================
 
-  function resolveElement(element) {
+  // [MODIFIED v1.6.0] quiet suppresses the ELEMENT_NOT_FOUND warning for a
+  // miss. waitForElement() uses it because a miss is expected while waiting.
+  // Selectors may pierce shadow roots and iframes (see querySelectorDeep).
+  function resolveElement(element, quiet) {
     if (!element) return null;
     try {
       if (typeof element === 'function') {
         var result = element();
-        if (result instanceof Element) return result;
-        warn(ErrorCodes.ELEMENT_NOT_FOUND, 'element() did not return a DOM Element.');
+        if (isDomElement(result)) return result;
+        if (!quiet) warn(ErrorCodes.ELEMENT_NOT_FOUND, 'element() did not return a DOM Element.');
         return null;
       }
-      if (element instanceof Element) return document.body.contains(element) ? element : null;
+      if (isDomElement(element)) return isAttached(element) ? element : null;
       if (typeof element === 'string') {
-        var found = document.querySelector(element);
-        if (!found) warn(ErrorCodes.ELEMENT_NOT_FOUND, 'No element for "' + element + '".');
+        var found = querySelectorDeep(element);
+        if (!found && !quiet) warn(ErrorCodes.ELEMENT_NOT_FOUND, 'No element for "' + element + '".');
         return found;
       }
     } catch (err) { warn(ErrorCodes.ELEMENT_NOT_FOUND, 'Resolve error: ' + err.message); }
     return null;
   }
 
+  // [NEW v1.6.0] Separates the segments of a selector that crosses into a
+  // shadow root or an iframe document.
+  var PIERCE_SEPARATOR = '>>>';
+
+  /**
+   * [NEW v1.6.0] querySelector() that can reach into open shadow roots and
+   * same-origin iframes. Each ">>>" moves the search into the shadow root,
+   * or the document of the iframe, matched by the segment before it:
+   *
+   *   'my-app >>> #save'                 #save inside my-app's shadow root
+   *   'iframe#editor >>> .toolbar'       .toolbar inside the iframe
+   *   'iframe >>> x-panel >>> button'    both, nested
+   *
+   * Every host a segment matches is searched, in document order, so
+   * 'x-card >>> .title' finds the titles of all x-card elements, not only
+   * of the first one. Closed shadow roots and cross-origin iframes cannot
+   * be entered; the lookup then finds nothing. Selectors without ">>>"
+   * behave exactly like document.querySelector().
+   *
+   * @param {string} selector
+   * @param {boolean} [all] - Return every match of the last segment
+   * @returns {Element|null|Element[]}
+   */
+  function querySelectorDeep(selector, all) {
+    var parts = selector.split(PIERCE_SEPARATOR);
+    var roots = [document];
+    for (var i = 0; i < parts.length - 1; i++) {
+      var inner = [];
+      for (var r = 0; r < roots.length; r++) {
+        var hosts = roots[r].querySelectorAll(parts[i].trim());
+        for (var h = 0; h < hosts.length; h++) {
+          var innerRoot = getInnerRoot(hosts[h]);
+          if (innerRoot) inner.push(innerRoot);
+        }
+      }
+      roots = inner;
+    }
+    var last = parts[parts.length - 1].trim();
+    var matches = [];
+    for (var m = 0; m < roots.length; m++) {
+      if (!all) {
+        var found = roots[m].querySelector(last);
+        if (found) return found;
+        continue;
+      }
+      matches = matches.concat(Array.prototype.slice.call(roots[m].querySelectorAll(last)));
+    }
+    return all ? matches : null;
+  }
+
+  // Returns the open shadow root or same-origin iframe document of a host,
+  // or null if there is none we are allowed to enter.
+  function getInnerRoot(host) {
+    if (host.shadowRoot) return host.shadowRoot;
+    if (host.tagName === 'IFRAME' || host.tagName === 'FRAME') {
+      try { return host.contentDocument || null; } catch (err) { return null; }
+    }
+    return null;
+  }
+
+  // Elements from an iframe fail "instanceof Element" against our window's
+  // Element, so DOM elements are recognized by nodeType instead.
+  function isDomElement(value) {
+    return !!value && typeof value === 'object' && value.nodeType === 1;
+  }
+
+  function isAttached(element) {
+    if (typeof element.isConnected === 'boolean') return element.isConnected;
+    return element.ownerDocument.documentElement.contains(element);
+  }
+
+  // getComputedStyle() of the element's own window, so that styles of
+  // elements inside iframes are read from the right document.
+  function getStyle(element) {
+    var view = element.ownerDocument && element.ownerDocument.defaultView;
+    return (view || window).getComputedStyle(element);
+  }
+
+  // Parent element in the composed tree: steps out of a shadow root to its
+  // host. Does not leave the element's document.
+  function getComposedParent(node) {
+    if (node.parentElement) return node.parentElement;
+    var parent = node.parentNode;
+    return parent && parent.nodeType === 11 && parent.host ? parent.host : null;
+  }
+
+  function composedContains(ancestor, node) {
+    for (var c = node; c; c = getComposedParent(c)) {
+      if (c === ancestor) return true;
+    }
+    return false;
+  }
+
+  /**
+   * [NEW v1.6.0] Returns the iframe elements enclosing an element, from
+   * the innermost to the outermost. Empty for elements of the top document.
+   *
+   * @param {Element} element
+   * @returns {Element[]}
+   */
+  function getFrameChain(element) {
+    var frames = [];
+    var win = element.ownerDocument && element.ownerDocument.defaultView;
+    while (win && win !== window) {
+      var frame = null;
+      try { frame = win.frameElement; } catch (err) { frame = null; }
+      if (!frame) break;
+      frames.push(frame);
+      win = frame.ownerDocument.defaultView;
+    }
+    return frames;
+  }
+
+  /**
+   * [NEW v1.6.0] getBoundingClientRect() translated into the coordinates of
+   * the top-level viewport. Shadow DOM needs no translation; for elements
+   * inside iframes, the content-box offset of every enclosing iframe is
+   * added.
+   *
+   * @param {Element} element
+   * @returns {{ top: number, left: number, right: number, bottom: number, width: number, height: number }}
+   */
+  function getClientRect(element) {
+    var r = element.getBoundingClientRect();
+    var dx = 0, dy = 0;
+    var frames = getFrameChain(element);
+    for (var i = 0; i < frames.length; i++) {
+      var fr = frames[i].getBoundingClientRect();
+      var fs = getStyle(frames[i]);
+      dx += fr.left + frames[i].clientLeft + (parseFloat(fs.paddingLeft) || 0);
+      dy += fr.top + frames[i].clientTop + (parseFloat(fs.paddingTop) || 0);
+    }
+    return {
+      top: r.top + dy, left: r.left + dx, right: r.right + dx, bottom: r.bottom + dy,
+      width: r.width, height: r.height,
+    };
+  }
+
+  /**
+   * [NEW v1.6.0] Explains why an element cannot be highlighted, or returns
+   * null if it is visible. Checks, in order: attachment to the document,
+   * display, visibility, a closed <details> ancestor, a zero-sized box, a
+   * fully transparent element or ancestor, and occlusion by another element
+   * at the center of its box (via elementsFromPoint). TamperGuide's own
+   * overlay, popover, and hotspots are ignored by the occlusion check.
+   * Elements whose center is outside the viewport are not checked for
+   * occlusion, since they are scrolled into view before highlighting.
+   *
+   * @param {Element} element
+   * @returns {string|null} A short reason such as "display:none", or null
+   */
+  function getHiddenReason(element) {
+    if (!element || !isAttached(element)) return 'not attached to the document';
+    var frames = getFrameChain(element);
+    for (var f = 0; f < frames.length; f++) {
+      if (!isAttached(frames[f]) || getStyle(frames[f]).display === 'none') return 'inside a hidden <iframe>';
+    }
+    var style = getStyle(element);
+    if (style.display === 'none') return 'display:none';
+    if (style.visibility === 'hidden' || style.visibility === 'collapse') return 'visibility:' + style.visibility;
+    var details = element.parentElement ? element.parentElement.closest('details:not([open])') : null;
+    if (details) {
+      var summary = details.querySelector(':scope > summary');
+      if (!summary || !summary.contains(element)) return 'inside a collapsed <details>';
+    }
+    var rect = element.getBoundingClientRect();
+    if (rect.width === 0 || rect.height === 0) return 'zero size';
+    for (var c = element; c; c = getComposedParent(c)) {
+      if (parseFloat(getStyle(c).opacity) === 0) return 'opacity:0';
+    }
+    // Hit-test in the element's own tree (its shadow root or iframe
+    // document), where rect is already in local coordinates.
+    var doc = element.ownerDocument;
+    var root = element.getRootNode ? element.getRootNode() : doc;
+    if (typeof root.elementsFromPoint !== 'function') root = doc;
+    var cx = rect.left + rect.width / 2;
+    var cy = rect.top + rect.height / 2;
+    if (typeof root.elementsFromPoint === 'function' && cx >= 0 && cy >= 0 &&
+        cx < doc.documentElement.clientWidth && cy < doc.documentElement.clientHeight) {
+      var hits = root.elementsFromPoint(cx, cy);
+      for (var i = 0; i < hits.length; i++) {
+        var hit = hits[i];
+        if (isOwnUi(hit)) continue;
+        if (hit === element || element.contains(hit) || composedContains(hit, element)) return null;
+        return 'covered by <' + hit.tagName.toLowerCase() + (hit.id ? '#' + hit.id : '') + '>';
+      }
+    }
+    return null;
+  }
+
+  /**
+   * [NEW v1.6.0] Returns true if the element can be highlighted.
+   * See getHiddenReason() for the checks performed.
+   *
+   * @param {Element} element
+   * @returns {boolean}
+   */
+  function isElementVisible(element) {
+    return getHiddenReason(element) === null;
+  }
+
+  /**
+   * [NEW v1.6.0] Resolves every element of a step. "element" may be a
+   * single target, an Array of targets (selectors, Elements, or functions),
+   * or, with step.multiple, a selector whose every match is highlighted.
+   *
+   * The primary element is the one the popover anchors to. step.primary
+   * selects it either by index (into the "element" Array, or into the
+   * matches for multiple: true) or by a selector matched against the
+   * resolved elements. It defaults to the first resolved element.
+   *
+   * @param {object} step - The step configuration object
+   * @param {boolean} [quiet] - Suppress ELEMENT_NOT_FOUND warnings
+   * @returns {{ elements: Element[], primary: Element|null }}
+   */
+  function resolveStepElements(step, quiet) {
+    var declared = [];
+    if (Array.isArray(step.element)) {
+      for (var i = 0; i < step.element.length; i++) declared.push(resolveElement(step.element[i], quiet));
+    } else if (step.multiple && typeof step.element === 'string') {
+      try { declared = querySelectorDeep(step.element, true); }
+      catch (err) { warn(ErrorCodes.ELEMENT_NOT_FOUND, 'Resolve error: ' + err.message); }
+      if (!declared.length && !quiet) warn(ErrorCodes.ELEMENT_NOT_FOUND, 'No element for "' + step.element + '".');
+    } else {
+      declared.push(resolveElement(step.element, quiet));
+    }
+    var elements = [];
+    for (var j = 0; j < declared.length; j++) {
+      if (declared[j] && elements.indexOf(declared[j]) === -1) elements.push(declared[j]);
+    }
+    var primary = elements[0] || null;
+    if (typeof step.primary === 'number' && declared[step.primary]) {
+      primary = declared[step.primary];
+    } else if (typeof step.primary === 'string') {
+      for (var k = 0; k < elements.length; k++) {
+        try { if (elements[k].matches(step.primary)) { primary = elements[k]; break; } }
+        catch (err) { warn(ErrorCodes.INVALID_STEP, '"primary" selector "' + step.primary + '" is invalid: ' + err.message); break; }
+      }
+    }
+    return { elements: elements, primary: primary };
+  }
+
   /**
    * Returns the usable viewport dimensions, excluding scrollbars.
    * This matches the coordinate space used by getBoundingClientRect()
@@ -504,10 +1278,12 @@
     };
   }
 
+  // [MODIFIED v1.6.0] Uses top-level viewport coordinates (getClientRect),
+  // so elements inside iframes are cut out in the right place.
   function getElementRect(element, padding, radius) {
     padding = padding || 0;
     radius = radius || 0;
-    var rect = element.getBoundingClientRect();
+    var rect = getClientRect(element);
     return {
       x: rect.left - padding, y: rect.top - padding,
       width: rect.width + padding * 2, height: rect.height + padding * 2,
@@ -515,51 +1291,98 @@
     };
   }
 
+  /**
+   * [NEW v1.6.0] Returns one padded rect enclosing all the given elements.
+   *
+   * @param {Element[]} elements
+   * @param {number} padding
+   * @param {number} radius
+   * @returns {{ x: number, y: number, width: number, height: number, radius: number }}
+   */
+  function getUnionRect(elements, padding, radius) {
+    padding = padding || 0;
+    var left = Infinity, top = Infinity, right = -Infinity, bottom = -Infinity;
+    for (var i = 0; i < elements.length; i++) {
+      var r = getClientRect(elements[i]);
+      left = Math.min(left, r.left); top = Math.min(top, r.top);
+      right = Math.max(right, r.right); bottom = Math.max(bottom, r.bottom);
+    }
+    return {
+      x: left - padding, y: top - padding,
+      width: right - left + padding * 2, height: bottom - top + padding * 2,
+      radius: radius || 0,
+    };
+  }
+
+  // [MODIFIED v1.6.0] For an element inside iframes, scrolls from the
+  // outside in: each iframe into view within its parent document, then the
+  // element within its own document. scrollIntoView() itself takes care of
+  // scrollable containers, including those around shadow hosts.
   function bringIntoView(element, options) {
     if (!element || typeof element.scrollIntoView !== 'function') return;
-    if (isInsideFixedContainer(element)) return;
     options = options || { behavior: 'smooth', block: 'center' };
+    var chain = [element].concat(getFrameChain(element));
     try {
-      var r = element.getBoundingClientRect();
-      var vp = getViewportSize();
-      if (!(r.top >= 0 && r.left >= 0 && r.bottom <= vp.height && r.right <= vp.width)) {
-        element.scrollIntoView(options);
+      for (var i = chain.length - 1; i >= 0; i--) {
+        var el = chain[i];
+        if (isInsideFixedContainer(el)) continue;
+        var r = el.getBoundingClientRect();
+        var de = el.ownerDocument.documentElement;
+        if (!(r.top >= 0 && r.left >= 0 && r.bottom <= de.clientHeight && r.right <= de.clientWidth)) {
+          el.scrollIntoView(options);
+        }
       }
     } catch (err) { warn('SCROLL', 'Could not scroll: ' + err.message); }
   }
 
   function isInsideFixedContainer(element) {
     var c = element;
-    while (c && c !== document.body && c !== document.documentElement) {
-      if (window.getComputedStyle(c).position === 'fixed') return true;
-      c = c.parentElement;
+    while (c && c !== c.ownerDocument.body && c !== c.ownerDocument.documentElement) {
+      if (getStyle(c).position === 'fixed') return true;
+      c = getComposedParent(c);
     }
     return false;
   }
 
   function findStackingAncestor(element) {
-    var c = element ? element.parentElement : null;
+    var c = element ? getComposedParent(element) : null;
     while (c && c !== document.body && c !== document.documentElement) {
-      var style = window.getComputedStyle(c);
+      var style = getStyle(c);
       var pos = style.position;
       var z = style.zIndex;
       var transform = style.transform || style.webkitTransform;
       if (pos !== 'static' && z !== 'auto') return c;
       if (pos === 'fixed' || pos === 'sticky') return c;
       if (transform && transform !== 'none') return c;
-      c = c.parentElement;
+      c = getComposedParent(c);
     }
     return null;
   }
 
+  // [NEW v1.6.0] Ancestors that clip or scroll their content (overflow
+  // other than "visible"), nearest first, across shadow boundaries. Their
+  // scroll events move the element without any event on window.
+  function getClippingAncestors(element) {
+    var result = [];
+    var c = element ? getComposedParent(element) : null;
+    while (c && c !== c.ownerDocument.body && c !== c.ownerDocument.documentElement) {
+      var style = getStyle(c);
+      if (/(auto|scroll|overlay|hidden|clip)/.test(style.overflow + ' ' + style.overflowX + ' ' + style.overflowY)) {
+        result.push(c);
+      }
+      c = getComposedParent(c);
+    }
+    return result;
+  }
+
   function getEffectiveZIndex(element) {
     var highest = 0;
     var current = element;
     while (current && current !== document.body && current !== document.documentElement) {
-      var style = window.getComputedStyle(current);
+      var style = getStyle(current);
       var z = parseInt(style.zIndex, 10);
       if (!isNaN(z) && z > highest) highest = z;
-      current = current.parentElement;
+      current = getComposedParent(current);
     }
     return highest;
   }
@@ -571,12 +1394,24 @@
   // This is critical for userscripts because the user constantly navigates
   // between pages on the same site, and without persistence the tour resets.
   //
-  // Supports two storage backends:
+  // Supports these storage backends:
   //   - "localStorage": works without special Tampermonkey grants, but is
   //     limited to the same origin (protocol + domain + port).
   //   - "GM": uses GM_setValue/GM_getValue which persist across all origins
   //     where the userscript runs. Requires @grant GM_setValue, GM_getValue,
   //     and GM_deleteValue in the userscript header.
+  //   - [NEW v1.6.0] "sessionStorage": like localStorage, but per tab.
+  //   - [NEW v1.6.0] "GM_async": the Promise-based GM.getValue/GM.setValue/
+  //     GM.deleteValue API (Greasemonkey 4, Violentmonkey, Tampermonkey).
+  //   - [NEW v1.6.0] A custom adapter object { get, set, remove }, e.g. for
+  //     IndexedDB or a backend. get() returns the record (or its JSON) and
+  //     set() receives the record object. Any method may return a Promise.
+  //
+  // [NEW v1.6.0] With an async adapter, load() and update() return Promises;
+  // with the synchronous ones they return plain values, exactly as before.
+  // Writes are queued so that read-modify-write cycles never interleave.
+  // load() is queued with them, because reading may remove an expired or
+  // corrupted record or store a migrated one.
   //
   // All storage operations are wrapped in try/catch because:
   //   - localStorage may be disabled (private browsing, CSP, iframe sandbox)
@@ -584,7 +1419,32 @@
   //   - JSON.parse may fail on corrupted data
   //
   // The saved data structure is:
-  //   { index: number, completed: boolean, timestamp: number }
+  //   { index: number, completed: boolean, timestamp: number, history: number[] }
+  //
+  // "history" [NEW v1.6.0] holds the step indices the user actually visited,
+  // so that Previous still retraces the user's path after a resume. Records
+  // saved by v1.5.0 have no history and are resumed with an empty one.
+  //
+  // [NEW v1.6.0] Three more fields let the user put a tour off:
+  //   snoozedUntil  {number}  - Timestamp before which drive() does nothing
+  //                             (0 = not snoozed). Set by snooze(ms).
+  //   dismissCount  {number}  - How many times the user closed the tour
+  //                             before finishing it.
+  //   neverShow     {boolean} - Set by neverShowAgain(); drive() does nothing.
+  // They are kept across save() calls, and a record that is snoozed or marked
+  // neverShow does not expire while that applies.
+  //
+  // [NEW v1.6.0] Versioning. Each record also stores:
+  //   version     - config.tourVersion at the time of saving
+  //   stepId      - the "id" of the saved step, if it has one
+  //   historyIds  - the "id" of each history entry (null where missing)
+  // Resuming goes by step ID when the step still exists, so adding or
+  // reordering steps does not move the user to the wrong step. When the
+  // stored version differs from tourVersion, load() migrates the record
+  // once (see migrate()) and saves it under the new version.
+  //
+  // [NEW v1.6.0] It also stores the seen and dismissed state of hotspots
+  // that have an "id" (see loadHotspot()), in the same backend.
   //
   // The key is prefixed with "tg_" to avoid collisions with other scripts.
   // =========================================================================
@@ -602,6 +1462,8 @@
 
     function getStorage() {
       var strategy = configManager.getConfig('persistStorage');
+      // [NEW v1.6.0] Custom adapter.
+      if (strategy && typeof strategy === 'object') return guardAdapter(strategy, 'custom storage');
       if (strategy === 'GM') {
         // Check that all three GM functions are available.
         // They might be missing if the developer forgot to add @grant directives.
@@ -644,36 +1506,137 @@
           '  // @grant GM_deleteValue\n' +
           'Falling back to localStorage. Note that localStorage is limited to the current origin.');
       }
-      // Default: localStorage adapter
-      return {
-        get: function (key) {
-          try {
-            var raw = localStorage.getItem(key);
-            if (raw === null) return null;
+      // [NEW v1.6.0] Promise-based GM API.
+      if (strategy === 'GM_async') {
+        var hasGMAsync = typeof GM !== 'undefined' && GM !== null &&
+          typeof GM.getValue === 'function' && typeof GM.setValue === 'function' && typeof GM.deleteValue === 'function';
+        if (hasGMAsync) {
+          return guardAdapter({
+            get: function (key) { return GM.getValue(key, null); },
+            set: function (key, val) { return GM.setValue(key, JSON.stringify(val)); },
+            remove: function (key) { return GM.deleteValue(key); },
+          }, 'GM storage');
+        }
+        warn(ErrorCodes.PERSISTENCE_ERROR, 'persistStorage is set to "GM_async" but GM.getValue/GM.setValue/GM.deleteValue are not available. ' +
+          'Make sure your userscript header includes:\n' +
+          '  // @grant GM.getValue\n' +
+          '  // @grant GM.setValue\n' +
+          '  // @grant GM.deleteValue\n' +
+          'Falling back to localStorage. Note that localStorage is limited to the current origin.');
+      }
+      // [MODIFIED v1.6.0] Default: localStorage adapter (or sessionStorage).
+      return webStorageAdapter(strategy === 'sessionStorage' ? 'sessionStorage' : 'localStorage');
+    }
+
+    /**
+     * Returns an adapter for window.localStorage or window.sessionStorage.
+     * The storage is looked up on every call, because merely accessing it
+     * can throw (sandboxed iframes, disabled cookies).
+     *
+     * @param {string} name - "localStorage" or "sessionStorage"
+     * @returns {{ get: function, set: function, remove: function }}
+     */
+    function webStorageAdapter(name) {
+      return {
+        get: function (key) {
+          try {
+            var raw = window[name].getItem(key);
+            if (raw === null) return null;
             return JSON.parse(raw);
           } catch (e) {
-            warn(ErrorCodes.PERSISTENCE_ERROR, 'Failed to read from localStorage (key: "' + key + '"): ' + e.message + '. ' +
-              'This can happen in private browsing mode or when localStorage is disabled. ' +
+            warn(ErrorCodes.PERSISTENCE_ERROR, 'Failed to read from ' + name + ' (key: "' + key + '"): ' + e.message + '. ' +
+              'This can happen in private browsing mode or when ' + name + ' is disabled. ' +
               'The tour will start from step 0.');
             return null;
           }
         },
         set: function (key, val) {
-          try { localStorage.setItem(key, JSON.stringify(val)); }
+          try { window[name].setItem(key, JSON.stringify(val)); }
           catch (e) {
-            warn(ErrorCodes.PERSISTENCE_ERROR, 'Failed to write to localStorage (key: "' + key + '"): ' + e.message + '. ' +
+            warn(ErrorCodes.PERSISTENCE_ERROR, 'Failed to write to ' + name + ' (key: "' + key + '"): ' + e.message + '. ' +
               'Storage may be full or disabled. Tour progress will not be saved.');
           }
         },
         remove: function (key) {
-          try { localStorage.removeItem(key); }
+          try { window[name].removeItem(key); }
           catch (e) {
-            warn(ErrorCodes.PERSISTENCE_ERROR, 'Failed to remove from localStorage (key: "' + key + '"): ' + e.message + '.');
+            warn(ErrorCodes.PERSISTENCE_ERROR, 'Failed to remove from ' + name + ' (key: "' + key + '"): ' + e.message + '.');
           }
         },
       };
     }
 
+    /**
+     * [NEW v1.6.0] Wraps an adapter whose methods may throw, reject, or
+     * return JSON strings. Failures are warned as PERSISTENCE_ERROR and
+     * turned into null, the same as the built-in adapters do.
+     *
+     * @param {{ get: function, set: function, remove: function }} adapter
+     * @param {string} label - Used in warnings
+     * @returns {{ get: function, set: function, remove: function }}
+     */
+    function guardAdapter(adapter, label) {
+      function fail(action, key, e) {
+        warn(ErrorCodes.PERSISTENCE_ERROR, 'Failed to ' + action + ' ' + label + ' (key: "' + key + '"): ' +
+          (e && e.message ? e.message : e) + '.');
+        return null;
+      }
+      function call(action, key, fn) {
+        try {
+          var result = fn();
+          if (isThenable(result)) return result.then(null, function (e) { return fail(action, key, e); });
+          return result;
+        } catch (e) {
+          return fail(action, key, e);
+        }
+      }
+      function parse(raw) {
+        if (raw === null || raw === undefined) return null;
+        return typeof raw === 'string' ? JSON.parse(raw) : raw;
+      }
+      return {
+        get: function (key) {
+          return call('read from', key, function () { return thenOrNow(adapter.get(key), parse); });
+        },
+        set: function (key, val) {
+          return call('write to', key, function () { return adapter.set(key, val); });
+        },
+        remove: function (key) {
+          return call('delete from', key, function () { return adapter.remove(key); });
+        },
+      };
+    }
+
+    // [NEW v1.6.0] Applies fn to a value that may be a Promise. Plain values
+    // are handled synchronously so the built-in adapters stay synchronous.
+    function thenOrNow(value, fn) {
+      return isThenable(value) ? value.then(fn) : fn(value);
+    }
+
+    // [NEW v1.6.0] Tail of the write queue while an async write is pending.
+    var pendingWrite = null;
+
+    /**
+     * [NEW v1.6.0] Runs a storage task after any pending async write.
+     * Synchronous tasks with nothing pending run immediately.
+     *
+     * @param {function} task
+     * @returns {*} The task's result, or a Promise of it
+     */
+    function enqueue(task) {
+      if (!pendingWrite) {
+        var result = task();
+        if (!isThenable(result)) return result;
+        pendingWrite = result;
+      } else {
+        pendingWrite = pendingWrite.then(task, task);
+      }
+      var mine = pendingWrite;
+      function done() { if (pendingWrite === mine) pendingWrite = null; }
+      mine.then(done, done);
+      return mine;
+    }
+
     /**
      * Builds the full storage key by prepending the "tg_" namespace.
      * Returns null if persistence is disabled or no persistKey is configured.
@@ -689,62 +1652,466 @@
     }
 
     /**
-     * Saves the current step index and completion status.
+     * Saves the current step index, completion status, and navigation history.
      * Called internally after each step transition and on tour completion.
      *
      * @param {number} index - The zero-based step index
      * @param {boolean} completed - Whether the tour has been fully completed
+     * @param {Array<number>} [history] - The visited step indices, oldest first
      */
 
-    function save(index, completed) {
-      var fullKey = getFullKey();
-      if (!fullKey) return;
-      getStorage().set(fullKey, {
+    function save(index, completed, history) {
+      var steps = configManager.getConfig('steps') || [];
+      history = history ? history.slice() : [];
+      return update({
         index: index,
         completed: completed || false,
-        timestamp: Date.now(),
+        history: history,
+        stepId: stepIdAt(steps, index),
+        historyIds: history.map(function (i) { return stepIdAt(steps, i); }),
+      });
+    }
+
+    function stepIdAt(steps, index) {
+      return (steps[index] && typeof steps[index].id === 'string') ? steps[index].id : null;
+    }
+
+    function indexOfStepId(steps, id) {
+      if (typeof id !== 'string') return -1;
+      for (var i = 0; i < steps.length; i++) {
+        if (steps[i].id === id) return i;
+      }
+      return -1;
+    }
+
+    /**
+     * [NEW v1.6.0] Resolves where a saved record resumes in the current
+     * steps: by stepId when that step still exists, otherwise by index.
+     * The history is remapped the same way; entries that cannot be placed
+     * are dropped.
+     *
+     * @param {object} record - A record returned by load()
+     * @returns {{ index: number, history: number[] }}
+     */
+    function resolvePosition(record) {
+      var steps = configManager.getConfig('steps') || [];
+      var byId = indexOfStepId(steps, record.stepId);
+      var index = byId !== -1 ? byId : record.index;
+      var ids = Array.isArray(record.historyIds) ? record.historyIds : [];
+      var history = [];
+      for (var i = 0; i < record.history.length; i++) {
+        var hi = indexOfStepId(steps, ids[i]);
+        if (hi === -1 && !ids[i]) hi = record.history[i];
+        if (hi >= 0 && hi < steps.length) history.push(hi);
+      }
+      return { index: index, history: history };
+    }
+
+    /**
+     * [NEW v1.6.0] Brings a record saved under another tourVersion up to
+     * date. config.migrateProgress(record, oldVersion) decides:
+     *   - false or null:  discard the record (the tour starts over)
+     *   - true:           keep the record as it is
+     *   - an object:      fields to overwrite, e.g. { stepId: 'new-id' }
+     *                     or { index: 3, history: [0, 3] }
+     * Without the hook (or when it returns undefined or throws), the record
+     * is kept if its step ID still exists. Otherwise only its position is
+     * reset to the first step: completion, "never show again", the snooze,
+     * and the dismissal count stay.
+     *
+     * @param {object} record
+     * @returns {object|null} The migrated record, or null to discard it
+     */
+    function migrate(record) {
+      var hook = configManager.getConfig('migrateProgress');
+      var decision;
+      if (hook) {
+        try {
+          var copy = JSON.parse(JSON.stringify(record));
+          decision = hook(copy, record.version);
+        } catch (e) {
+          warn(ErrorCodes.HOOK_ERROR, 'migrateProgress threw: ' + e.message + '. Falling back to resuming by step ID.');
+          decision = undefined;
+        }
+      }
+      if (decision === false || decision === null) return null;
+      if (decision === true) return record;
+      if (decision && typeof decision === 'object') {
+        var keys = Object.keys(decision);
+        for (var i = 0; i < keys.length; i++) record[keys[i]] = decision[keys[i]];
+        // An explicit index without a stepId means "this index".
+        if (decision.index !== undefined && decision.stepId === undefined) record.stepId = null;
+        if (decision.history !== undefined && decision.historyIds === undefined) record.historyIds = [];
+        return record;
+      }
+      var steps = configManager.getConfig('steps') || [];
+      if (indexOfStepId(steps, record.stepId) === -1) {
+        record.index = 0;
+        record.stepId = null;
+        record.history = [];
+        record.historyIds = [];
+      }
+      return record;
+    }
+
+    /**
+     * [NEW v1.6.0] Merges fields into the saved record (creating it if
+     * needed) and refreshes its timestamp. patch may be a function that
+     * receives the current record and returns the fields.
+     *
+     * @param {object|function} patch - Fields to overwrite
+     * @returns {object|Promise|null} The record written (a Promise of it for
+     *   async storage), or null if persistence is off
+     */
+    function update(patch) {
+      var fullKey = getFullKey();
+      if (!fullKey) return null;
+      return enqueue(function () {
+        var storage = getStorage();
+        return thenOrNow(read(storage, fullKey), function (record) {
+          record = record || {
+            index: 0, completed: false, history: [],
+            snoozedUntil: 0, dismissCount: 0, neverShow: false,
+            stepId: null, historyIds: [],
+          };
+          record.version = currentVersion();
+          var fields = typeof patch === 'function' ? patch(record) : patch;
+          var keys = Object.keys(fields);
+          for (var i = 0; i < keys.length; i++) record[keys[i]] = fields[keys[i]];
+          record.timestamp = Date.now();
+          return thenOrNow(storage.set(fullKey, record), function () { return record; });
+        });
       });
     }
 
+    /**
+     * [NEW v1.6.0] Counts one more dismissal (the user closed the tour
+     * before finishing it).
+     */
+    function recordDismissal() {
+      return update(function (record) { return { dismissCount: record.dismissCount + 1 }; });
+    }
+
     /**
      * Loads previously saved progress.
      * Returns null if no progress exists, persistence is disabled,
      * or the saved data has expired.
      *
-     * @returns {{ index: number, completed: boolean, timestamp: number }|null}
+     * [MODIFIED v1.6.0] Returns a Promise of the same when the storage is
+     * asynchronous (see loadAsync() for a Promise in every case).
+     *
+     * @returns {{ index: number, completed: boolean, timestamp: number, history: Array<number>,
+     *   snoozedUntil: number, dismissCount: number, neverShow: boolean }|null|Promise}
      */
     function load() {
       var fullKey = getFullKey();
       if (!fullKey) return null;
-      var data = getStorage().get(fullKey);
+      // Queued like a write: reading may clean up or migrate the record,
+      // and a save() made meanwhile must not be overwritten by that.
+      return enqueue(function () { return read(getStorage(), fullKey); });
+    }
+
+    /**
+     * [NEW v1.6.0] load() that always returns a Promise.
+     *
+     * @returns {Promise<object|null>}
+     */
+    function loadAsync() {
+      try { return Promise.resolve(load()); }
+      catch (e) { return Promise.reject(e); }
+    }
+
+    function read(storage, fullKey) {
+      return thenOrNow(storage.get(fullKey), function (data) { return normalize(storage, fullKey, data); });
+    }
+
+    // Validates, defaults, expires, and migrates a raw record. Cleanup and
+    // migration writes are chained into the result, so callers (always
+    // inside enqueue()) do not go on before they are stored.
+    function normalize(storage, fullKey, data) {
       if (!data) return null;
       // Validate the loaded data structure to handle corrupted entries.
       if (typeof data.index !== 'number' || typeof data.timestamp !== 'number') {
         warn(ErrorCodes.PERSISTENCE_ERROR, 'Saved progress data is malformed (key: "' + fullKey + '"). ' +
           'Expected { index: number, completed: boolean, timestamp: number }. ' +
           'Clearing corrupted data and starting from step 0.');
-        getStorage().remove(fullKey);
-        return null;
+        return thenOrNow(storage.remove(fullKey), function () { return null; });
       }
-      // Check expiration.
+      // [NEW v1.6.0] Snooze/dismissal fields, defaulted for older records.
+      if (typeof data.snoozedUntil !== 'number') data.snoozedUntil = 0;
+      if (typeof data.dismissCount !== 'number' || data.dismissCount < 0) data.dismissCount = 0;
+      data.neverShow = data.neverShow === true;
+      // Check expiration. "Never show again" and a pending snooze outlive it.
       var expiry = configManager.getConfig('persistExpiry');
-      if (expiry > 0 && Date.now() - data.timestamp > expiry) {
-        getStorage().remove(fullKey);
-        return null;
+      var held = data.neverShow || data.snoozedUntil > Date.now();
+      if (expiry > 0 && !held && Date.now() - data.timestamp > expiry) {
+        return thenOrNow(storage.remove(fullKey), function () { return null; });
+      }
+      // [NEW v1.6.0] A missing or malformed history is not fatal: the tour
+      // resumes at the saved index with an empty history.
+      var validHistory = Array.isArray(data.history) && data.history.every(function (n) {
+        return typeof n === 'number' && n >= 0 && Math.floor(n) === n;
+      });
+      if (!validHistory) data.history = [];
+      // [NEW v1.6.0] Migrate records saved under another tourVersion.
+      if (data.version !== currentVersion()) {
+        var migrated = migrate(data);
+        if (!migrated) {
+          return thenOrNow(storage.remove(fullKey), function () { return null; });
+        }
+        migrated.version = currentVersion();
+        return thenOrNow(storage.set(fullKey, migrated), function () { return migrated; });
       }
       return data;
     }
 
+    // Records saved without a tourVersion (including all v1.5.0 records)
+    // have no "version" key; undefined stands for "unversioned" on both sides.
+    function currentVersion() {
+      var v = configManager.getConfig('tourVersion');
+      return v === '' ? undefined : v;
+    }
+
     /**
      * Clears all saved progress for this tour.
      */
     function clear() {
       var fullKey = getFullKey();
-      if (fullKey) getStorage().remove(fullKey);
+      if (!fullKey) return null;
+      return enqueue(function () { return getStorage().remove(fullKey); });
+    }
+
+    // [NEW v1.6.0] Hotspot state. Each hotspot with an "id" has its own
+    // record, "tg_hotspot_" + id, in the same backend as the tour progress:
+    //   { seenAt: number, dismissedAt: number, expiresAt: number }
+    // Timestamps are 0 when unset; expiresAt 0 means the record never
+    // expires. These records do not depend on persist or persistKey.
+
+    function hotspotKey(id) {
+      return 'tg_hotspot_' + id;
+    }
+
+    // Reads a hotspot record; expired or malformed ones are removed.
+    function readHotspot(storage, key) {
+      return thenOrNow(storage.get(key), function (data) {
+        if (!data) return null;
+        if (typeof data.seenAt !== 'number' || typeof data.dismissedAt !== 'number') {
+          warn(ErrorCodes.PERSISTENCE_ERROR, 'Saved hotspot state is malformed (key: "' + key + '"). ' +
+            'Expected { seenAt: number, dismissedAt: number, expiresAt: number }. Clearing it.');
+          storage.remove(key);
+          return null;
+        }
+        if (data.expiresAt > 0 && Date.now() >= data.expiresAt) {
+          storage.remove(key);
+          return null;
+        }
+        return data;
+      });
+    }
+
+    /**
+     * [NEW v1.6.0] Loads the saved state of a hotspot.
+     *
+     * @param {string} id
+     * @returns {object|null|Promise} The record, or null if there is none;
+     *   a Promise of either for async storage
+     */
+    function loadHotspot(id) {
+      var key = hotspotKey(id);
+      if (pendingWrite) {
+        return pendingWrite.then(function () { return readHotspot(getStorage(), key); });
+      }
+      return readHotspot(getStorage(), key);
+    }
+
+    /**
+     * [NEW v1.6.0] Merges fields into the saved state of a hotspot.
+     *
+     * @param {string} id
+     * @param {object} fields - e.g. { seenAt: Date.now() }
+     * @param {number} expiry - Forget the record this many ms after this
+     *   write (0 = never)
+     * @returns {object|Promise} The record written, or a Promise of it
+     */
+    function updateHotspot(id, fields, expiry) {
+      var key = hotspotKey(id);
+      return enqueue(function () {
+        var storage = getStorage();
+        return thenOrNow(readHotspot(storage, key), function (record) {
+          record = record || { seenAt: 0, dismissedAt: 0, expiresAt: 0 };
+          var keys = Object.keys(fields);
+          for (var i = 0; i < keys.length; i++) record[keys[i]] = fields[keys[i]];
+          record.expiresAt = expiry > 0 ? Date.now() + expiry : 0;
+          return thenOrNow(storage.set(key, record), function () { return record; });
+        });
+      });
+    }
+
+    /**
+     * [NEW v1.6.0] Clears the saved state of a hotspot.
+     *
+     * @param {string} id
+     */
+    function clearHotspot(id) {
+      var key = hotspotKey(id);
+      return enqueue(function () { return getStorage().remove(key); });
+    }
+
+    return {
+      save: save, load: load, loadAsync: loadAsync, clear: clear, update: update,
+      recordDismissal: recordDismissal, resolvePosition: resolvePosition,
+      loadHotspot: loadHotspot, updateHotspot: updateHotspot, clearHotspot: clearHotspot,
+    };
+
+  }
+
+  // =========================================================================
+  // [NEW v1.6.0] MODULE: Tab Sync Manager
+  // =========================================================================
+  // Coordinates a persisted tour between browser tabs (syncTabs: true).
+  // Every tab running the same persistKey joins a channel while its tour is
+  // active and announces what it does:
+  //   - "show":     the tour started in this tab
+  //   - "progress": this tab moved to another step
+  //   - "complete": the tour was finished
+  //
+  // The channel depends on the storage backend:
+  //   - "GM" / "GM_async": GM_addValueChangeListener on a "tg_sync_" value,
+  //     which reaches tabs on every origin. Requires @grant
+  //     GM_addValueChangeListener (plus GM_setValue or GM.setValue). Without
+  //     it, this falls back to the same-origin channels below with a warning.
+  //   - Everything else: BroadcastChannel, or the "storage" event of
+  //     localStorage where BroadcastChannel is missing. Same origin only.
+  //
+  // The manager only transports messages; the driver decides what they mean.
+  // =========================================================================
+
+  function createTabSyncManager(configManager) {
+    var tabId = Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+    var channel = null;
+    var handler = null;
+
+    function isEnabled() {
+      return configManager.getConfig('syncTabs') === true &&
+        configManager.getConfig('persist') === true && !!configManager.getConfig('persistKey');
+    }
+
+    function receive(raw) {
+      var msg = raw;
+      if (typeof raw === 'string') {
+        try { msg = JSON.parse(raw); } catch (e) { return; }
+      }
+      if (!msg || typeof msg !== 'object' || msg.tab === tabId || typeof msg.type !== 'string') return;
+      if (handler) handler(msg);
+    }
+
+    // Channel over a GM value: each message overwrites the value, and the
+    // change listener reports writes made by other tabs as "remote".
+    function gmChannel(key, async) {
+      var listenerId = GM_addValueChangeListener(key, function (name, oldValue, newValue, remote) {
+        if (remote && newValue) receive(newValue);
+      });
+      return {
+        send: function (msg) {
+          var json = JSON.stringify(msg);
+          try {
+            var result = async ? GM.setValue(key, json) : GM_setValue(key, json);
+            if (isThenable(result)) result.then(null, function (e) { failed(e); });
+          } catch (e) { failed(e); }
+        },
+        close: function () {
+          if (typeof GM_removeValueChangeListener === 'function') {
+            try { GM_removeValueChangeListener(listenerId); } catch (e) { /* already gone */ }
+          }
+        },
+      };
+    }
+
+    function broadcastChannel(key) {
+      var bc = new BroadcastChannel(key);
+      bc.onmessage = function (e) { receive(e.data); };
+      return {
+        send: function (msg) { bc.postMessage(msg); },
+        close: function () { bc.close(); },
+      };
+    }
+
+    // Fallback: setting and removing a localStorage item fires "storage"
+    // in every other same-origin tab.
+    function storageEventChannel(key) {
+      function onStorage(e) {
+        if (e.key === key && e.newValue) receive(e.newValue);
+      }
+      window.addEventListener('storage', onStorage);
+      return {
+        send: function (msg) {
+          try {
+            window.localStorage.setItem(key, JSON.stringify(msg));
+            window.localStorage.removeItem(key);
+          } catch (e) { failed(e); }
+        },
+        close: function () { window.removeEventListener('storage', onStorage); },
+      };
+    }
+
+    function failed(e) {
+      warn(ErrorCodes.PERSISTENCE_ERROR, 'Failed to notify other tabs: ' + (e && e.message ? e.message : e) + '. ' +
+        'Other tabs may keep showing this tour.');
+    }
+
+    function open() {
+      var key = 'tg_sync_' + configManager.getConfig('persistKey');
+      var storage = configManager.getConfig('persistStorage');
+      if (storage === 'GM' || storage === 'GM_async') {
+        var async = storage === 'GM_async';
+        var canSet = async ? (typeof GM !== 'undefined' && GM !== null && typeof GM.setValue === 'function') : typeof GM_setValue === 'function';
+        if (canSet && typeof GM_addValueChangeListener === 'function') return gmChannel(key, async);
+        warn(ErrorCodes.PERSISTENCE_ERROR, 'syncTabs with persistStorage "' + storage + '" needs GM_addValueChangeListener. ' +
+          'Make sure your userscript header includes:\n' +
+          '  // @grant GM_addValueChangeListener\n' +
+          'Falling back to same-origin tab sync.');
+      }
+      if (typeof BroadcastChannel === 'function') return broadcastChannel(key);
+      return storageEventChannel(key);
+    }
+
+    /**
+     * Joins the channel. Does nothing if syncTabs is off or already started.
+     *
+     * @param {function(object)} onMessage - Receives messages from other tabs
+     */
+    function start(onMessage) {
+      if (channel || !isEnabled()) return;
+      handler = onMessage;
+      try { channel = open(); }
+      catch (e) { failed(e); channel = null; }
+    }
+
+    /**
+     * Sends a message to the other tabs.
+     *
+     * @param {string} type - "show" | "progress" | "complete"
+     * @param {object} [data] - Extra fields
+     */
+    function post(type, data) {
+      if (!channel) return;
+      var msg = { tab: tabId, type: type, time: Date.now() };
+      if (data) {
+        var keys = Object.keys(data);
+        for (var i = 0; i < keys.length; i++) msg[keys[i]] = data[keys[i]];
+      }
+      channel.send(msg);
     }
 
-    return { save: save, load: load, clear: clear };
+    /**
+     * Leaves the channel.
+     */
+    function stop() {
+      if (channel) { channel.close(); channel = null; }
+      handler = null;
+    }
 
+    return { start: start, post: post, stop: stop, tabId: tabId };
   }
 
     // =========================================================================
@@ -765,7 +2132,7 @@
   //   - Total duration of the tour session
   // =========================================================================
 
-  function createAnaliticsTracker(configManager) {
+  function createAnalyticsTracker(configManager) {
     var startTime = 0;
     var stepEnteredAt = 0;
     var visitedindexes = [];
@@ -966,7 +2333,7 @@
   // are visually hidden and do not interfere with the page layout.
   // =========================================================================
 
-    function createAccessibilityManager() {
+    function createAccessibilityManager(uiRoot) {
     var liveRegion = null;
     var trapCleanup = null;
 
@@ -976,13 +2343,13 @@
      * screen readers.
      */
     function createLiveRegion() {
-      if (liveRegion && document.body.contains(liveRegion)) return;
+      if (liveRegion && isAttached(liveRegion)) return;
       liveRegion = document.createElement('div');
       liveRegion.setAttribute('aria-live', 'polite');
       liveRegion.setAttribute('aria-atomic', 'true');
       liveRegion.setAttribute('role', 'status');
       liveRegion.classList.add('tg-live-region');
-      document.body.appendChild(liveRegion);
+      uiRoot.mount(liveRegion);
     }
 
     /**
@@ -1029,6 +2396,9 @@
 
       function trapHandler(e) {
         if (e.key !== 'Tab') return;
+        // Inside a shadow root, document.activeElement is the shadow host.
+        var root = popoverEl.getRootNode ? popoverEl.getRootNode() : document;
+        var active = root.activeElement;
         // If only one focusable element, just prevent Tab from leaving.
         if (focusable.length === 1) {
           e.preventDefault();
@@ -1036,13 +2406,13 @@
         }
         if (e.shiftKey) {
           // Shift+Tab: if on first element, wrap to last
-          if (document.activeElement === firstFocusable) {
+          if (active === firstFocusable) {
             e.preventDefault();
             lastFocusable.focus();
           }
         } else {
           // Tab: if on last element, wrap to first
-          if (document.activeElement === lastFocusable) {
+          if (active === lastFocusable) {
             e.preventDefault();
             firstFocusable.focus();
           }
@@ -1095,131 +2465,462 @@
   // =========================================================================
   // These utility functions handle the "when" and "waitFor" step properties.
   //
-  // "when" is a synchronous guard: a function that returns true/false.
+  // "when" is a guard: a function that returns true/false, or [v1.6.0] a
+  //   Promise resolving to true/false (e.g. after asking a backend).
   //   - When it returns false, the step is skipped and the tour advances
   //     to the next eligible step automatically.
   //   - This is evaluated lazily at the moment the step would be activated,
   //     NOT at configuration time. This makes it safe for dynamic conditions
   //     that depend on the current DOM state or user data.
   //
-  // "waitFor" is an asynchronous polling mechanism: it repeatedly checks
-  //   for the element to appear in the DOM before activating the step.
-  //   - Uses setInterval with a configurable poll interval (default 200ms).
+  // "waitFor" [MODIFIED v1.6.0] waits for the element to be ready before
+  //   activating the step. Ready means: present in the DOM, visible
+  //   (waitFor.visible, default true), passing the optional waitFor.until
+  //   condition, and stable, i.e. its bounding box has stopped moving for a
+  //   few animation frames (waitFor.stable, default true).
+  //   - By default a MutationObserver re-checks on DOM changes, including
+  //     class, style and hidden attribute changes on the element's
+  //     ancestors, and window resizes and finished CSS transitions or
+  //     animations re-check as well (media queries, fade-ins), so the
+  //     step activates as soon as the element is ready. With
+  //     strategy: "poll", or when MutationObserver is unavailable, the
+  //     v1.5.0 setInterval polling (waitFor.pollInterval) is used instead.
+  //   - Misses while waiting are silent; only the timeout is warned.
   //   - Times out after a configurable duration (default 5000ms).
   //   - On timeout, the step is skipped with a warning (not an error),
   //     so the tour continues gracefully.
-  //   - The poll is automatically cleared if the tour is destroyed
-  //     while waiting.
+  //   - Observers and timers are automatically cleared if the tour is
+  //     destroyed while waiting.
   //
   // Both helpers are designed to be called from within highlightStep()
   // and do not modify any global state themselves.
   // =========================================================================
 
+  /**
+   * Returns true if value looks like a Promise (has a callable "then").
+   * Duck typing is used so that Promises from other realms (the page
+   * window vs. the userscript sandbox) and Promise libraries are accepted.
+   *
+   * @param {*} value
+   * @returns {boolean}
+   */
+  function isThenable(value) {
+    return value !== null && (typeof value === 'object' || typeof value === 'function') &&
+      typeof value.then === 'function';
+  }
+
   /**
    * Evaluates the "when" guard for a step.
    * Returns true if the step should be shown, false if it should be skipped.
    * If the "when" function throws, the error is caught, warned, and the
    * step is shown anyway (fail-open) to avoid silently breaking the tour.
    *
+   * [MODIFIED v1.6.0] "when" may return a Promise. In that case a Promise
+   * resolving to the same boolean is returned; a rejection is fail-open
+   * like a thrown error.
+   *
    * @param {object} step - The step configuration object
    * @param {number} index - The step index (for error messages)
-   * @returns {boolean}
+   * @returns {boolean|Promise<boolean>}
    */
   function evaluateStepCondition(step, index) {
     if (typeof step.when !== 'function') return true;
+    function failOpen(e) {
+      warn(ErrorCodes.HOOK_ERROR,
+        '"when" function in step ' + index + ' threw an error: ' + (e && e.message ? e.message : e) + '. ' +
+        'The step will be shown anyway to avoid breaking the tour. ' +
+        'Fix the "when" function to prevent this warning.');
+      return true;
+    }
     try {
       var result = step.when();
+      if (isThenable(result)) {
+        return result.then(function (value) { return value !== false; }, failOpen);
+      }
       // Coerce to boolean explicitly. Only skip on strict false.
       return result !== false;
     } catch (e) {
-      warn(ErrorCodes.HOOK_ERROR,
-        '"when" function in step ' + index + ' threw an error: ' + e.message + '. ' +
-        'The step will be shown anyway to avoid breaking the tour. ' +
-        'Fix the "when" function to prevent this warning.');
-      return true;
+      return failOpen(e);
+    }
+  }
+
+  // [NEW v1.6.0] True if the step's "element" contains a selector that
+  // crosses into a shadow root or an iframe.
+  function piercesBoundaries(element) {
+    var targets = Array.isArray(element) ? element : [element];
+    for (var i = 0; i < targets.length; i++) {
+      if (typeof targets[i] === 'string' && targets[i].indexOf(PIERCE_SEPARATOR) !== -1) return true;
     }
+    return false;
   }
 
+  // Number of consecutive animation frames the element's bounding box must
+  // stay unchanged before it is considered stable.
+  var STABLE_FRAMES = 3;
+
   /**
-   * Polls for a step's element to appear in the DOM.
-   * Calls the callback with the resolved element once found, or with null
+   * Waits for a step's element to be ready (see the module comment above).
+   * Calls the callback with the resolved element once ready, or with null
    * if the timeout is reached.
    *
    * @param {object} step - The step configuration object
    * @param {number} index - The step index (for error messages)
    * @param {function} callback - Called with (element|null) when done
-   * @returns {function} cleanup - Call to abort the polling early
+   * @returns {function} cleanup - Call to abort the wait early
    */
   function waitForElement(step, index, callback) {
     if (!step.waitFor) {
-      callback(resolveElement(step.element));
+      callback(resolveStepElements(step).primary);
       return function () {};
     }
 
-    var timeout = (typeof step.waitFor.timeout === 'number') ? step.waitFor.timeout : 5000;
-    var interval = (typeof step.waitFor.pollInterval === 'number') ? step.waitFor.pollInterval : 200;
-    var elapsed = 0;
+    var opts = step.waitFor;
+    var timeout = (typeof opts.timeout === 'number') ? opts.timeout : 5000;
+    var interval = (typeof opts.pollInterval === 'number') ? opts.pollInterval : 200;
+    var strategy = opts.strategy || 'observer';
+    if (strategy === 'observer' && typeof MutationObserver !== 'function') strategy = 'poll';
+    // Mutations inside shadow roots and iframes never reach an observer on
+    // the top document, so piercing selectors are polled.
+    if (strategy === 'observer' && piercesBoundaries(step.element)) strategy = 'poll';
+
     var resolved = false;
+    var observer = null;
+    var pollTimer = null;
+    var timeoutTimer = null;
+    var checkFrame = null;
+    var stableFrame = null;
+
+    function isReady(el) {
+      if (opts.visible !== false && !isElementVisible(el)) return false;
+      if (typeof opts.until === 'function') {
+        try { return !!opts.until(el); }
+        catch (e) {
+          warn(ErrorCodes.HOOK_ERROR, '"waitFor.until" in step ' + index + ' threw an error: ' + e.message + '. ' +
+            'The condition is treated as not met.');
+          return false;
+        }
+      }
+      return true;
+    }
+
+    function stop() {
+      resolved = true;
+      if (observer) { observer.disconnect(); observer = null; }
+      if (strategy !== 'poll') {
+        window.removeEventListener('resize', schedule);
+        document.removeEventListener('transitionend', schedule, true);
+        document.removeEventListener('animationend', schedule, true);
+      }
+      clearInterval(pollTimer);
+      clearTimeout(timeoutTimer);
+      if (checkFrame) cancelAnimationFrame(checkFrame);
+      if (stableFrame) cancelAnimationFrame(stableFrame);
+      checkFrame = null;
+      stableFrame = null;
+    }
 
-    var timer = setInterval(function () {
+    function finish(el) {
       if (resolved) return;
-      var el = resolveElement(step.element);
-      if (el) {
-        resolved = true;
-        clearInterval(timer);
-        callback(el);
-        return;
+      stop();
+      callback(el);
+    }
+
+    // Follows the element's bounding box across animation frames until it
+    // stays the same for STABLE_FRAMES frames. If the element is detached
+    // or stops being ready meanwhile, we go back to watching.
+    function waitUntilStable(el) {
+      var last = null;
+      var unchanged = 0;
+      function frame() {
+        stableFrame = null;
+        if (resolved) return;
+        if (!isReady(el)) return;
+        var r = el.getBoundingClientRect();
+        if (last && r.top === last.top && r.left === last.left && r.width === last.width && r.height === last.height) {
+          unchanged++;
+        } else {
+          unchanged = 0;
+        }
+        last = r;
+        if (unchanged >= STABLE_FRAMES) { finish(el); return; }
+        stableFrame = requestAnimationFrame(frame);
       }
-      elapsed += interval;
-      if (elapsed >= timeout) {
-        resolved = true;
-        clearInterval(timer);
-        warn(ErrorCodes.WAIT_TIMEOUT,
-          'waitFor timed out after ' + timeout + 'ms for step ' + index +
-          ' (element: "' + (typeof step.element === 'string' ? step.element : '[function/Element]') + '"). ' +
-          'The element did not appear in the DOM within the timeout period. ' +
-          'The step will be skipped. Consider increasing waitFor.timeout or ' +
-          'checking that the element selector is correct.');
-        callback(null);
-      }
-    }, interval);
-
-    // Return a cleanup function that aborts the polling.
+      stableFrame = requestAnimationFrame(frame);
+    }
+
+    function check() {
+      checkFrame = null;
+      if (resolved || stableFrame) return;
+      var el = resolveStepElements(step, true).primary;
+      if (!el || !isReady(el)) return;
+      if (opts.stable === false) { finish(el); return; }
+      waitUntilStable(el);
+    }
+
+    // Batches bursts of mutations and events into one check per frame.
+    function schedule() {
+      if (!checkFrame && !resolved) checkFrame = requestAnimationFrame(check);
+    }
+
+    if (strategy === 'poll') {
+      pollTimer = setInterval(check, interval);
+    } else {
+      // Every attribute is watched, not only class, style and hidden:
+      // waitFor.until may depend on any of them (disabled, aria-expanded).
+      observer = new MutationObserver(schedule);
+      observer.observe(document.documentElement, {
+        childList: true, subtree: true, attributes: true, characterData: false,
+      });
+      // Visibility can also change without a mutation: a media query that
+      // starts or stops matching, or a transition or animation that ends.
+      window.addEventListener('resize', schedule);
+      document.addEventListener('transitionend', schedule, true);
+      document.addEventListener('animationend', schedule, true);
+    }
+
+    timeoutTimer = setTimeout(function () {
+      if (resolved) return;
+      warn(ErrorCodes.WAIT_TIMEOUT,
+        'waitFor timed out after ' + timeout + 'ms for step ' + index +
+        ' (element: "' + (typeof step.element === 'string' ? step.element : '[function/Element]') + '"). ' +
+        'The element did not appear' + (opts.visible !== false ? ', become visible' : '') +
+        (typeof opts.until === 'function' ? ', satisfy waitFor.until' : '') +
+        (opts.stable !== false ? ', or stop moving' : '') + ' within the timeout period. ' +
+        'The step will be skipped. Consider increasing waitFor.timeout or ' +
+        'checking that the element selector is correct.');
+      finish(null);
+    }, timeout);
+
+    // The element may already be ready. Check on the next tick so the
+    // callback never runs before the caller has stored the cleanup.
+    setTimeout(check, 0);
+
+    // Return a cleanup function that aborts the wait.
     // This is called if the tour is destroyed while we are still waiting.
     return function () {
-      if (!resolved) {
-        resolved = true;
-        clearInterval(timer);
-      }
+      if (!resolved) stop();
     };
   }
 
   // =========================================================================
-  // [NEW v1.5.0] MODULE: AdvanceOn Manager
+  // [NEW v1.6.0] MODULE: Page Matching
   // =========================================================================
-  // Handles the "advanceOn" step property which allows a step to wait for
-  // a specific user interaction (click, input, change, etc.) before
-  // advancing to the next step.
-  //
-  // When advanceOn is configured on a step:
-  //   1. An event listener is attached to the target element (or document
-  //      if no selector is provided).
-  //   2. When the event fires, the listener is removed and the tour
-  //      advances to the next step automatically.
-  //   3. If the target element cannot be found, a warning is logged and
-  //      the step behaves normally (user can still click Next).
-  //
-  // The listener is always removed when:
-  //   - The event fires (normal advancement)
-  //   - The user navigates away from the step manually (Next/Prev/Close)
-  //   - The tour is destroyed
+  // Ties steps to pages for tours that span several URLs. A step may
+  // declare:
+  //   - url:   matched against location.href
+  //   - route: matched against location.pathname
+  // Both accept a string (exact match, or a glob where * matches any run of
+  // characters), a RegExp, or a function receiving window.location. With
+  // both, both must match. A step without either belongs to every page.
   //
-  // This prevents memory leaks and ensures no orphaned listeners remain
-  // on the host page after the tour ends.
+  // A pattern function that throws counts as a match (fail-open, like
+  // "when"), so a bug in it cannot hide the step for good.
   // =========================================================================
 
-  function createAdvanceOnManager() {
-    var currentCleanup = null;
+  /**
+   * Returns true for RegExp objects, including ones from another realm
+   * (the page window vs. the userscript sandbox), where instanceof fails.
+   *
+   * @param {*} value
+   * @returns {boolean}
+   */
+  function isRegExp(value) {
+    return Object.prototype.toString.call(value) === '[object RegExp]';
+  }
+
+  /**
+   * Converts a glob such as "/users/*" into an anchored RegExp.
+   *
+   * @param {string} glob
+   * @returns {RegExp}
+   */
+  function globToRegExp(glob) {
+    var parts = glob.split('*').map(function (part) {
+      return part.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    });
+    return new RegExp('^' + parts.join('.*') + '$');
+  }
+
+  /**
+   * Tests one url/route pattern.
+   *
+   * @param {string|RegExp|function} pattern
+   * @param {string} value - location.href or location.pathname
+   * @param {string} key - "url" or "route" (for warnings)
+   * @param {number} index - Step index (for warnings)
+   * @returns {boolean}
+   */
+  function matchesPattern(pattern, value, key, index) {
+    if (typeof pattern === 'function') {
+      try { return !!pattern(window.location); }
+      catch (e) {
+        warn(ErrorCodes.HOOK_ERROR, '"' + key + '" function of step ' + index + ' threw: ' + e.message + '. Treating the page as a match.');
+        return true;
+      }
+    }
+    if (isRegExp(pattern)) {
+      pattern.lastIndex = 0;
+      return pattern.test(value);
+    }
+    if (pattern.indexOf('*') === -1) return value === pattern;
+    return globToRegExp(pattern).test(value);
+  }
+
+  /**
+   * Returns true if the step declares the page it belongs to.
+   *
+   * @param {object} step
+   * @returns {boolean}
+   */
+  function hasPage(step) {
+    return step.url !== undefined || step.route !== undefined;
+  }
+
+  /**
+   * Returns true if the step can be shown on the current page.
+   *
+   * @param {object} step
+   * @param {number} index - Step index (for warnings)
+   * @returns {boolean}
+   */
+  function matchesPage(step, index) {
+    if (step.url !== undefined && !matchesPattern(step.url, window.location.href, 'url', index)) return false;
+    if (step.route !== undefined && !matchesPattern(step.route, window.location.pathname, 'route', index)) return false;
+    return true;
+  }
+
+  // =========================================================================
+  // [NEW v1.6.0] MODULE: Route Watcher
+  // =========================================================================
+  // Reports same-document navigations of single-page apps: calls to
+  // history.pushState and history.replaceState, and the popstate and
+  // hashchange events. Only changes of location.href are reported, so a
+  // replaceState that keeps the URL is ignored.
+  //
+  // The history methods are wrapped once, when the first subscriber
+  // arrives, and restored when the last one leaves, so several tours share
+  // one wrapper. If the page wrapped them again on top of ours, ours stays
+  // in place (restoring would drop the page's wrapper) and simply has no
+  // subscribers.
+  //
+  // Subscribers are called on the next animation frame, not inside the
+  // page's pushState call: the app renders the new route after changing
+  // the URL, and the tour looks up the new route's elements. Several
+  // changes within one frame are reported once.
+  // =========================================================================
+
+  var routeSubscribers = [];
+  var routeWrappers = null;
+  var lastRouteHref = '';
+  var routeFrame = null;
+
+  /**
+   * Calls fn(fromHref, toHref) on every route change until the returned
+   * function is called.
+   *
+   * @param {function(string, string)} fn
+   * @returns {function} Unsubscribe
+   */
+  function subscribeRoute(fn) {
+    if (routeSubscribers.length === 0) installRouteWatcher();
+    routeSubscribers.push(fn);
+    return function () {
+      var i = routeSubscribers.indexOf(fn);
+      if (i === -1) return;
+      routeSubscribers.splice(i, 1);
+      if (routeSubscribers.length === 0) uninstallRouteWatcher();
+    };
+  }
+
+  function installRouteWatcher() {
+    lastRouteHref = window.location.href;
+    var history = window.history;
+    if (!routeWrappers) {
+      routeWrappers = {};
+      ['pushState', 'replaceState'].forEach(function (name) {
+        var original = history[name];
+        if (typeof original !== 'function') return;
+        var wrapper = function () {
+          var result = original.apply(this, arguments);
+          notifyRoute();
+          return result;
+        };
+        try { history[name] = wrapper; }
+        catch (e) { return; }
+        routeWrappers[name] = { original: original, wrapper: wrapper };
+      });
+    }
+    window.addEventListener('popstate', notifyRoute);
+    window.addEventListener('hashchange', notifyRoute);
+  }
+
+  function uninstallRouteWatcher() {
+    window.removeEventListener('popstate', notifyRoute);
+    window.removeEventListener('hashchange', notifyRoute);
+    if (routeFrame !== null) {
+      cancelAnimationFrame(routeFrame);
+      routeFrame = null;
+    }
+    if (!routeWrappers) return;
+    var history = window.history;
+    var names = Object.keys(routeWrappers);
+    var restored = true;
+    for (var i = 0; i < names.length; i++) {
+      var w = routeWrappers[names[i]];
+      if (history[names[i]] === w.wrapper) history[names[i]] = w.original;
+      else restored = false;
+    }
+    if (restored) routeWrappers = null;
+  }
+
+  // Never throws: it runs inside the page's own pushState calls.
+  function notifyRoute() {
+    if (routeSubscribers.length === 0 || routeFrame !== null) return;
+    routeFrame = requestAnimationFrame(dispatchRoute);
+  }
+
+  function dispatchRoute() {
+    routeFrame = null;
+    if (routeSubscribers.length === 0) return;
+    var href = window.location.href;
+    if (href === lastRouteHref) return;
+    var from = lastRouteHref;
+    lastRouteHref = href;
+    var subscribers = routeSubscribers.slice();
+    for (var i = 0; i < subscribers.length; i++) {
+      try { subscribers[i](from, href); }
+      catch (e) {
+        warn(ErrorCodes.HOOK_ERROR, 'Route change handling failed: ' + e.message);
+      }
+    }
+  }
+
+  // =========================================================================
+  // [NEW v1.5.0] MODULE: AdvanceOn Manager
+  // =========================================================================
+  // Handles the "advanceOn" step property which allows a step to wait for
+  // a specific user interaction (click, input, change, etc.) before
+  // advancing to the next step.
+  //
+  // When advanceOn is configured on a step:
+  //   1. An event listener is attached to the target element (or document
+  //      if no selector is provided).
+  //   2. When the event fires, the listener is removed and the tour
+  //      advances to the next step automatically.
+  //   3. If the target element cannot be found, a warning is logged and
+  //      the step behaves normally (user can still click Next).
+  //
+  // The listener is always removed when:
+  //   - The event fires (normal advancement)
+  //   - The user navigates away from the step manually (Next/Prev/Close)
+  //   - The tour is destroyed
+  //
+  // This prevents memory leaks and ensures no orphaned listeners remain
+  // on the host page after the tour ends.
+  // =========================================================================
+
+  function createAdvanceOnManager() {
+    var currentCleanup = null;
 
     /**
      * Attaches an advanceOn listener for the given step.
@@ -1241,7 +2942,7 @@
 
       if (selector) {
         try {
-          target = document.querySelector(selector);
+          target = querySelectorDeep(selector);
         } catch (e) {
           warn(ErrorCodes.ADVANCE_ON_ERROR,
             'advanceOn.selector "' + selector + '" caused a querySelector error: ' + e.message + '. ' +
@@ -1326,19 +3027,113 @@
   // serves as the key for removal. This prevents duplicate hotspots on
   // the same element.
   //
-  // Hotspots automatically reposition themselves on window resize.
   // If the target element is removed from the DOM, the hotspot is hidden
   // but not destroyed, so it reappears if the element comes back
   // (common in SPAs).
+  //
+  // [MODIFIED v1.6.0] Hotspots track their targets. The dot is fixed-
+  // positioned from the target's viewport rect, and recomputed when:
+  //   - the window scrolls or resizes,
+  //   - any clipping or scrolling ancestor of the target scrolls (panels,
+  //     sidebars, modals), which moves the target without a window event,
+  //   - the target changes size (ResizeObserver),
+  //   - the DOM changes (MutationObserver): a target that was removed is
+  //     looked up again with its selector, so a node re-rendered by a SPA
+  //     gets its hotspot back right away.
+  // All of these only schedule an update; updates run at most once per
+  // animation frame. A dot whose corner is scrolled out of a clipping
+  // ancestor is hidden instead of floating over the surrounding page.
+  //
+  // [MODIFIED v1.6.0] Hotspots are focusable, and the plain tooltip also
+  // shows on keyboard focus and on tap. With the "popover" option a hotspot
+  // opens a real popover instead: title, description (HTML), and buttons
+  // that can run a function, start a tour, or jump to a step with
+  // moveToStep(). It is rendered and positioned by its own Popover Manager,
+  // anchored on the dot, so it gets the same placement, arrow, and theme
+  // as tour popovers. Tour-level renderers and templates do not apply to
+  // it. One hotspot popover is open at a time:
+  //   - click, Enter, or Space on the dot toggles it, and Enter/Space move
+  //     focus into it,
+  //   - keyboard focus on the dot opens it without moving focus,
+  //   - Escape, the close button, a click outside, or focus leaving both
+  //     the dot and the popover close it.
+  //
+  // [NEW v1.6.0] A hotspot with an "id" is remembered across page loads.
+  // Its dismissal by the user (dismissOnClick, a popover button with
+  // dismiss: true, or dismissHotspot()) is saved, and adding it again does
+  // nothing while the dismissal lasts. Opening its tooltip or popover marks
+  // it seen, and a seen hotspot stops pulsing. The Persistence Manager
+  // stores both in the guide's persistStorage backend, optionally expiring
+  // "expiry" ms after the last change. autoDismiss and removeHotspot() are
+  // not the user's doing and are not saved.
+  //
+  // [NEW v1.6.0] A hotspot is a definition with one or more dots. By
+  // default it has one dot, on the first match of its selector. With
+  // "all: true" every match gets a dot, and the dots follow the matches as
+  // the DOM changes (rows added to or removed from a list). The "anchor"
+  // option places the dot on a corner, an edge, the center, or at a pixel
+  // offset from the target's top-left corner. Hotspots with the same
+  // "group" name can be shown, hidden, or removed together; a hotspot
+  // added to a hidden group starts hidden.
   // =========================================================================
 
-  function createHotspotManager(zPopover) {
-    var hotspots = {};       // key: selector string, value: hotspot state object
-    var resizeHandler = null;
+  // [NEW v1.6.0] Named anchor points of a hotspot dot on its target.
+  var HOTSPOT_ANCHORS = [
+    'top-left', 'top', 'top-right', 'right', 'bottom-right',
+    'bottom', 'bottom-left', 'left', 'center',
+  ];
+
+  /**
+   * [NEW v1.6.0] The guide's configuration for a popover shown outside the
+   * tour (hotspots, spotlights): without the tour-level renderer,
+   * template, and render hook, and always closable.
+   *
+   * @param {object} configManager - The guide's Configuration Manager
+   * @returns {object} A new Configuration Manager
+   */
+  function standalonePopoverConfig(configManager) {
+    var c = configManager.getConfig();
+    c.popoverRender = undefined;
+    c.popoverTemplate = '';
+    c.onPopoverRender = undefined;
+    c.allowClose = true;
+    return createConfigManager(c);
+  }
+
+  function createHotspotManager(zPopover, uiRoot, configManager, getDriver, persistenceManager) {
+    // key: selector string, value: hotspot definition
+    // [MODIFIED v1.6.0] A definition holds the options and its dots; each
+    // dot is a hotspot state object with a "def" back reference.
+    var hotspots = {};
+    // [NEW v1.6.0] Names of hidden groups.
+    var hiddenGroups = {};
+    // [NEW v1.6.0] Saved state. "pending" holds hotspots waiting for their
+    // record from async storage, "dismissed" the options of hotspots kept
+    // off the page by a saved dismissal, "known" the options of every ID
+    // added, for resetAll().
+    var pending = {};
+    var dismissed = {};
+    var known = {};
+    // [NEW v1.6.0] Tracking state, shared by all hotspots.
+    var tracking = false;
+    var frame = null;
+    var mutationObserver = null;
+    var resizeObserver = null;
+    // [NEW v1.6.0] The open hotspot popover.
+    var openHs = null;
+    var popoverManager = null;
+    var outsideHandler = null;
+    // Whether the last user input was the keyboard: only keyboard focus
+    // opens a popover, not a click or focus moved by a script.
+    var keyboardInput = false;
+    var refocusing = false;
 
     /**
      * Positions a hotspot's DOM elements relative to its target element.
      * The dot is placed at the top-right corner of the element by default.
+     * [MODIFIED v1.6.0] Viewport coordinates (the container is fixed), and
+     * hidden while the anchor point is clipped by a scrolling ancestor or
+     * the hotspot's group is hidden.
      *
      * @param {object} hs - The hotspot state object
      */
@@ -1346,17 +3141,20 @@
       if (!hs.container || !hs.targetElement) return;
       var el = hs.targetElement;
       // Re-check that the element is still in the DOM.
-      if (!document.body.contains(el)) {
+      if (!isAttached(el) || hs.def.hidden) {
+        hs.container.style.display = 'none';
+        return;
+      }
+      var point = anchorPoint(el.getBoundingClientRect(), hs.def.anchor);
+      var x = point.x;
+      var y = point.y;
+      if (isClipped(hs, x, y)) {
         hs.container.style.display = 'none';
         return;
       }
       hs.container.style.display = '';
-      var rect = el.getBoundingClientRect();
-      var scrollX = window.pageXOffset || document.documentElement.scrollLeft;
-      var scrollY = window.pageYOffset || document.documentElement.scrollTop;
-      // Position at top-right corner of the element.
-      hs.container.style.top = (rect.top + scrollY - 6) + 'px';
-      hs.container.style.left = (rect.right + scrollX - 6) + 'px';
+      hs.container.style.top = (y - 6) + 'px';
+      hs.container.style.left = (x - 6) + 'px';
 
       // Position tooltip below the dot.
       if (hs.tooltipEl) {
@@ -1395,28 +3193,399 @@
     }
 
     /**
-     * Repositions all active hotspots. Called on window resize.
+     * [NEW v1.6.0] The viewport point of a rect where the dot is centered.
+     *
+     * @param {DOMRect} rect
+     * @param {string|{x: number, y: number}} anchor - A name from
+     *   HOTSPOT_ANCHORS, or an offset from the rect's top-left corner
+     * @returns {{ x: number, y: number }}
+     */
+    function anchorPoint(rect, anchor) {
+      if (typeof anchor === 'object') return { x: rect.left + anchor.x, y: rect.top + anchor.y };
+      var x = (rect.left + rect.right) / 2;
+      var y = (rect.top + rect.bottom) / 2;
+      if (anchor.indexOf('left') !== -1) x = rect.left;
+      else if (anchor.indexOf('right') !== -1) x = rect.right;
+      if (anchor.indexOf('top') !== -1) y = rect.top;
+      else if (anchor.indexOf('bottom') !== -1) y = rect.bottom;
+      return { x: x, y: y };
+    }
+
+    // [NEW v1.6.0] Whether the point is outside one of the target's
+    // clipping ancestors.
+    function isClipped(hs, x, y) {
+      for (var i = 0; i < hs.clipAncestors.length; i++) {
+        var r = hs.clipAncestors[i].getBoundingClientRect();
+        if (x < r.left || x > r.right || y < r.top || y > r.bottom) return true;
+      }
+      return false;
+    }
+
+    /**
+     * Repositions all active hotspots.
+     * [MODIFIED v1.6.0] Only a target that left the DOM is looked up again,
+     * so a later match of the selector does not steal the hotspot. With
+     * "all", the dots are matched to the current matches first.
      */
     function repositionAll() {
       var keys = Object.keys(hotspots);
       for (var i = 0; i < keys.length; i++) {
-        var hs = hotspots[keys[i]];
-        // Try to re-resolve the element in case it was re-rendered.
-        if (hs.selector) {
-          var el = document.querySelector(hs.selector);
-          if (el) hs.targetElement = el;
+        var def = hotspots[keys[i]];
+        if (def.all) {
+          syncDots(def);
+        } else if (!isAttached(def.dots[0].targetElement)) {
+          // Try to re-resolve the element in case it was re-rendered.
+          var el = findTargets(def.selector)[0];
+          if (el) retarget(def.dots[0], el);
+        }
+        for (var j = 0; j < def.dots.length; j++) {
+          var hs = def.dots[j];
+          positionHotspot(hs);
+          if (hs === openHs) {
+            if (hs.container.style.display === 'none') closePopover(false);
+            else popoverManager.reposition(hs.container, hs.popoverStep);
+          }
+        }
+      }
+    }
+
+    /**
+     * [NEW v1.6.0] Every element a hotspot selector matches in the page,
+     * in document order. Our own elements never count, so a broad
+     * selector like "div" does not put dots on dots.
+     *
+     * @param {string} selector
+     * @returns {Element[]}
+     */
+    function findTargets(selector) {
+      return Array.prototype.slice.call(document.querySelectorAll(selector))
+        .filter(function (el) { return !isOwnUi(el); });
+    }
+
+    /**
+     * [NEW v1.6.0] Gives every current match of an "all" hotspot a dot, in
+     * document order, and removes the dots of targets that no longer match.
+     * A hotspot without matches keeps its definition and gets its dots as
+     * soon as matches appear.
+     *
+     * @param {object} def - The hotspot definition
+     */
+    function syncDots(def) {
+      var matches = findTargets(def.selector);
+      var dots = [];
+      for (var i = 0; i < matches.length; i++) {
+        var existing = null;
+        for (var j = 0; j < def.dots.length; j++) {
+          if (def.dots[j].targetElement === matches[i]) { existing = def.dots[j]; break; }
         }
-        positionHotspot(hs);
+        dots.push(existing || createDot(def, matches[i]));
+      }
+      for (var k = 0; k < def.dots.length; k++) {
+        if (dots.indexOf(def.dots[k]) === -1) destroyDot(def.dots[k]);
+      }
+      def.dots = dots;
+    }
+
+    function onInputKey() { keyboardInput = true; }
+    function onInputPointer() { keyboardInput = false; }
+
+    // [NEW v1.6.0] Batches updates: at most one repositionAll() per frame.
+    function schedule() {
+      if (frame !== null) return;
+      var raf = window.requestAnimationFrame || function (fn) { return setTimeout(fn, 16); };
+      frame = raf(function () {
+        frame = null;
+        repositionAll();
+      });
+    }
+
+    /**
+     * [NEW v1.6.0] Starts the shared listeners and observers. Called when
+     * a hotspot is added; repeated calls are no-ops.
+     */
+    function startTracking() {
+      if (tracking) return;
+      tracking = true;
+      document.addEventListener('keydown', onInputKey, true);
+      document.addEventListener('pointerdown', onInputPointer, true);
+      window.addEventListener('resize', schedule);
+      window.addEventListener('scroll', schedule, { passive: true });
+      if (typeof MutationObserver === 'function') {
+        mutationObserver = new MutationObserver(schedule);
+        mutationObserver.observe(document.documentElement, { childList: true, subtree: true });
+      }
+      if (typeof ResizeObserver === 'function') {
+        resizeObserver = new ResizeObserver(schedule);
+      }
+    }
+
+    // [NEW v1.6.0] Stops everything started by startTracking().
+    function stopTracking() {
+      if (!tracking) return;
+      tracking = false;
+      document.removeEventListener('keydown', onInputKey, true);
+      document.removeEventListener('pointerdown', onInputPointer, true);
+      window.removeEventListener('resize', schedule);
+      window.removeEventListener('scroll', schedule, { passive: true });
+      if (mutationObserver) { mutationObserver.disconnect(); mutationObserver = null; }
+      if (resizeObserver) { resizeObserver.disconnect(); resizeObserver = null; }
+      if (frame !== null) {
+        (window.cancelAnimationFrame || clearTimeout)(frame);
+        frame = null;
+      }
+    }
+
+    /**
+     * [NEW v1.6.0] Listens to scrolling on the target's clipping ancestors
+     * and to its size.
+     *
+     * @param {object} hs
+     */
+    function watchTarget(hs) {
+      hs.clipAncestors = getClippingAncestors(hs.targetElement);
+      for (var i = 0; i < hs.clipAncestors.length; i++) {
+        hs.clipAncestors[i].addEventListener('scroll', schedule, { passive: true });
+      }
+      if (resizeObserver) resizeObserver.observe(hs.targetElement);
+    }
+
+    function unwatchTarget(hs) {
+      for (var i = 0; i < hs.clipAncestors.length; i++) {
+        hs.clipAncestors[i].removeEventListener('scroll', schedule, { passive: true });
+      }
+      hs.clipAncestors = [];
+      if (resizeObserver && hs.targetElement) resizeObserver.unobserve(hs.targetElement);
+    }
+
+    /**
+     * [NEW v1.6.0] Moves a hotspot to a new node for its selector, with
+     * its listeners.
+     *
+     * @param {object} hs
+     * @param {Element} el
+     */
+    function retarget(hs, el) {
+      unwatchTarget(hs);
+      if (hs.clickHandler) {
+        try { hs.targetElement.removeEventListener('click', hs.clickHandler); }
+        catch (e) { /* Best effort */ }
+        el.addEventListener('click', hs.clickHandler);
+      }
+      hs.targetElement = el;
+      watchTarget(hs);
+    }
+
+    /**
+     * [NEW v1.6.0] Checks options.popover. Returns an error message, or
+     * null when it is valid.
+     *
+     * @param {*} popover
+     * @returns {string|null}
+     */
+    function checkPopover(popover) {
+      if (popover === null || typeof popover !== 'object') return '"popover" must be an object: { title, description, buttons }.';
+      if (popover.title !== undefined && typeof popover.title !== 'string') return '"popover.title" must be a string.';
+      if (popover.description !== undefined && typeof popover.description !== 'string') return '"popover.description" must be a string.';
+      if (popover.side !== undefined && ['top', 'right', 'bottom', 'left'].indexOf(popover.side) === -1) return '"popover.side" must be "top", "right", "bottom", or "left".';
+      if (popover.align !== undefined && ['start', 'center', 'end'].indexOf(popover.align) === -1) return '"popover.align" must be "start", "center", or "end".';
+      if (popover.buttons === undefined) return null;
+      if (!Array.isArray(popover.buttons)) return '"popover.buttons" must be an Array.';
+      for (var i = 0; i < popover.buttons.length; i++) {
+        var b = popover.buttons[i];
+        var where = '"popover.buttons[' + i + ']"';
+        if (!b || typeof b !== 'object' || typeof b.label !== 'string') return where + ' must be an object with a string "label".';
+        if (b.onClick !== undefined && typeof b.onClick !== 'function') return where + ' "onClick" must be a function.';
+        if (b.tour !== undefined && (!b.tour || typeof b.tour.drive !== 'function')) return where + ' "tour" must be a guide returned by tamperGuide().';
+        if (b.step !== undefined && typeof b.step !== 'string' && typeof b.step !== 'number') return where + ' "step" must be a step ID.';
+        if (b.variant !== undefined && BUTTON_VARIANTS.indexOf(b.variant) === -1) return where + ' has an invalid "variant". Use one of: ' + BUTTON_VARIANTS.join(', ') + '.';
+        if (!b.onClick && !b.tour && b.step === undefined && !b.dismiss) return where + ' does nothing: give it "onClick", "tour", "step", or "dismiss: true".';
+      }
+      return null;
+    }
+
+    /**
+     * [NEW v1.6.0] Checks options.anchor. Returns an error message, or
+     * null when it is valid.
+     *
+     * @param {*} anchor
+     * @returns {string|null}
+     */
+    function checkAnchor(anchor) {
+      if (typeof anchor === 'string') {
+        if (HOTSPOT_ANCHORS.indexOf(anchor) !== -1) return null;
+      } else if (anchor && typeof anchor === 'object' && isFinite(anchor.x) && isFinite(anchor.y) &&
+        typeof anchor.x === 'number' && typeof anchor.y === 'number') {
+        return null;
+      }
+      return '"anchor" must be one of: ' + HOTSPOT_ANCHORS.join(', ') + ', or a pixel offset { x, y } from the top-left corner.';
+    }
+
+    // [NEW v1.6.0] Plain text of an HTML string, for accessible names.
+    function textOf(html) {
+      if (!html) return '';
+      var tpl = document.createElement('template');
+      tpl.innerHTML = html;
+      return (tpl.content.textContent || '').trim();
+    }
+
+    // [NEW v1.6.0] The step object the Popover Manager renders for a
+    // hotspot popover: only the close button and the custom buttons.
+    function popoverStep(popover) {
+      return {
+        popover: {
+          title: popover.title,
+          description: popover.description,
+          side: popover.side,
+          align: popover.align,
+          showButtons: ['close'],
+          showProgress: false,
+          buttons: (popover.buttons || []).map(function (b) {
+            return { label: b.label, variant: b.variant, className: b.className };
+          }),
+        },
+      };
+    }
+
+    /**
+     * [NEW v1.6.0] Opens the popover of a hotspot, closing any other.
+     *
+     * @param {object} hs
+     * @param {boolean} focusInside - Move focus to the popover's first button
+     */
+    function openPopover(hs, focusInside) {
+      if (openHs !== hs) {
+        closePopover(false);
+        markSeen(hs);
+        openHs = hs;
+        popoverManager = createPopoverManager(standalonePopoverConfig(configManager), zPopover, uiRoot);
+        popoverManager.render(hs.popoverStep, hs.container, {});
+        var el = popoverManager.getElement();
+        el.classList.add('tg-hotspot-popover');
+        el.setAttribute('aria-label', hs.label);
+        el.setAttribute('tabindex', '-1');
+        el.addEventListener('click', onPopoverClick);
+        el.addEventListener('keydown', onPopoverKey);
+        el.addEventListener('focusout', onFocusOut);
+        hs.container.setAttribute('aria-expanded', 'true');
+        outsideHandler = function (e) {
+          var path = e.composedPath ? e.composedPath() : [];
+          var root = popoverManager && popoverManager.getElement();
+          if (path.indexOf(hs.container) !== -1 || path.indexOf(root) !== -1) return;
+          closePopover(false);
+        };
+        document.addEventListener('pointerdown', outsideHandler, true);
+      }
+      if (focusInside) {
+        var popEl = popoverManager.getElement();
+        var first = popEl.querySelector('[data-tg-button]') || popEl.querySelector('button');
+        (first || popEl).focus();
+      }
+    }
+
+    /**
+     * [NEW v1.6.0] Closes the open hotspot popover, if any.
+     *
+     * @param {boolean} restoreFocus - Focus the hotspot's dot again
+     */
+    function closePopover(restoreFocus) {
+      if (!openHs) return;
+      var hs = openHs;
+      openHs = null;
+      document.removeEventListener('pointerdown', outsideHandler, true);
+      outsideHandler = null;
+      popoverManager.destroy();
+      popoverManager = null;
+      hs.container.setAttribute('aria-expanded', 'false');
+      if (restoreFocus && isAttached(hs.container)) {
+        refocusing = true;
+        hs.container.focus();
+        refocusing = false;
+      }
+    }
+
+    function onPopoverClick(e) {
+      var hs = openHs;
+      if (!hs) return;
+      var target = e.target;
+      var btn = target.closest && target.closest('[data-tg-button]');
+      if (btn) {
+        runButton(hs, hs.popover.buttons[parseInt(btn.getAttribute('data-tg-button'), 10)], e);
+        return;
+      }
+      if (target.closest && target.closest('[data-tg-action="close"]')) closePopover(true);
+    }
+
+    function onPopoverKey(e) {
+      if (e.key === 'Escape') {
+        e.stopPropagation();
+        closePopover(true);
       }
     }
 
+    // Closes the popover once focus has left both the dot and the popover.
+    function onFocusOut(e) {
+      var hs = openHs;
+      if (!hs) return;
+      var next = e.relatedTarget;
+      var popEl = popoverManager.getElement();
+      if (!next || next === hs.container || popEl.contains(next)) return;
+      closePopover(false);
+    }
+
     /**
-     * Ensures the window resize listener is attached.
+     * [NEW v1.6.0] Runs a popover button: onClick, then the tour or step
+     * it starts, then the dismissal.
      */
-    function ensureResizeListener() {
-      if (resizeHandler) return;
-      resizeHandler = function () { repositionAll(); };
-      window.addEventListener('resize', resizeHandler);
+    function runButton(hs, button, event) {
+      if (!button) return;
+      closePopover(false);
+      if (button.onClick) {
+        try { button.onClick(event, { hotspot: hs.selector, element: hs.targetElement, driver: getDriver() }); }
+        catch (e) { warn(ErrorCodes.HOOK_ERROR, 'Hotspot button onClick error: ' + e.message); }
+      }
+      if (button.tour || button.step !== undefined) {
+        var guide = button.tour || getDriver();
+        try {
+          if (button.step !== undefined) guide.moveToStep(button.step);
+          else guide.drive();
+        } catch (e) { warn(ErrorCodes.HOTSPOT_ERROR, 'Hotspot button could not start the tour: ' + e.message); }
+      }
+      if (button.dismiss) dismiss(hs.def);
+    }
+
+    // [NEW v1.6.0] Keyboard, pointer, and focus handling of the dot.
+    function bindTrigger(hs) {
+      var container = hs.container;
+      container.addEventListener('click', function () {
+        if (hs.popover) {
+          if (openHs === hs) closePopover(false);
+          else openPopover(hs, false);
+        } else {
+          container.classList.toggle('tg-hotspot-open');
+          markSeen(hs);
+        }
+      });
+      container.addEventListener('mouseenter', function () {
+        if (hs.tooltipEl) markSeen(hs);
+      });
+      container.addEventListener('focus', function () {
+        if (keyboardInput && !refocusing && hs.popover) openPopover(hs, false);
+        else if (hs.tooltipEl && !refocusing) markSeen(hs);
+      });
+      container.addEventListener('blur', function (e) {
+        container.classList.remove('tg-hotspot-open');
+        if (openHs === hs) onFocusOut(e);
+      });
+      container.addEventListener('keydown', function (e) {
+        if (e.key === 'Enter' || e.key === ' ') {
+          e.preventDefault();
+          if (hs.popover) openPopover(hs, true);
+          else container.classList.toggle('tg-hotspot-open');
+        } else if (e.key === 'Escape') {
+          container.classList.remove('tg-hotspot-open');
+          if (openHs === hs) { e.stopPropagation(); closePopover(true); }
+        }
+      });
     }
 
     /**
@@ -1430,6 +3599,20 @@
      * @param {string} [options.pulseColor='#ef4444'] - Color of the dot and pulse
      * @param {boolean} [options.dismissOnClick=false] - Remove on element click
      * @param {number} [options.autoDismiss=0] - Auto-remove after ms (0=never)
+     * @param {object} [options.popover] - [NEW v1.6.0] Rich popover opened on
+     *   click or focus: { title, description, side, align, buttons }
+     * @param {string} [options.label] - [NEW v1.6.0] Accessible name of the dot
+     * @param {string} [options.id] - [NEW v1.6.0] Saves the seen and dismissed
+     *   state under this ID
+     * @param {number} [options.expiry=0] - [NEW v1.6.0] Forget the saved state
+     *   this many ms after its last change (0 = never)
+     * @param {boolean} [options.all=false] - [NEW v1.6.0] A dot on every match
+     *   of the selector, not only the first
+     * @param {string|{x: number, y: number}} [options.anchor='top-right'] -
+     *   [NEW v1.6.0] Where the dot sits: a name from HOTSPOT_ANCHORS, or a
+     *   pixel offset from the target's top-left corner
+     * @param {string} [options.group] - [NEW v1.6.0] Group name for
+     *   showGroup(), hideGroup(), and removeGroup()
      */
     function add(options) {
       if (!options || typeof options !== 'object') {
@@ -1444,32 +3627,144 @@
           'Example: guide.addHotspot({ element: "#my-button", tooltip: "New feature!" })');
         return;
       }
+      var popoverError = options.popover !== undefined ? checkPopover(options.popover) : null;
+      if (popoverError) {
+        warn(ErrorCodes.HOTSPOT_ERROR, 'addHotspot() for "' + options.element + '": ' + popoverError);
+        return;
+      }
+      if (options.id !== undefined && (typeof options.id !== 'string' || !options.id)) {
+        warn(ErrorCodes.HOTSPOT_ERROR, 'addHotspot() for "' + options.element + '": "id" must be a non-empty string.');
+        return;
+      }
+      if (options.expiry !== undefined && (typeof options.expiry !== 'number' || !(options.expiry >= 0))) {
+        warn(ErrorCodes.HOTSPOT_ERROR, 'addHotspot() for "' + options.element + '": "expiry" must be a non-negative number of milliseconds.');
+        return;
+      }
+      var anchorError = options.anchor !== undefined ? checkAnchor(options.anchor) : null;
+      if (anchorError) {
+        warn(ErrorCodes.HOTSPOT_ERROR, 'addHotspot() for "' + options.element + '": ' + anchorError);
+        return;
+      }
+      if (options.group !== undefined && (typeof options.group !== 'string' || !options.group)) {
+        warn(ErrorCodes.HOTSPOT_ERROR, 'addHotspot() for "' + options.element + '": "group" must be a non-empty string.');
+        return;
+      }
 
       var selector = options.element;
       // Remove existing hotspot on same element to prevent duplicates.
-      if (hotspots[selector]) {
+      if (hotspots[selector] || pending[selector]) {
         remove(selector);
       }
+      if (options.id === undefined) {
+        show(options, null);
+        return;
+      }
 
-      var targetElement = document.querySelector(selector);
-      if (!targetElement) {
+      // [NEW v1.6.0] Read the saved state first: a dismissed hotspot is
+      // not shown.
+      var id = options.id;
+      var entry = { options: options };
+      known[id] = options;
+      delete dismissed[id];
+      pending[selector] = entry;
+      var saved = persistenceManager.loadHotspot(id);
+      function proceed(record) {
+        if (pending[selector] !== entry) return;
+        delete pending[selector];
+        if (record && record.dismissedAt > 0) {
+          dismissed[id] = options;
+          return;
+        }
+        show(options, record);
+      }
+      if (isThenable(saved)) {
+        Promise.resolve(saved).then(proceed).then(null, function (e) {
+          if (pending[selector] === entry) delete pending[selector];
+          warn(ErrorCodes.PERSISTENCE_ERROR, 'Could not show hotspot "' + selector + '" from its saved state: ' +
+            (e && e.message ? e.message : e) + '.');
+        });
+      } else {
+        proceed(saved);
+      }
+    }
+
+    /**
+     * [NEW v1.6.0] Builds and shows a hotspot: the second half of add(),
+     * once its saved state is known.
+     *
+     * @param {object} options - The options passed to add(), already checked
+     * @param {object|null} record - The saved state, if any
+     */
+    function show(options, record) {
+      var selector = options.element;
+      // [MODIFIED v1.6.0] Every match with "all", otherwise the first.
+      var targets = findTargets(selector);
+      if (options.all !== true) targets = targets.slice(0, 1);
+      if (!targets.length && options.all !== true) {
         warn(ErrorCodes.HOTSPOT_ERROR,
           'addHotspot() could not find element "' + selector + '" in the DOM. ' +
           'The hotspot will not be shown. Make sure the element exists before calling addHotspot().');
         return;
       }
 
+      var def = {
+        selector: selector,
+        options: options,
+        all: options.all === true,
+        anchor: options.anchor || 'top-right',
+        group: options.group || null,
+        hidden: !!options.group && hiddenGroups[options.group] === true,
+        label: options.label || options.tooltip || (options.popover && textOf(options.popover.title)) || 'Hint',
+        popoverStep: options.popover ? popoverStep(options.popover) : null,
+        id: options.id || null,
+        expiry: options.expiry || 0,
+        seen: !!record && record.seenAt > 0,
+        dismissTimer: null,
+        dots: [],
+      };
+
+      hotspots[selector] = def;
+      startTracking();
+      for (var i = 0; i < targets.length; i++) def.dots.push(createDot(def, targets[i]));
+
+      // Set up autoDismiss: remove after a delay.
+      if (options.autoDismiss && typeof options.autoDismiss === 'number' && options.autoDismiss > 0) {
+        def.dismissTimer = setTimeout(function () {
+          remove(selector);
+        }, options.autoDismiss);
+      }
+    }
+
+    /**
+     * [NEW v1.6.0] Builds, mounts, and positions one dot of a hotspot on
+     * a target element. The caller adds it to def.dots.
+     *
+     * @param {object} def - The hotspot definition
+     * @param {Element} targetElement
+     * @returns {object} The hotspot state object of the dot
+     */
+    function createDot(def, targetElement) {
+      var options = def.options;
       var pulseColor = options.pulseColor || '#ef4444';
       var showPulse = options.pulse !== false;
-      var side = options.side || 'bottom';
 
       // Build the hotspot DOM structure.
+      // [MODIFIED v1.6.0] Focusable; a button when it opens a popover.
       var container = document.createElement('div');
       container.classList.add('tg-hotspot');
-      container.setAttribute('data-tg-hotspot', selector);
-      container.setAttribute('role', 'note');
-      container.setAttribute('aria-label', options.tooltip || 'Hint');
-
+      container.setAttribute('data-tg-hotspot', def.selector);
+      if (def.group) container.setAttribute('data-tg-hotspot-group', def.group);
+      container.setAttribute('tabindex', '0');
+      if (options.popover) {
+        container.setAttribute('role', 'button');
+        container.setAttribute('aria-haspopup', 'dialog');
+        container.setAttribute('aria-expanded', 'false');
+      } else {
+        container.setAttribute('role', 'note');
+      }
+      container.setAttribute('aria-label', def.label);
+      if (def.seen) container.classList.add('tg-hotspot-seen');
+
       var dot = document.createElement('div');
       dot.classList.add('tg-hotspot-dot');
       dot.style.backgroundColor = pulseColor;
@@ -1490,70 +3785,207 @@
         container.appendChild(tooltipEl);
       }
 
-      document.body.appendChild(container);
+      uiRoot.mount(container);
 
       var hs = {
-        selector: selector,
+        def: def,
+        selector: def.selector,
         targetElement: targetElement,
         container: container,
         tooltipEl: tooltipEl,
-        side: side,
-        dismissTimer: null,
+        side: options.side || 'bottom',
         clickHandler: null,
+        clipAncestors: [],
+        label: def.label,
+        popover: options.popover || null,
+        popoverStep: def.popoverStep,
       };
 
-      hotspots[selector] = hs;
+      bindTrigger(hs);
+      watchTarget(hs);
       positionHotspot(hs);
-      ensureResizeListener();
 
       // Set up dismissOnClick: remove the hotspot when the target is clicked.
       if (options.dismissOnClick) {
-        hs.clickHandler = function () { remove(selector); };
+        hs.clickHandler = function () { dismiss(def); };
         targetElement.addEventListener('click', hs.clickHandler);
       }
+      return hs;
+    }
 
-      // Set up autoDismiss: remove after a delay.
-      if (options.autoDismiss && typeof options.autoDismiss === 'number' && options.autoDismiss > 0) {
-        hs.dismissTimer = setTimeout(function () {
-          remove(selector);
-        }, options.autoDismiss);
+    // [NEW v1.6.0] Removes one dot and its listeners.
+    function destroyDot(hs) {
+      if (openHs === hs) closePopover(false);
+      unwatchTarget(hs);
+      if (hs.clickHandler && hs.targetElement) {
+        try { hs.targetElement.removeEventListener('click', hs.clickHandler); }
+        catch (e) { /* Best effort */ }
+      }
+      if (hs.container && hs.container.parentNode) {
+        hs.container.remove();
       }
     }
 
     /**
      * Removes a specific hotspot by its element selector.
+     * [MODIFIED v1.6.0] Removes all of its dots.
      *
      * @param {string} selector - The CSS selector used when the hotspot was added
      */
     function remove(selector) {
-      var hs = hotspots[selector];
-      if (!hs) return;
-      if (hs.dismissTimer) clearTimeout(hs.dismissTimer);
-      if (hs.clickHandler && hs.targetElement) {
-        try { hs.targetElement.removeEventListener('click', hs.clickHandler); }
-        catch (e) { /* Best effort */ }
-      }
-      if (hs.container && hs.container.parentNode) {
-        hs.container.remove();
-      }
+      delete pending[selector];
+      var def = hotspots[selector];
+      if (!def) return;
+      if (def.dismissTimer) clearTimeout(def.dismissTimer);
+      for (var i = 0; i < def.dots.length; i++) destroyDot(def.dots[i]);
+      def.dots = [];
       delete hotspots[selector];
+      if (!Object.keys(hotspots).length) stopTracking();
     }
 
     /**
-     * Removes all active hotspots and cleans up the resize listener.
+     * Removes all active hotspots and cleans up the listeners.
      */
     function removeAll() {
+      pending = {};
       var keys = Object.keys(hotspots);
       for (var i = 0; i < keys.length; i++) {
         remove(keys[i]);
       }
-      if (resizeHandler) {
-        window.removeEventListener('resize', resizeHandler);
-        resizeHandler = null;
+      stopTracking();
+    }
+
+    // [NEW v1.6.0] Marks a hotspot with an ID as seen, once, on all its dots.
+    function markSeen(hs) {
+      var def = hs.def;
+      if (!def.id || def.seen) return;
+      def.seen = true;
+      for (var i = 0; i < def.dots.length; i++) def.dots[i].container.classList.add('tg-hotspot-seen');
+      persistenceManager.updateHotspot(def.id, { seenAt: Date.now() }, def.expiry);
+    }
+
+    // [NEW v1.6.0] Removes a hotspot the user dismissed, saving the
+    // dismissal when it has an ID.
+    function dismiss(def) {
+      if (def.id) {
+        persistenceManager.updateHotspot(def.id, { dismissedAt: Date.now() }, def.expiry);
+        dismissed[def.id] = def.options;
+      }
+      remove(def.selector);
+    }
+
+    // [NEW v1.6.0] The shown hotspot definition with this ID, if any.
+    function findById(id) {
+      var keys = Object.keys(hotspots);
+      for (var i = 0; i < keys.length; i++) {
+        if (hotspots[keys[i]].id === id) return hotspots[keys[i]];
+      }
+      return null;
+    }
+
+    // [NEW v1.6.0] The selector of a hotspot with this ID that is waiting
+    // for its saved state, if any.
+    function findPending(id) {
+      var keys = Object.keys(pending);
+      for (var i = 0; i < keys.length; i++) {
+        if (pending[keys[i]].options.id === id) return keys[i];
+      }
+      return null;
+    }
+
+    /**
+     * [NEW v1.6.0] Saves a dismissal for an ID and removes its hotspot,
+     * whether or not it is on the page right now.
+     *
+     * @param {string} id
+     */
+    function dismissById(id) {
+      var def = findById(id);
+      if (def) {
+        dismiss(def);
+        return;
+      }
+      var options = known[id];
+      var selector = findPending(id);
+      if (selector) remove(selector);
+      persistenceManager.updateHotspot(id, { dismissedAt: Date.now() }, options && options.expiry || 0);
+      if (options) dismissed[id] = options;
+    }
+
+    /**
+     * [NEW v1.6.0] Clears the saved state of an ID. A hotspot it kept off
+     * the page is added again, and a shown one pulses again.
+     *
+     * @param {string} id
+     */
+    function reset(id) {
+      persistenceManager.clearHotspot(id);
+      var def = findById(id);
+      if (def && def.seen) {
+        def.seen = false;
+        for (var i = 0; i < def.dots.length; i++) def.dots[i].container.classList.remove('tg-hotspot-seen');
+      }
+      var selector = findPending(id);
+      var options = selector ? pending[selector].options : dismissed[id];
+      delete dismissed[id];
+      // add() reads the state again after the queued removal.
+      if (options) add(options);
+    }
+
+    /**
+     * [NEW v1.6.0] reset() for every ID added through this manager.
+     */
+    function resetAll() {
+      var ids = Object.keys(known);
+      for (var i = 0; i < ids.length; i++) reset(ids[i]);
+    }
+
+    /**
+     * [NEW v1.6.0] Shows or hides every hotspot of a group, including
+     * ones added to it later.
+     *
+     * @param {string} group
+     * @param {boolean} hidden
+     */
+    function setGroupHidden(group, hidden) {
+      if (hidden) hiddenGroups[group] = true;
+      else delete hiddenGroups[group];
+      var keys = Object.keys(hotspots);
+      for (var i = 0; i < keys.length; i++) {
+        var def = hotspots[keys[i]];
+        if (def.group !== group) continue;
+        def.hidden = hidden;
+        for (var j = 0; j < def.dots.length; j++) {
+          if (hidden && openHs === def.dots[j]) closePopover(false);
+          positionHotspot(def.dots[j]);
+        }
+      }
+    }
+
+    /**
+     * [NEW v1.6.0] Removes every hotspot of a group, including ones still
+     * waiting for their saved state.
+     *
+     * @param {string} group
+     */
+    function removeGroup(group) {
+      var keys = Object.keys(hotspots);
+      for (var i = 0; i < keys.length; i++) {
+        if (hotspots[keys[i]].group === group) remove(keys[i]);
+      }
+      var waiting = Object.keys(pending);
+      for (var j = 0; j < waiting.length; j++) {
+        if (pending[waiting[j]].options.group === group) remove(waiting[j]);
       }
     }
 
-    return { add: add, remove: remove, removeAll: removeAll, repositionAll: repositionAll };
+    return {
+      add: add, remove: remove, removeAll: removeAll, repositionAll: repositionAll,
+      dismiss: dismissById, reset: reset, resetAll: resetAll,
+      showGroup: function (group) { setGroupHidden(group, false); },
+      hideGroup: function (group) { setGroupHidden(group, true); },
+      removeGroup: removeGroup,
+    };
   }
 
   // =========================================================================
@@ -1664,11 +4096,88 @@
     }
     return foundIndex;
   }
+
+  // =========================================================================
+  // [NEW v1.6.0] MODULE: Branch Resolver
+  // =========================================================================
+  // Decides which step follows the current one, based on the step's "next"
+  // property. This lets a tour fork (e.g. admin vs. regular-user flows)
+  // without calling moveToStep() from inside onNextClick.
+  //
+  // Supported forms of "next":
+  //   - undefined: linear navigation to index + 1 (the v1.5.0 behavior)
+  //   - null:      this step ends the tour (its Next button becomes Done)
+  //   - string:    the ID of the step to go to
+  //   - function:  called with the hook context plus the chosen value;
+  //                returns a step ID, null to end the tour, or undefined
+  //                to fall back to linear navigation
+  //   - object:    maps popover choice values to step IDs. The "default"
+  //                key is used when the user presses Next without picking
+  //                a choice; without it, navigation is linear.
+  //
+  // Step IDs are resolved through resolveStepId(), so an unknown ID throws
+  // the same INVALID_STEP_INDEX error as moveToStep().
+  // =========================================================================
+
+  /**
+   * Resolves the index of the step that follows steps[index].
+   * Returns null when the tour should end after this step.
+   *
+   * @param {Array} steps - The steps array from configuration
+   * @param {number} index - The index of the step being left
+   * @param {string|undefined} choice - The popover choice value, if any
+   * @param {object} context - Hook context ({ config, state, driver })
+   * @returns {number|null}
+   * @throws {TamperGuideError} If the target ID matches no step
+   */
+  function resolveNextStep(steps, index, choice, context) {
+    var step = steps[index];
+    var next = step.next;
+    var target;
+    if (next === null) return null;
+    if (typeof next === 'string') {
+      target = next;
+    } else if (typeof next === 'function') {
+      try {
+        target = next({ config: context.config, state: context.state, driver: context.driver, choice: choice });
+      } catch (e) {
+        warn(ErrorCodes.HOOK_ERROR,
+          '"next" function in step ' + index + ' threw an error: ' + e.message + '. ' +
+          'Falling back to the following step in the array.');
+        target = undefined;
+      }
+      if (target === null) return null;
+    } else if (next && typeof next === 'object') {
+      if (choice !== undefined && Object.prototype.hasOwnProperty.call(next, choice)) target = next[choice];
+      else if (Object.prototype.hasOwnProperty.call(next, 'default')) target = next['default'];
+    }
+    if (target === undefined) {
+      return index < steps.length - 1 ? index + 1 : null;
+    }
+    return resolveStepId(steps, target);
+  }
+
+  /**
+   * Returns true if leaving steps[index] forward ends the tour, i.e. the
+   * step declares next: null, or it is the last step and has no "next".
+   * Function and choice-map targets are only known at click time, so
+   * steps using them are never considered terminal.
+   *
+   * @param {Array} steps - The steps array from configuration
+   * @param {number} index - The step index to check
+   * @returns {boolean}
+   */
+  function isTerminalStep(steps, index) {
+    var step = steps[index];
+    if (!step) return false;
+    if (step.next === null) return true;
+    return step.next === undefined && index === steps.length - 1;
+  }
   // =========================================================================
-  // MODULE: Overlay Manager (SVG cutout)  [UNCHANGED]
+  // MODULE: Overlay Manager (SVG cutout)  [MODIFIED v1.6.0 - one cutout per highlighted element]
   // =========================================================================
 
-  function createOverlayManager(configManager, zOverlay) {
+  function createOverlayManager(configManager, zOverlay, uiRoot) {
     var overlayEl = null;
     var svgEl = null;
     var currentRect = null;
@@ -1682,7 +4191,7 @@
       svgEl = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
       svgEl.setAttribute('preserveAspectRatio', 'none');
       overlayEl.appendChild(svgEl);
-      document.body.appendChild(overlayEl);
+      uiRoot.mount(overlayEl);
       overlayEl.addEventListener('click', function (e) {
         if (e.target.classList.contains('tg-overlay-clickable') || e.target.closest('.tg-overlay-clickable')) {
           if (clickHandler) clickHandler(e);
@@ -1707,7 +4216,10 @@
      * By using clientWidth/clientHeight for both the SVG dimensions
      * and the cutout coordinates, the alignment is exact.
      *
-     * @param {Object|null} rect - Cutout rect or null for full overlay
+     * [MODIFIED v1.6.0] Accepts an Array of rects for multi-element
+     * steps; each one becomes a separate hole in the same evenodd path.
+     *
+     * @param {Object|Array|null} rect - Cutout rect, Array of rects, or null for full overlay
      */
     function refreshSVG(rect) {
       if (!svgEl) return;
@@ -1729,14 +4241,23 @@
       }
 
       currentRect = rect;
+      var rects = Array.isArray(rect) ? rect : [rect];
+      var outer = 'M 0 0 H ' + w + ' V ' + h + ' H 0 Z';
+      var inner = [];
+      for (var i = 0; i < rects.length; i++) inner.push(cutoutPath(rects[i], w, h));
+      svgEl.innerHTML = '<path d="' + outer + ' ' + inner.join(' ') +
+        '" fill-rule="evenodd" fill="' + color + '" fill-opacity="' + opacity +
+        '" class="tg-overlay-clickable" />';
+    }
+
+    // Builds the SVG subpath of one (optionally rounded) cutout, clamped
+    // to the viewport.
+    function cutoutPath(rect, w, h) {
       var cx = Math.max(0, rect.x), cy = Math.max(0, rect.y);
       var cw = Math.min(rect.width, w - cx), ch = Math.min(rect.height, h - cy);
       var cr = Math.min(rect.radius || 0, cw / 2, ch / 2);
-      var outer = 'M 0 0 H ' + w + ' V ' + h + ' H 0 Z';
-      var inner;
       if (cr > 0) {
-        inner =
-          'M ' + (cx + cr) + ' ' + cy +
+        return 'M ' + (cx + cr) + ' ' + cy +
           ' H ' + (cx + cw - cr) +
           ' Q ' + (cx + cw) + ' ' + cy + ' ' + (cx + cw) + ' ' + (cy + cr) +
           ' V ' + (cy + ch - cr) +
@@ -1745,12 +4266,8 @@
           ' Q ' + cx + ' ' + (cy + ch) + ' ' + cx + ' ' + (cy + ch - cr) +
           ' V ' + (cy + cr) +
           ' Q ' + cx + ' ' + cy + ' ' + (cx + cr) + ' ' + cy + ' Z';
-      } else {
-        inner = 'M ' + cx + ' ' + cy + ' H ' + (cx + cw) + ' V ' + (cy + ch) + ' H ' + cx + ' Z';
       }
-      svgEl.innerHTML = '<path d="' + outer + ' ' + inner +
-        '" fill-rule="evenodd" fill="' + color + '" fill-opacity="' + opacity +
-        '" class="tg-overlay-clickable" />';
+      return 'M ' + cx + ' ' + cy + ' H ' + (cx + cw) + ' V ' + (cy + ch) + ' H ' + cx + ' Z';
     }
 
     function show() { create(); if (overlayEl) overlayEl.style.opacity = '1'; }
@@ -1771,7 +4288,12 @@
   // MODULE: Popover Manager  [MODIFIED v1.5.0 - theme application added]
   // =========================================================================
 
-  function createPopoverManager(configManager, zPopover) {
+  // [NEW v1.6.0] Parts a popover template or renderer can place, and the
+  // order in which the default popover appends them.
+  var SLOT_NAMES = ['close', 'title', 'description', 'choices', 'progress', 'buttons', 'footer'];
+  var DEFAULT_SLOTS = ['close', 'title', 'description', 'choices', 'footer'];
+
+  function createPopoverManager(configManager, zPopover, uiRoot) {
     var popoverEl = null;
     var arrowEl = null;
     var currentStep = null;
@@ -1797,69 +4319,170 @@
       arrowEl = document.createElement('div');
       arrowEl.classList.add('tg-popover-arrow');
       popoverEl.appendChild(arrowEl);
-      document.body.appendChild(popoverEl);
+      uiRoot.mount(popoverEl);
     }
 
-    function render(step, targetElement, tourState) {
-      tourState = tourState || {};
-      create();
-      currentStep = step;
-      var popover = step.popover || {};
-      var config = configManager.getConfig();
+    // Removes everything but the arrow.
+    function clearContent() {
       var children = Array.from(popoverEl.children);
       for (var i = 0; i < children.length; i++) {
         if (children[i] !== arrowEl) children[i].remove();
       }
-      popoverEl.classList.remove('tg-popover-visible', 'tg-popover-enter');
+    }
 
-      // [NEW v1.5.0] Re-apply theme on each render in case setConfig changed it.
-      applyTheme(popoverEl, config.theme);
+    /**
+     * [NEW v1.6.0] Appends renderer output to the popover. Strings are
+     * parsed as HTML; Elements and DocumentFragments are appended as-is.
+     *
+     * @param {string|Node|null|undefined} content
+     * @returns {boolean} false if there was nothing to append, so the
+     *   caller falls back to the default content
+     */
+    function appendContent(content) {
+      if (content === null || content === undefined) return false;
+      if (typeof content === 'string') {
+        var tpl = document.createElement('template');
+        tpl.innerHTML = content;
+        popoverEl.appendChild(tpl.content);
+        return true;
+      }
+      if (content && (content.nodeType === 1 || content.nodeType === 11)) {
+        popoverEl.appendChild(content);
+        return true;
+      }
+      warn(ErrorCodes.HOOK_ERROR, 'Popover renderer must return an HTML string, an Element, or a DocumentFragment. Using the default popover content.');
+      return false;
+    }
+
+    /**
+     * [NEW v1.6.0] Turns a popover template into a DocumentFragment.
+     * {{current}} and {{total}} become the step numbers; {{close}},
+     * {{title}}, {{description}}, {{choices}}, {{progress}}, {{buttons}},
+     * and {{footer}} are replaced by the default part of that name, or
+     * removed when the step has none.
+     *
+     * @param {string} template
+     * @param {function} slot - From createSlotBuilder()
+     * @param {object} tourState
+     * @returns {DocumentFragment}
+     */
+    function fillTemplate(template, slot, tourState) {
+      var html = template
+        .replace(/\{\{current\}\}/g, String((tourState.activeIndex || 0) + 1))
+        .replace(/\{\{total\}\}/g, String(tourState.totalSteps || 0))
+        .replace(/\{\{(\w+)\}\}/g, function (m, name) {
+          return SLOT_NAMES.indexOf(name) === -1 ? m : '<span data-tg-slot="' + name + '"></span>';
+        });
+      var tpl = document.createElement('template');
+      tpl.innerHTML = html;
+      var holders = tpl.content.querySelectorAll('[data-tg-slot]');
+      for (var i = 0; i < holders.length; i++) {
+        var part = slot(holders[i].getAttribute('data-tg-slot'));
+        if (part) holders[i].parentNode.replaceChild(part, holders[i]);
+        else holders[i].remove();
+      }
+      return tpl.content;
+    }
 
+    /**
+     * [NEW v1.6.0] Returns slot(name), which builds a fresh default part
+     * of the popover for the given step, or null when the step has no such
+     * part (e.g. no title, or the Previous button hidden on the first
+     * step). Each call creates new elements, so a part can be placed once.
+     * Buttons carry data-tg-action so the click router can route them
+     * wherever they end up.
+     *
+     * @param {object} popover - step.popover
+     * @param {object} config
+     * @param {object} tourState
+     * @returns {function(string): (Element|null)}
+     */
+    function createSlotBuilder(popover, config, tourState) {
       var showButtons = popover.showButtons || config.showButtons;
+      var showProg = popover.showProgress !== undefined ? popover.showProgress : config.showProgress;
 
-      if (showButtons.indexOf('close') !== -1 && config.allowClose) {
+      function close() {
+        if (showButtons.indexOf('close') === -1 || !config.allowClose) return null;
         var closeBtn = document.createElement('button');
         closeBtn.classList.add('tg-popover-btn-close');
         closeBtn.innerHTML = config.closeBtnText;
         closeBtn.setAttribute('aria-label', 'Close');
         closeBtn.setAttribute('type', 'button');
-        popoverEl.appendChild(closeBtn);
+        closeBtn.setAttribute('data-tg-action', 'close');
+        return closeBtn;
       }
-      if (popover.title) {
+
+      function title() {
+        if (!popover.title) return null;
         var titleEl = document.createElement('div');
         titleEl.classList.add('tg-popover-title');
         if (typeof popover.title === 'string') titleEl.innerHTML = popover.title;
         else if (popover.title instanceof Element) titleEl.appendChild(popover.title);
-        popoverEl.appendChild(titleEl);
+        return titleEl;
       }
-      if (popover.description) {
+
+      function description() {
+        if (!popover.description) return null;
         var descEl = document.createElement('div');
         descEl.classList.add('tg-popover-description');
         if (typeof popover.description === 'string') descEl.innerHTML = popover.description;
         else if (popover.description instanceof Element) descEl.appendChild(popover.description);
-        popoverEl.appendChild(descEl);
+        return descEl;
       }
 
-      var hasNav = showButtons.indexOf('next') !== -1 || showButtons.indexOf('previous') !== -1;
-      var showProg = popover.showProgress !== undefined ? popover.showProgress : config.showProgress;
-      if (hasNav || showProg) {
-        var footer = document.createElement('div');
-        footer.classList.add('tg-popover-footer');
-        if (showProg && tourState.totalSteps > 0) {
-          var prog = document.createElement('span');
-          prog.classList.add('tg-popover-progress');
-          prog.textContent = (popover.progressText || config.progressText)
-            .replace('{{current}}', String((tourState.activeIndex || 0) + 1))
-            .replace('{{total}}', String(tourState.totalSteps));
-          footer.appendChild(prog);
+      // [NEW v1.6.0] Branching choices: one button per choice. The click
+      // router reads data-tg-choice and passes the value to handleNext().
+      function choices() {
+        if (!popover.choices || !popover.choices.length) return null;
+        var choicesEl = document.createElement('div');
+        choicesEl.classList.add('tg-popover-choices');
+        for (var ci = 0; ci < popover.choices.length; ci++) {
+          var cb = document.createElement('button');
+          cb.classList.add('tg-popover-btn', 'tg-popover-btn-choice');
+          cb.innerHTML = popover.choices[ci].label;
+          cb.setAttribute('type', 'button');
+          cb.setAttribute('data-tg-choice', popover.choices[ci].value);
+          choicesEl.appendChild(cb);
         }
+        return choicesEl;
+      }
+
+      function progress() {
+        if (!showProg || !(tourState.totalSteps > 0)) return null;
+        var prog = document.createElement('span');
+        prog.classList.add('tg-popover-progress');
+        prog.textContent = (popover.progressText || config.progressText)
+          .replace('{{current}}', String((tourState.activeIndex || 0) + 1))
+          .replace('{{total}}', String(tourState.totalSteps));
+        return prog;
+      }
+
+      var custom = popover.buttons || [];
+
+      function buildButtons() {
         var btns = document.createElement('div');
         btns.classList.add('tg-popover-buttons');
+        // [NEW v1.6.0] Custom buttons come first, before Previous/Next.
+        // The click router passes data-tg-button (the index) to the driver.
+        for (var bi = 0; bi < custom.length; bi++) {
+          var xb = document.createElement('button');
+          xb.classList.add('tg-popover-btn', 'tg-popover-btn-' + (custom[bi].variant || 'secondary'));
+          if (custom[bi].className) {
+            var xc = custom[bi].className.split(' ').filter(Boolean);
+            for (var xi = 0; xi < xc.length; xi++) xb.classList.add(xc[xi]);
+          }
+          xb.innerHTML = custom[bi].label;
+          xb.setAttribute('type', 'button');
+          xb.setAttribute('data-tg-button', String(bi));
+          if (custom[bi].key) xb.setAttribute('aria-keyshortcuts', custom[bi].key);
+          btns.appendChild(xb);
+        }
         if (showButtons.indexOf('previous') !== -1 && !tourState.isFirst) {
           var pb = document.createElement('button');
           pb.classList.add('tg-popover-btn', 'tg-popover-btn-prev');
           pb.innerHTML = config.prevBtnText;
           pb.setAttribute('type', 'button');
+          pb.setAttribute('data-tg-action', 'prev');
           btns.appendChild(pb);
         }
         if (showButtons.indexOf('next') !== -1) {
@@ -1872,10 +4495,74 @@
             nb.innerHTML = config.nextBtnText;
           }
           nb.setAttribute('type', 'button');
+          nb.setAttribute('data-tg-action', 'next');
           btns.appendChild(nb);
         }
-        footer.appendChild(btns);
-        popoverEl.appendChild(footer);
+        return btns;
+      }
+
+      function buttons() {
+        var btns = buildButtons();
+        return btns.children.length ? btns : null;
+      }
+
+      function footer() {
+        var hasNav = showButtons.indexOf('next') !== -1 || showButtons.indexOf('previous') !== -1;
+        if (!hasNav && !showProg && !custom.length) return null;
+        var footerEl = document.createElement('div');
+        footerEl.classList.add('tg-popover-footer');
+        var prog = progress();
+        if (prog) footerEl.appendChild(prog);
+        footerEl.appendChild(buildButtons());
+        return footerEl;
+      }
+
+      var builders = {
+        close: close, title: title, description: description, choices: choices,
+        progress: progress, buttons: buttons, footer: footer,
+      };
+      return function slot(name) {
+        return builders.hasOwnProperty(name) ? builders[name]() : null;
+      };
+    }
+
+    function render(step, targetElement, tourState) {
+      tourState = tourState || {};
+      create();
+      currentStep = step;
+      var popover = step.popover || {};
+      var config = configManager.getConfig();
+      clearContent();
+      popoverEl.classList.remove('tg-popover-visible', 'tg-popover-enter');
+
+      // [NEW v1.5.0] Re-apply theme on each render in case setConfig changed it.
+      applyTheme(popoverEl, config.theme);
+
+      // [MODIFIED v1.6.0] The content is built from named parts ("slots").
+      // A renderer function or an HTML template can arrange them, or
+      // replace them entirely; by default they are appended in order.
+      var slot = createSlotBuilder(popover, config, tourState);
+      // Step-level render/template take precedence over the config ones.
+      var renderer = popover.render || (popover.template ? null : config.popoverRender);
+      var template = popover.template || config.popoverTemplate;
+      var rendered = false;
+      if (renderer) {
+        try {
+          var content = renderer(step, { config: config, state: tourState, slot: slot });
+          rendered = appendContent(content);
+        } catch (e) {
+          warn(ErrorCodes.HOOK_ERROR, 'Popover renderer threw: ' + e.message + '. Using the default popover content.');
+          clearContent();
+        }
+      } else if (template) {
+        appendContent(fillTemplate(template, slot, tourState));
+        rendered = true;
+      }
+      if (!rendered) {
+        for (var si = 0; si < DEFAULT_SLOTS.length; si++) {
+          var part = slot(DEFAULT_SLOTS[si]);
+          if (part) popoverEl.appendChild(part);
+        }
       }
 
       var hook = popover.onPopoverRender || config.onPopoverRender;
@@ -1913,7 +4600,7 @@
         arrowEl.className = 'tg-popover-arrow';
       }
       popoverEl.style.transform = '';
-      var tr = targetElement.getBoundingClientRect();
+      var tr = getClientRect(targetElement);
       popoverEl.style.visibility = 'hidden';
       popoverEl.style.display = 'block';
       popoverEl.style.top = '0';
@@ -2004,144 +4691,1519 @@
       if (popoverEl) { popoverEl.remove(); popoverEl = null; arrowEl = null; currentStep = null; }
     }
 
-    function getElement() { return popoverEl; }
-
-    return { render: render, reposition: reposition, hide: hide, destroy: destroy, getElement: getElement };
-  }
-
-  // =========================================================================
-  // MODULE: Highlight Manager  [UNCHANGED]
-  // =========================================================================
-
-  function createHighlightManager(configManager, overlayManager) {
-    var activeElement = null;
-    var dummyElement = null;
+    function getElement() { return popoverEl; }
+
+    return { render: render, reposition: reposition, hide: hide, destroy: destroy, getElement: getElement };
+  }
+
+  // =========================================================================
+  // MODULE: Highlight Manager  [MODIFIED v1.6.0 - several elements per step]
+  // =========================================================================
+
+  function createHighlightManager(configManager, overlayManager, uiRoot) {
+    var activeElement = null;
+    var dummyElement = null;
+    // [NEW v1.6.0] All elements of a multi-element step, and how to cut
+    // them out ("each" or "union"). Null for single-element steps.
+    var activeGroup = null;
+
+    function getOrCreateDummy() {
+      if (dummyElement && isAttached(dummyElement)) return dummyElement;
+      dummyElement = document.createElement('div');
+      dummyElement.id = 'tg-dummy-element';
+      dummyElement.style.cssText = 'width:0;height:0;pointer-events:none;opacity:0;position:fixed;top:50%;left:50%;';
+      uiRoot.mount(dummyElement);
+      return dummyElement;
+    }
+
+    // [MODIFIED v1.6.0] elements/mode describe a multi-element step; the
+    // element argument stays the primary element (scrolled into view and
+    // used as the popover anchor).
+    function highlight(element, elements, mode) {
+      var target = element || getOrCreateDummy();
+      activeElement = target;
+      activeGroup = (element && elements && elements.length > 1) ? { elements: elements, mode: mode || 'each' } : null;
+      var config = configManager.getConfig();
+      if (element && config.smoothScroll) bringIntoView(element, config.scrollIntoViewOptions);
+      requestAnimationFrame(function () {
+        requestAnimationFrame(function () { refresh(); });
+      });
+      return target;
+    }
+
+    function refresh() {
+      if (!activeElement) return;
+      if (activeElement.id === 'tg-dummy-element') { overlayManager.updateHighlight(null); return; }
+      var config = configManager.getConfig();
+      if (activeGroup) {
+        // Elements that were removed or collapsed since the step started
+        // get no hole; the primary element always keeps its own.
+        var shown = activeGroup.elements.filter(function (el) {
+          if (el === activeElement) return true;
+          if (!isAttached(el)) return false;
+          var r = el.getBoundingClientRect();
+          return r.width > 0 && r.height > 0;
+        });
+        if (activeGroup.mode === 'union') {
+          overlayManager.updateHighlight(getUnionRect(shown, config.stagePadding, config.stageRadius));
+        } else {
+          overlayManager.updateHighlight(shown.map(function (el) {
+            return getElementRect(el, config.stagePadding, config.stageRadius);
+          }));
+        }
+        return;
+      }
+      var rect = getElementRect(activeElement, config.stagePadding, config.stageRadius);
+      overlayManager.updateHighlight(rect);
+    }
+
+    function destroy() {
+      if (dummyElement && dummyElement.parentNode) dummyElement.remove();
+      dummyElement = null;
+      activeElement = null;
+      activeGroup = null;
+    }
+
+    function getActiveElement() { return activeElement; }
+
+    // [NEW v1.6.0] Returns every highlighted element, primary included.
+    function getActiveElements() {
+      if (activeGroup) return activeGroup.elements.slice();
+      return activeElement && activeElement !== dummyElement ? [activeElement] : [];
+    }
+
+    return {
+      highlight: highlight, refresh: refresh, destroy: destroy,
+      getActiveElement: getActiveElement, getActiveElements: getActiveElements,
+    };
+  }
+
+  // =========================================================================
+  // [NEW v1.6.0] MODULE: Spotlight Manager
+  // =========================================================================
+  // A highlight that does not take over the page, for contextual help: a
+  // ring around the element (an outline or a glow) and an optional
+  // popover. Unlike highlight(), it never calls init(), so there is no
+  // overlay, no keyboard handling, and no document click listener: the
+  // rest of the page stays fully interactive and keys behave as usual. It
+  // does not touch the guide's tour state either, so it can be shown while
+  // a tour of this guide or of another one is running.
+  //
+  // The ring ignores the pointer and follows the element when the window
+  // or any container scrolls, when the window resizes, and when the
+  // element changes size. Updates run at most once per animation frame. A
+  // target that is re-rendered is looked up again with its selector; a
+  // target that is gone for good ends the spotlight.
+  //
+  // The popover is rendered by its own Popover Manager, with the close
+  // button and the step's custom buttons only. One spotlight per guide is
+  // shown at a time. It ends with clear(), the close button, Escape while
+  // focus is inside the popover, or the next spotlight.
+  // =========================================================================
+
+  // [NEW v1.6.0] Styles of the spotlight ring.
+  var SPOTLIGHT_RINGS = ['outline', 'glow'];
+
+  function createSpotlightManager(configManager, zPopover, uiRoot, getDriver) {
+    var current = null;   // { step, popoverStep, element, ring, popoverManager }
+    var frame = null;
+    var mutationObserver = null;
+    var resizeObserver = null;
+
+    /**
+     * Shows a spotlight, replacing the current one.
+     *
+     * @param {object} step - { element, popover?, ring?, ringColor? }
+     * @returns {boolean} Whether it is shown
+     */
+    function show(step) {
+      clear();
+      var element = resolveStepElements(step).primary;
+      if (!element) return false;
+      var hiddenReason = getHiddenReason(element);
+      if (hiddenReason) {
+        warn(ErrorCodes.ELEMENT_HIDDEN, 'spotlight(): the element is hidden (' + hiddenReason + '). Nothing is shown.');
+        return false;
+      }
+      var config = configManager.getConfig();
+      if (config.smoothScroll) bringIntoView(element, config.scrollIntoViewOptions);
+
+      var ring = document.createElement('div');
+      ring.classList.add('tg-spotlight', 'tg-spotlight-' + (step.ring || 'outline'));
+      ring.setAttribute('aria-hidden', 'true');
+      applyTheme(ring, config.theme);
+      if (step.ringColor) ring.style.setProperty('--tg-spotlight-color', step.ringColor);
+      uiRoot.mount(ring);
+
+      current = { step: step, popoverStep: null, element: element, ring: ring, popoverManager: null };
+      if (step.popover) {
+        current.popoverStep = popoverStep(step);
+        current.popoverManager = createPopoverManager(standalonePopoverConfig(configManager), zPopover, uiRoot);
+        current.popoverManager.render(current.popoverStep, element, { activeIndex: 0, totalSteps: 0, isFirst: true, isLast: true });
+        var popEl = current.popoverManager.getElement();
+        popEl.classList.add('tg-spotlight-popover');
+        popEl.addEventListener('click', onPopoverClick);
+        popEl.addEventListener('keydown', onPopoverKey);
+      }
+      startTracking();
+      update();
+      return true;
+    }
+
+    // The step rendered in the popover: the close button and the custom
+    // buttons, no navigation or progress.
+    function popoverStep(step) {
+      var popover = {};
+      var keys = Object.keys(step.popover);
+      for (var i = 0; i < keys.length; i++) popover[keys[i]] = step.popover[keys[i]];
+      popover.showButtons = ['close'];
+      popover.showProgress = false;
+      popover.choices = undefined;
+      return { element: step.element, popover: popover };
+    }
+
+    // Places the ring on the element's padded rect and moves the popover.
+    function update() {
+      frame = null;
+      if (!current) return;
+      if (!isAttached(current.element)) {
+        var found = typeof current.step.element === 'string' ? resolveElement(current.step.element, true) : null;
+        if (!found) {
+          clear();
+          return;
+        }
+        if (resizeObserver) {
+          resizeObserver.unobserve(current.element);
+          resizeObserver.observe(found);
+        }
+        current.element = found;
+      }
+      var config = configManager.getConfig();
+      var rect = getElementRect(current.element, config.stagePadding, config.stageRadius);
+      var style = current.ring.style;
+      style.top = rect.y + 'px';
+      style.left = rect.x + 'px';
+      style.width = rect.width + 'px';
+      style.height = rect.height + 'px';
+      style.borderRadius = rect.radius + 'px';
+      if (current.popoverManager) current.popoverManager.reposition(current.element, current.popoverStep);
+    }
+
+    function schedule() {
+      if (frame !== null) return;
+      var raf = window.requestAnimationFrame || function (fn) { return setTimeout(fn, 16); };
+      frame = raf(update);
+    }
+
+    // Scroll events do not bubble, so one capturing listener on window
+    // sees the scrolling of every container.
+    function startTracking() {
+      window.addEventListener('scroll', schedule, { capture: true, passive: true });
+      window.addEventListener('resize', schedule);
+      if (typeof MutationObserver === 'function') {
+        mutationObserver = new MutationObserver(schedule);
+        mutationObserver.observe(document.documentElement, { childList: true, subtree: true });
+      }
+      if (typeof ResizeObserver === 'function') {
+        resizeObserver = new ResizeObserver(schedule);
+        resizeObserver.observe(current.element);
+      }
+    }
+
+    function stopTracking() {
+      window.removeEventListener('scroll', schedule, { capture: true, passive: true });
+      window.removeEventListener('resize', schedule);
+      if (mutationObserver) { mutationObserver.disconnect(); mutationObserver = null; }
+      if (resizeObserver) { resizeObserver.disconnect(); resizeObserver = null; }
+      if (frame !== null) {
+        (window.cancelAnimationFrame || clearTimeout)(frame);
+        frame = null;
+      }
+    }
+
+    function onPopoverClick(e) {
+      if (!current) return;
+      var target = e.target;
+      var btn = target.closest && target.closest('[data-tg-button]');
+      if (btn) {
+        var button = current.step.popover.buttons[parseInt(btn.getAttribute('data-tg-button'), 10)];
+        if (!button || !button.onClick) return;
+        try { button.onClick(current.element, current.step, { config: configManager.getConfig(), driver: getDriver() }); }
+        catch (err) { warn(ErrorCodes.HOOK_ERROR, 'Spotlight button onClick error: ' + err.message); }
+        return;
+      }
+      if (target.closest && target.closest('[data-tg-action="close"]')) clear();
+    }
+
+    function onPopoverKey(e) {
+      if (e.key === 'Escape') {
+        e.stopPropagation();
+        clear();
+      }
+    }
+
+    /**
+     * True while keyboard focus is inside the spotlight popover. Works
+     * with isolateStyles too, where document.activeElement is the host.
+     *
+     * @returns {boolean}
+     */
+    function hasFocus() {
+      var popEl = current && current.popoverManager && current.popoverManager.getElement();
+      if (!popEl) return false;
+      var root = popEl.getRootNode ? popEl.getRootNode() : document;
+      return !!root.activeElement && popEl.contains(root.activeElement);
+    }
+
+    /**
+     * Removes the spotlight, if any.
+     */
+    function clear() {
+      if (!current) return;
+      var shown = current;
+      current = null;
+      stopTracking();
+      if (shown.popoverManager) shown.popoverManager.destroy();
+      if (shown.ring.parentNode) shown.ring.remove();
+    }
+
+    return { show: show, clear: clear, hasFocus: hasFocus };
+  }
+
+  // =========================================================================
+  // MODULE: Events Manager  [MODIFIED v1.6.0 - button shortcuts, iframe scrolling, spotlight keys]
+  // =========================================================================
+
+  function createEventsManager(deps) {
+    var cm = deps.configManager, sm = deps.stateManager, em = deps.emitter;
+    var bound = [];
+    // [NEW v1.6.0] Listeners on the iframes around the active element.
+    var frameBound = [];
+
+    function add(t, ev, h, o) {
+      o = o || false;
+      t.addEventListener(ev, h, o);
+      bound.push({ t: t, e: ev, h: h, o: o });
+    }
+
+    function init() {
+      add(document, 'keydown', onKey, true);
+      add(window, 'resize', onResize);
+    }
+
+    function onKey(e) {
+      if (!sm.getState('isInitialized') || !cm.getConfig('allowKeyboardControl')) return;
+      // [NEW v1.6.0] A paused tour shows nothing and leaves the keys alone.
+      if (sm.getState('__pausedIndex') !== undefined) return;
+      // [NEW v1.6.0] Keys typed in a spotlight popover belong to it: Tab
+      // moves between its buttons and Escape closes it, not the tour.
+      if (inSpotlight(e)) return;
+      switch (e.key) {
+        case 'Escape':
+          if (cm.getConfig('allowClose')) { e.preventDefault(); e.stopPropagation(); em.emit('close'); }
+          break;
+        case 'ArrowRight': e.preventDefault(); e.stopPropagation(); em.emit('next'); break;
+        case 'Tab': e.preventDefault(); e.stopPropagation(); em.emit(e.shiftKey ? 'prev' : 'next'); break;
+        case 'ArrowLeft': e.preventDefault(); e.stopPropagation(); em.emit('prev'); break;
+        // [NEW v1.6.0] Other keys may be shortcuts of custom buttons.
+        default: if (!e.ctrlKey && !e.metaKey && !e.altKey && !isEditable(e.target)) em.emit('shortcut', e);
+      }
+    }
+
+    function inSpotlight(e) {
+      if (deps.spotlightHasFocus && deps.spotlightHasFocus()) return true;
+      return !!(e.target && e.target.closest && e.target.closest('.tg-spotlight-popover'));
+    }
+
+    function isEditable(target) {
+      if (!target || target.nodeType !== 1) return false;
+      return target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName);
+    }
+
+    function onResize() {
+      if (sm.getState('isInitialized')) em.emit('refresh');
+    }
+
+    /**
+     * [NEW v1.6.0] Refreshes the highlight when any iframe enclosing the
+     * element scrolls or resizes. Scrolling inside an iframe moves the
+     * element without any event reaching the top window. Replaces the
+     * listeners of the previous element.
+     *
+     * @param {Element|null} element - The highlighted element
+     */
+    function watchFrames(element) {
+      unwatchFrames();
+      if (!element) return;
+      var frames = getFrameChain(element);
+      for (var i = 0; i < frames.length; i++) {
+        var win = frames[i].contentWindow;
+        if (!win) continue;
+        win.addEventListener('scroll', onResize, true);
+        win.addEventListener('resize', onResize);
+        frameBound.push(win);
+      }
+    }
+
+    function unwatchFrames() {
+      for (var i = 0; i < frameBound.length; i++) {
+        frameBound[i].removeEventListener('scroll', onResize, true);
+        frameBound[i].removeEventListener('resize', onResize);
+      }
+      frameBound.length = 0;
+    }
+
+    function destroy() {
+      for (var i = 0; i < bound.length; i++) {
+        bound[i].t.removeEventListener(bound[i].e, bound[i].h, bound[i].o);
+      }
+      bound.length = 0;
+      unwatchFrames();
+    }
+
+    return { init: init, destroy: destroy, watchFrames: watchFrames };
+  }
+
+  // =========================================================================
+  // MODULE: Click Router  [MODIFIED v1.6.0 - data-tg-action, custom buttons and choices]
+  // =========================================================================
+
+  function createClickRouter(deps) {
+    var cm = deps.configManager, sm = deps.stateManager;
+    var pm = deps.popoverManager, om = deps.overlayManager, em = deps.emitter;
+    var dh = null;
+
+    function onClick(e) {
+      if (!sm.getState('isInitialized')) return;
+      var p = pm.getElement();
+      if (p && p.contains(e.target)) {
+        var choiceBtn = e.target.closest('.tg-popover-btn-choice');
+        if (choiceBtn) {
+          e.preventDefault(); e.stopPropagation(); em.emit('next', choiceBtn.getAttribute('data-tg-choice')); return;
+        }
+        // [MODIFIED v1.6.0] Any element with data-tg-action (including
+        // those from custom renderers and templates) routes its action.
+        // The button classes still work for content added by hand.
+        var customBtn = e.target.closest('[data-tg-button]');
+        if (customBtn) {
+          e.preventDefault(); e.stopPropagation(); em.emit('button', parseInt(customBtn.getAttribute('data-tg-button'), 10)); return;
+        }
+        var actionEl = e.target.closest('[data-tg-action]');
+        var action = actionEl ? actionEl.getAttribute('data-tg-action') : actionFromClass(e.target);
+        if (action === 'next' || action === 'prev' || action === 'close') {
+          e.preventDefault(); e.stopPropagation(); em.emit(action); return;
+        }
+      }
+    }
+
+    function actionFromClass(target) {
+      if (target.classList.contains('tg-popover-btn-next') || target.classList.contains('tg-popover-btn-done')) return 'next';
+      if (target.classList.contains('tg-popover-btn-prev')) return 'prev';
+      if (target.classList.contains('tg-popover-btn-close')) return 'close';
+      return null;
+    }
+
+    function onOverlay() {
+      if (sm.getState('isInitialized') && cm.getConfig('allowClose')) em.emit('close');
+    }
+
+    // [MODIFIED v1.6.0] Listens on the UI root's event root, so clicks
+    // inside an isolated (shadow) popover are seen with their real target.
+    function init() {
+      dh = function (e) { onClick(e); };
+      deps.uiRoot.getEventRoot().addEventListener('click', dh, true);
+      om.setClickHandler(onOverlay);
+    }
+
+    function destroy() {
+      if (dh) { deps.uiRoot.getEventRoot().removeEventListener('click', dh, true); dh = null; }
+      om.setClickHandler(null);
+    }
+
+    return { init: init, destroy: destroy };
+  }
+
+  // =========================================================================
+  // [NEW v1.6.0] MODULE: Tour Registry
+  // =========================================================================
+  // Knows every guide on the page so that tours do not overlap:
+  //   - Only one tour runs at a time. Starting a tour (drive, moveTo,
+  //     moveToStep) while another runs queues it; when the running tour
+  //     ends, the queued tour with the highest priority starts (first come,
+  //     first served among equal priorities). highlight() is not queued.
+  //   - A tour whose prerequisites are not completed waits, and is started
+  //     once they are completed in this page (or never, if they are not).
+  //     Waiting tours check again whenever a guide is registered or the
+  //     saved progress of a guide turns out to be completed.
+  //   - destroy() unregisters a guide; starting it again registers it
+  //     again.
+  //   - tamperGuide.getActive() and tamperGuide.stopAll() act on it, and
+  //     tamperGuide.createLauncher() lists its guides.
+  //
+  // One registry is shared by every copy of the library on the page when
+  // they can reach the page's window (unsafeWindow, or @grant none);
+  // otherwise each copy has its own. The registry object has a version so
+  // that copies with an incompatible layout do not share it.
+  // =========================================================================
+
+  var REGISTRY_KEY = '__tamperGuideRegistry';
+  var REGISTRY_VERSION = 1;
+  var registry = null;
+
+  /**
+   * Returns the page-wide registry, creating it on first use.
+   *
+   * @returns {object}
+   */
+  function getRegistry() {
+    if (registry) return registry;
+    var host = window;
+    try { if (typeof unsafeWindow !== 'undefined' && unsafeWindow) host = unsafeWindow; }
+    catch (e) { /* unsafeWindow not granted */ }
+    try {
+      var shared = host[REGISTRY_KEY];
+      if (shared && shared.version === REGISTRY_VERSION) {
+        registry = shared;
+        return registry;
+      }
+      var created = createRegistry();
+      host[REGISTRY_KEY] = created;
+      if (host[REGISTRY_KEY] === created) {
+        registry = created;
+        return registry;
+      }
+    } catch (e) { /* the page window refuses our objects */ }
+    registry = createRegistry();
+    return registry;
+  }
+
+  function createRegistry() {
+    var guides = [];
+    var active = null;
+    var queue = [];
+    var waiting = [];
+    var completedIds = {};
+    var seq = 0;
+    var listeners = [];
+
+    /**
+     * Registers a guide. Tours waiting for prerequisites check again, as
+     * the new guide may be one of them.
+     *
+     * @param {{ id: string, title: string, priority: number, api: object, isCompleted: function, stop: function }} guide
+     *   isCompleted() returns a boolean or a Promise of one. stop() ends
+     *   the guide's tour and drops its pending starts.
+     */
+    function add(guide) {
+      if (guides.indexOf(guide) !== -1) return;
+      guides.push(guide);
+      retryWaiting();
+      notify();
+    }
+
+    // Unregisters a guide and forgets its pending starts.
+    function remove(guide) {
+      var i = guides.indexOf(guide);
+      if (i === -1) return;
+      guides.splice(i, 1);
+      cancel(guide);
+      if (active === guide) {
+        active = null;
+        startNext();
+      }
+      notify();
+    }
+
+    // Returns the registered guides, in registration order.
+    function list() {
+      return guides.slice();
+    }
+
+    /**
+     * Calls fn whenever a guide is registered, or a tour starts or ends.
+     *
+     * @param {function} fn
+     * @returns {function} Unsubscribes fn
+     */
+    function subscribe(fn) {
+      listeners.push(fn);
+      return function () {
+        listeners = listeners.filter(function (l) { return l !== fn; });
+      };
+    }
+
+    function notify() {
+      var current = listeners.slice();
+      for (var i = 0; i < current.length; i++) {
+        try { current[i](); }
+        catch (e) { warn(ErrorCodes.HOOK_ERROR, 'Registry listener error: ' + e.message); }
+      }
+    }
+
+    /**
+     * Asks to start a guide. Returns true if it may start now; otherwise
+     * start is called when its turn comes.
+     *
+     * @param {object} guide
+     * @param {function} start
+     * @returns {boolean}
+     */
+    function request(guide, start) {
+      if (!active || active === guide) return true;
+      cancel(guide);
+      queue.push({ guide: guide, start: start, seq: seq++ });
+      return false;
+    }
+
+    /**
+     * Parks a guide until one more tour has been completed, then asks
+     * again through start.
+     */
+    function wait(guide, start) {
+      cancel(guide);
+      waiting.push({ guide: guide, start: start });
+    }
+
+    // Forgets pending starts of a guide.
+    function cancel(guide) {
+      queue = queue.filter(function (q) { return q.guide !== guide; });
+      waiting = waiting.filter(function (w) { return w.guide !== guide; });
+    }
+
+    // Marks a guide as the running tour. A highlight() shown while
+    // another tour runs leaves that tour as the running one.
+    function activate(guide) {
+      if (!active) active = guide;
+      notify();
+    }
+
+    /**
+     * Called when a guide's tour ends. Starts whatever waited for it.
+     *
+     * @param {object} guide
+     * @param {boolean} completed - Whether the tour was completed
+     */
+    function release(guide, completed) {
+      if (active === guide) active = null;
+      if (completed && guide.id) markCompleted(guide.id);
+      startNext();
+      notify();
+    }
+
+    // Remembers a completed tour ID, and lets the tours waiting for it
+    // check their prerequisites again.
+    function markCompleted(id) {
+      if (completedIds[id]) return;
+      completedIds[id] = true;
+      retryWaiting();
+    }
+
+    function retryWaiting() {
+      var retry = waiting;
+      waiting = [];
+      for (var i = 0; i < retry.length; i++) retry[i].start();
+    }
+
+    function startNext() {
+      while (!active && queue.length) {
+        queue.sort(function (a, b) { return (b.guide.priority - a.guide.priority) || (a.seq - b.seq); });
+        var next = queue.shift();
+        // A start that does not activate (completed, suppressed, waiting
+        // for async storage) lets the following one try.
+        try { next.start(); }
+        catch (e) { warn(ErrorCodes.HOOK_ERROR, 'A queued tour failed to start: ' + e.message); }
+      }
+    }
+
+    /**
+     * Whether the tour with this ID is completed: in this page, or
+     * according to the saved progress of a registered guide with that ID.
+     *
+     * @param {string} id
+     * @returns {boolean|Promise<boolean>|null} null if no guide has this ID
+     */
+    function isCompleted(id) {
+      if (completedIds[id]) return true;
+      for (var i = 0; i < guides.length; i++) {
+        if (guides[i].id === id) return remember(id, guides[i].isCompleted());
+      }
+      return null;
+    }
+
+    // Passes an isCompleted() answer through, and marks the ID completed
+    // when the answer (or the value it resolves to) is true.
+    function remember(id, done) {
+      if (isThenable(done)) {
+        return done.then(function (value) {
+          if (value) markCompleted(id);
+          return value;
+        });
+      }
+      if (done) markCompleted(id);
+      return done;
+    }
+
+    function getActive() {
+      return active ? active.api : null;
+    }
+
+    // Ends the running tour and drops every pending start, including
+    // drive() calls still waiting for async storage or a prerequisite.
+    function stopAll() {
+      queue = [];
+      waiting = [];
+      var all = guides.slice();
+      for (var i = 0; i < all.length; i++) all[i].stop();
+      active = null;
+    }
+
+    return {
+      version: REGISTRY_VERSION, add: add, remove: remove, list: list, subscribe: subscribe,
+      request: request, wait: wait, cancel: cancel,
+      activate: activate, release: release, isCompleted: isCompleted,
+      getActive: getActive, stopAll: stopAll,
+    };
+  }
+
+  // =========================================================================
+  // [NEW v1.6.0] MODULE: Launcher
+  // =========================================================================
+  // A help menu that lists the tours registered on the page (guides with a
+  // tourTitle, or the ones passed in options.tours) with their completion
+  // state, and starts them on demand:
+  //   - A tour that is not completed is started with launch(), so it
+  //     resumes where the user left it, even if it was snoozed or
+  //     dismissed.
+  //   - A completed tour is restarted: resetProgress(), then launch().
+  //
+  // Two presentations:
+  //   - "widget": a floating button in a corner of the page that opens a
+  //     panel. It is styled with the same --tg-* custom properties as the
+  //     popover, so every theme applies to it.
+  //   - "menu": one Tampermonkey menu command per tour, when the script
+  //     has @grant GM_registerMenuCommand. Labels show the completion
+  //     state when GM_unregisterMenuCommand is granted too (commands are
+  //     re-registered as states change); otherwise they show the title.
+  //
+  // Completion comes from each guide's isCompleted(), the same record
+  // isCompleted() and isCompletedAsync() read, so it works with async
+  // storage backends. The launcher follows the registry, and updates when
+  // a guide is created or a tour starts or ends.
+  // =========================================================================
+
+  var LAUNCHER_MODES = ['auto', 'widget', 'menu'];
+  var LAUNCHER_POSITIONS = ['bottom-right', 'bottom-left', 'top-right', 'top-left'];
+  var LAUNCHER_LABELS = Object.freeze({
+    button: '?',
+    title: 'Tours',
+    start: 'Start',
+    restart: 'Restart',
+    completed: '\u2713 Completed',
+    running: 'Running',
+    notCompleted: 'Not completed',
+    empty: 'No tours on this page.',
+  });
+
+  function hasMenuCommands() {
+    return typeof GM_registerMenuCommand === 'function';
+  }
+
+  /**
+   * Resolves to whether a guide's tour is completed: isCompleted() may
+   * return a boolean or a Promise of one. A failing storage counts as not
+   * completed.
+   *
+   * @param {function} isCompleted
+   * @returns {Promise<boolean>}
+   */
+  function completionOf(isCompleted) {
+    return Promise.resolve().then(isCompleted)
+      .then(function (done) { return !!done; }, function () { return false; });
+  }
+
+  /**
+   * Starts a guide's tour on the user's request: launch() when it is not
+   * completed, resetProgress() then launch() when it is. Either way the
+   * tour starts even if it was snoozed, dismissed, or marked "never show
+   * again". Does nothing while the tour runs.
+   *
+   * @param {object} api - A guide
+   * @param {boolean} done - Whether its tour is completed
+   */
+  function launchGuide(api, done) {
+    if (api.isActive()) return;
+    if (done) api.resetProgress();
+    api.launch();
+  }
+
+  /**
+   * Creates the UI root of a page widget (launcher, checklist) and
+   * prepares its styles.
+   *
+   * @param {{ isolateStyles?: boolean, customStyles?: string }} options
+   * @returns {object}
+   */
+  function createWidgetRoot(options) {
+    var uiRoot = createUiRoot(createConfigManager({
+      isolateStyles: options.isolateStyles === true,
+      customStyles: options.customStyles || '',
+    }));
+    uiRoot.init(2147483644, 2147483646);
+    return uiRoot;
+  }
+
+  function validateLauncherOptions(options) {
+    if (options === null || typeof options !== 'object') {
+      throw new TamperGuideError(ErrorCodes.INVALID_CONFIG, 'createLauncher() options must be an object. Received: ' + typeof options);
+    }
+    if (options.mode !== undefined && LAUNCHER_MODES.indexOf(options.mode) === -1) {
+      throw new TamperGuideError(ErrorCodes.INVALID_CONFIG,
+        'Launcher "mode" must be one of: ' + LAUNCHER_MODES.join(', ') + '. Received: "' + options.mode + '".');
+    }
+    if (options.position !== undefined && LAUNCHER_POSITIONS.indexOf(options.position) === -1) {
+      throw new TamperGuideError(ErrorCodes.INVALID_CONFIG,
+        'Launcher "position" must be one of: ' + LAUNCHER_POSITIONS.join(', ') + '. Received: "' + options.position + '".');
+    }
+    if (options.theme !== undefined && (typeof options.theme !== 'string' || !THEMES[options.theme])) {
+      throw new TamperGuideError(ErrorCodes.INVALID_CONFIG,
+        'Launcher "theme" must be one of: ' + Object.keys(THEMES).join(', ') + '. Received: "' + options.theme + '".');
+    }
+    if (options.tours !== undefined) {
+      if (!Array.isArray(options.tours) || options.tours.some(function (t) { return !t || typeof t.drive !== 'function'; })) {
+        throw new TamperGuideError(ErrorCodes.INVALID_CONFIG,
+          'Launcher "tours" must be an Array of guides returned by tamperGuide(). Example: tours: [welcomeGuide, settingsGuide]');
+      }
+    }
+    if (options.labels !== undefined && (options.labels === null || typeof options.labels !== 'object')) {
+      throw new TamperGuideError(ErrorCodes.INVALID_CONFIG, 'Launcher "labels" must be an object of strings.');
+    }
+    if (options.customStyles !== undefined && typeof options.customStyles !== 'string') {
+      throw new TamperGuideError(ErrorCodes.INVALID_CONFIG, 'Launcher "customStyles" must be a string of CSS.');
+    }
+  }
+
+  /**
+   * Creates a launcher. See tamperGuide.createLauncher() for the options.
+   *
+   * @param {object} [options]
+   * @returns {{ open: function, close: function, toggle: function, isOpen: function, refresh: function, destroy: function }}
+   */
+  function createLauncher(options) {
+    options = options || {};
+    validateLauncherOptions(options);
+
+    var labels = {};
+    var lk = Object.keys(LAUNCHER_LABELS);
+    for (var i = 0; i < lk.length; i++) {
+      var custom = options.labels && options.labels[lk[i]];
+      labels[lk[i]] = typeof custom === 'string' ? custom : LAUNCHER_LABELS[lk[i]];
+    }
+
+    var mode = options.mode || 'auto';
+    if (mode === 'auto') mode = hasMenuCommands() ? 'menu' : 'widget';
+    if (mode === 'menu' && !hasMenuCommands()) {
+      warn(ErrorCodes.INVALID_CONFIG, 'Launcher mode "menu" needs @grant GM_registerMenuCommand. Showing the widget instead.');
+      mode = 'widget';
+    }
+
+    var destroyed = false;
+    var renderToken = 0;
+    var menuIds = [];        // [entry, commandId] pairs of registered menu commands
+    var uiRoot = null;
+    var root = null;
+    var button = null;
+    var panel = null;
+    var list = null;
+    var outsideHandler = null;
+
+    // The guides to list: options.tours in that order, or every guide
+    // with a tourTitle in registration order.
+    function getEntries() {
+      var all = getRegistry().list();
+      if (!options.tours) return all.filter(function (e) { return !!e.title; });
+      var picked = [];
+      for (var t = 0; t < options.tours.length; t++) {
+        for (var a = 0; a < all.length; a++) {
+          if (all[a].api === options.tours[t]) { picked.push(all[a]); break; }
+        }
+      }
+      return picked;
+    }
+
+    function titleOf(entry, index) {
+      return entry.title || entry.id || ('Tour ' + (index + 1));
+    }
+
+    function entryCompletion(entry) {
+      return completionOf(entry.isCompleted);
+    }
+
+    function launch(entry) {
+      if (entry.api.isActive()) return;
+      close();
+      entryCompletion(entry).then(function (done) {
+        if (!destroyed) launchGuide(entry.api, done);
+      });
+    }
+
+    // ---- Widget ----
+
+    function buildWidget() {
+      uiRoot = createWidgetRoot(options);
+
+      root = document.createElement('div');
+      root.className = 'tg-launcher tg-launcher-' + (options.position || 'bottom-right');
+      applyTheme(root, options.theme);
+
+      panel = document.createElement('div');
+      panel.className = 'tg-launcher-panel';
+      panel.id = 'tg-launcher-panel-' + Math.random().toString(36).slice(2, 8);
+      panel.setAttribute('role', 'dialog');
+      panel.setAttribute('aria-label', labels.title);
+      panel.hidden = true;
+      var heading = document.createElement('div');
+      heading.className = 'tg-launcher-title';
+      heading.textContent = labels.title;
+      list = document.createElement('ul');
+      list.className = 'tg-launcher-list';
+      panel.appendChild(heading);
+      panel.appendChild(list);
+
+      button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'tg-launcher-button';
+      button.textContent = labels.button;
+      button.setAttribute('aria-label', labels.title);
+      button.setAttribute('aria-haspopup', 'dialog');
+      button.setAttribute('aria-controls', panel.id);
+      button.setAttribute('aria-expanded', 'false');
+      button.addEventListener('click', function () { toggle(); });
+
+      root.addEventListener('keydown', function (e) {
+        if (e.key === 'Escape' && isOpen()) {
+          e.stopPropagation();
+          close();
+          button.focus();
+        }
+      });
+
+      root.appendChild(panel);
+      root.appendChild(button);
+      uiRoot.mount(root);
+    }
+
+    function renderWidget() {
+      var token = ++renderToken;
+      var entries = getEntries();
+      Promise.all(entries.map(entryCompletion)).then(function (states) {
+        if (destroyed || token !== renderToken) return;
+        list.innerHTML = '';
+        if (!entries.length) {
+          var empty = document.createElement('li');
+          empty.className = 'tg-launcher-empty';
+          empty.textContent = labels.empty;
+          list.appendChild(empty);
+          return;
+        }
+        entries.forEach(function (entry, idx) {
+          var done = states[idx];
+          var running = entry.api.isActive();
+          var item = document.createElement('li');
+          item.className = 'tg-launcher-item' + (done ? ' tg-launcher-item-completed' : '') + (running ? ' tg-launcher-item-running' : '');
+
+          var text = document.createElement('div');
+          text.className = 'tg-launcher-item-text';
+          var title = document.createElement('span');
+          title.className = 'tg-launcher-item-title';
+          title.textContent = titleOf(entry, idx);
+          var state = document.createElement('span');
+          state.className = 'tg-launcher-item-state';
+          state.textContent = running ? labels.running : (done ? labels.completed : labels.notCompleted);
+          text.appendChild(title);
+          text.appendChild(state);
+
+          var action = document.createElement('button');
+          action.type = 'button';
+          action.className = 'tg-popover-btn ' + (done ? 'tg-popover-btn-secondary' : 'tg-popover-btn-primary');
+          action.textContent = done ? labels.restart : labels.start;
+          action.disabled = running;
+          action.setAttribute('aria-label', action.textContent + ': ' + title.textContent);
+          action.addEventListener('click', function () { launch(entry); });
+
+          item.appendChild(text);
+          item.appendChild(action);
+          list.appendChild(item);
+        });
+      });
+    }
+
+    function isOpen() {
+      return !!panel && !panel.hidden;
+    }
+
+    function open() {
+      if (destroyed || !panel || isOpen()) return;
+      panel.hidden = false;
+      button.setAttribute('aria-expanded', 'true');
+      renderWidget();
+      // Clicks outside the launcher close it. The listener is added after
+      // the current click has finished bubbling.
+      outsideHandler = function (e) {
+        var path = e.composedPath ? e.composedPath() : [];
+        if (path.indexOf(root) === -1 && !root.contains(e.target)) close();
+      };
+      setTimeout(function () {
+        if (outsideHandler) document.addEventListener('click', outsideHandler, true);
+      }, 0);
+    }
+
+    function close() {
+      if (!isOpen()) return;
+      panel.hidden = true;
+      button.setAttribute('aria-expanded', 'false');
+      if (outsideHandler) {
+        document.removeEventListener('click', outsideHandler, true);
+        outsideHandler = null;
+      }
+    }
+
+    function toggle() {
+      if (isOpen()) close();
+      else open();
+    }
+
+    // ---- Menu commands ----
+
+    function canUnregister() {
+      return typeof GM_unregisterMenuCommand === 'function';
+    }
+
+    function registerCommand(entry, label) {
+      try {
+        menuIds.push([entry, GM_registerMenuCommand(label, function () { launch(entry); })]);
+      } catch (e) {
+        warn(ErrorCodes.HOOK_ERROR, 'GM_registerMenuCommand failed: ' + e.message);
+      }
+    }
+
+    function unregisterCommands() {
+      if (!canUnregister()) return;
+      for (var m = 0; m < menuIds.length; m++) {
+        try { GM_unregisterMenuCommand(menuIds[m][1]); }
+        catch (e) { /* Already gone */ }
+      }
+      menuIds = [];
+    }
+
+    function renderMenu() {
+      var entries = getEntries();
+      // Without GM_unregisterMenuCommand the commands cannot be relabelled:
+      // each tour gets one command with its title, added once.
+      if (!canUnregister()) {
+        entries.forEach(function (entry, idx) {
+          var known = menuIds.some(function (m) { return m[0] === entry; });
+          if (!known) registerCommand(entry, titleOf(entry, idx));
+        });
+        return;
+      }
+      var token = ++renderToken;
+      Promise.all(entries.map(entryCompletion)).then(function (states) {
+        if (destroyed || token !== renderToken) return;
+        unregisterCommands();
+        entries.forEach(function (entry, idx) {
+          var done = states[idx];
+          registerCommand(entry, (done ? labels.restart : labels.start) + ': ' + titleOf(entry, idx) + (done ? ' \u2713' : ''));
+        });
+      });
+    }
+
+    // ---- Lifecycle ----
+
+    function refresh() {
+      if (destroyed) return;
+      if (mode === 'menu') renderMenu();
+      else if (isOpen()) renderWidget();
+    }
+
+    function destroy() {
+      if (destroyed) return;
+      close();
+      destroyed = true;
+      unsubscribe();
+      unregisterCommands();
+      if (root) {
+        root.remove();
+        uiRoot.release();
+        root = null;
+      }
+    }
+
+    if (mode === 'widget') buildWidget();
+    var unsubscribe = getRegistry().subscribe(refresh);
+    refresh();
+
+    return {
+      mode: mode,
+      open: open,
+      close: close,
+      toggle: toggle,
+      isOpen: isOpen,
+      refresh: refresh,
+      destroy: destroy,
+    };
+  }
+
+  // =========================================================================
+  // [NEW v1.6.0] MODULE: Checklist
+  // =========================================================================
+  // An onboarding checklist docked in a corner of the page: a title, a
+  // progress bar, and one item per task. An item is done when:
+  //   - its tour is completed (the "completed" flag of the tour's saved
+  //     progress, read with isCompletedAsync()), or
+  //   - its done() predicate returns true, for tasks that are not tours.
+  // Clicking an item starts its tour the same way the launcher does, and
+  // calls its onClick. The header collapses the dock to the title and the
+  // progress bar.
+  //
+  // Items are re-evaluated when a tour starts or ends anywhere on the page
+  // (through the registry) and on refresh(). The dock uses the same --tg-*
+  // custom properties as the popover, so themes apply to it.
+  // =========================================================================
+
+  var CHECKLIST_LABELS = Object.freeze({
+    title: 'Getting started',
+    progress: '{{done}} of {{total}} done',
+    done: 'done',
+    collapse: 'Collapse checklist',
+    expand: 'Expand checklist',
+  });
+
+  function validateChecklistOptions(options) {
+    if (options === null || typeof options !== 'object') {
+      throw new TamperGuideError(ErrorCodes.INVALID_CONFIG, 'createChecklist() options must be an object. Received: ' + typeof options);
+    }
+    if (!Array.isArray(options.items) || !options.items.length) {
+      throw new TamperGuideError(ErrorCodes.INVALID_CONFIG,
+        'createChecklist() needs a non-empty "items" Array. Example: items: [{ title: "Take the tour", tour: welcomeGuide }]');
+    }
+    for (var i = 0; i < options.items.length; i++) {
+      var item = options.items[i];
+      var where = 'Checklist items[' + i + ']';
+      if (!item || typeof item !== 'object') {
+        throw new TamperGuideError(ErrorCodes.INVALID_CONFIG, where + ' must be an object.');
+      }
+      if (typeof item.title !== 'string' || item.title.trim() === '') {
+        throw new TamperGuideError(ErrorCodes.INVALID_CONFIG, where + '.title must be a non-empty string.');
+      }
+      if (item.description !== undefined && typeof item.description !== 'string') {
+        throw new TamperGuideError(ErrorCodes.INVALID_CONFIG, where + '.description must be a string.');
+      }
+      if (item.tour !== undefined && (!item.tour || typeof item.tour.drive !== 'function')) {
+        throw new TamperGuideError(ErrorCodes.INVALID_CONFIG, where + '.tour must be a guide returned by tamperGuide().');
+      }
+      if (item.done !== undefined && typeof item.done !== 'function') {
+        throw new TamperGuideError(ErrorCodes.INVALID_CONFIG, where + '.done must be a function returning a boolean or a Promise of one.');
+      }
+      if (item.onClick !== undefined && typeof item.onClick !== 'function') {
+        throw new TamperGuideError(ErrorCodes.INVALID_CONFIG, where + '.onClick must be a function.');
+      }
+      if (!item.tour && !item.done) {
+        throw new TamperGuideError(ErrorCodes.INVALID_CONFIG,
+          where + ' needs a "tour" or a "done" function, otherwise it can never be done.');
+      }
+    }
+    if (options.title !== undefined && typeof options.title !== 'string') {
+      throw new TamperGuideError(ErrorCodes.INVALID_CONFIG, 'Checklist "title" must be a string.');
+    }
+    if (options.position !== undefined && LAUNCHER_POSITIONS.indexOf(options.position) === -1) {
+      throw new TamperGuideError(ErrorCodes.INVALID_CONFIG,
+        'Checklist "position" must be one of: ' + LAUNCHER_POSITIONS.join(', ') + '. Received: "' + options.position + '".');
+    }
+    if (options.theme !== undefined && (typeof options.theme !== 'string' || !THEMES[options.theme])) {
+      throw new TamperGuideError(ErrorCodes.INVALID_CONFIG,
+        'Checklist "theme" must be one of: ' + Object.keys(THEMES).join(', ') + '. Received: "' + options.theme + '".');
+    }
+    if (options.labels !== undefined && (options.labels === null || typeof options.labels !== 'object')) {
+      throw new TamperGuideError(ErrorCodes.INVALID_CONFIG, 'Checklist "labels" must be an object of strings.');
+    }
+    if (options.onComplete !== undefined && typeof options.onComplete !== 'function') {
+      throw new TamperGuideError(ErrorCodes.INVALID_CONFIG, 'Checklist "onComplete" must be a function.');
+    }
+    if (options.customStyles !== undefined && typeof options.customStyles !== 'string') {
+      throw new TamperGuideError(ErrorCodes.INVALID_CONFIG, 'Checklist "customStyles" must be a string of CSS.');
+    }
+  }
+
+  /**
+   * Creates a checklist. See tamperGuide.createChecklist() for the options.
+   *
+   * @param {object} options
+   * @returns {object}
+   */
+  function createChecklist(options) {
+    validateChecklistOptions(options);
+
+    var labels = {};
+    var lk = Object.keys(CHECKLIST_LABELS);
+    for (var i = 0; i < lk.length; i++) {
+      var custom = options.labels && options.labels[lk[i]];
+      labels[lk[i]] = typeof custom === 'string' ? custom : CHECKLIST_LABELS[lk[i]];
+    }
+    var title = options.title !== undefined ? options.title : labels.title;
+    var items = options.items.slice();
+
+    var destroyed = false;
+    var collapsed = options.collapsed === true;
+    var states = items.map(function () { return false; });
+    var wasComplete = null;  // unknown until the first evaluation
+    var renderToken = 0;
+
+    // ---- DOM ----
+
+    var uiRoot = createWidgetRoot(options);
+    var root = document.createElement('div');
+    root.className = 'tg-checklist tg-checklist-' + (options.position || 'bottom-right');
+    root.setAttribute('role', 'region');
+    root.setAttribute('aria-label', title);
+    applyTheme(root, options.theme);
+
+    var listId = 'tg-checklist-items-' + Math.random().toString(36).slice(2, 8);
+    var header = document.createElement('button');
+    header.type = 'button';
+    header.className = 'tg-checklist-header';
+    header.setAttribute('aria-controls', listId);
+    var titleEl = document.createElement('span');
+    titleEl.className = 'tg-checklist-title';
+    titleEl.textContent = title;
+    var countEl = document.createElement('span');
+    countEl.className = 'tg-checklist-count';
+    var chevron = document.createElement('span');
+    chevron.className = 'tg-checklist-chevron';
+    chevron.setAttribute('aria-hidden', 'true');
+    header.appendChild(titleEl);
+    header.appendChild(countEl);
+    header.appendChild(chevron);
+    header.addEventListener('click', function () { toggle(); });
+
+    var progress = document.createElement('div');
+    progress.className = 'tg-checklist-progress';
+    progress.setAttribute('role', 'progressbar');
+    progress.setAttribute('aria-valuemin', '0');
+    progress.setAttribute('aria-valuemax', String(items.length));
+    var bar = document.createElement('div');
+    bar.className = 'tg-checklist-progress-bar';
+    progress.appendChild(bar);
+
+    var list = document.createElement('ul');
+    list.className = 'tg-checklist-items';
+    list.id = listId;
+    var rows = items.map(function (item, idx) {
+      var li = document.createElement('li');
+      li.className = 'tg-checklist-item';
+      var btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'tg-checklist-item-button';
+      var check = document.createElement('span');
+      check.className = 'tg-checklist-check';
+      check.setAttribute('aria-hidden', 'true');
+      var text = document.createElement('span');
+      text.className = 'tg-checklist-item-text';
+      var itemTitle = document.createElement('span');
+      itemTitle.className = 'tg-checklist-item-title';
+      itemTitle.textContent = item.title;
+      text.appendChild(itemTitle);
+      if (item.description) {
+        var desc = document.createElement('span');
+        desc.className = 'tg-checklist-item-description';
+        desc.textContent = item.description;
+        text.appendChild(desc);
+      }
+      btn.appendChild(check);
+      btn.appendChild(text);
+      // An item with neither a tour nor onClick has nothing to start.
+      if (!item.tour && !item.onClick) btn.disabled = true;
+      btn.addEventListener('click', function () { activate(idx); });
+      li.appendChild(btn);
+      list.appendChild(li);
+      return { li: li, button: btn };
+    });
+
+    root.appendChild(header);
+    root.appendChild(progress);
+    root.appendChild(list);
+    uiRoot.mount(root);
+
+    // ---- State ----
+
+    function itemDone(item) {
+      if (item.done) {
+        return Promise.resolve().then(function () { return item.done(); }).then(function (done) { return !!done; }, function (e) {
+          warn(ErrorCodes.HOOK_ERROR, 'Checklist done() failed for "' + item.title + '": ' + (e && e.message));
+          return false;
+        });
+      }
+      return completionOf(function () { return item.tour.isCompletedAsync(); });
+    }
+
+    function applyCollapsed() {
+      root.classList.toggle('tg-checklist-collapsed', collapsed);
+      list.hidden = collapsed;
+      header.setAttribute('aria-expanded', collapsed ? 'false' : 'true');
+      header.setAttribute('title', collapsed ? labels.expand : labels.collapse);
+    }
 
-    function getOrCreateDummy() {
-      if (dummyElement && document.body.contains(dummyElement)) return dummyElement;
-      dummyElement = document.createElement('div');
-      dummyElement.id = 'tg-dummy-element';
-      dummyElement.style.cssText = 'width:0;height:0;pointer-events:none;opacity:0;position:fixed;top:50%;left:50%;';
-      document.body.appendChild(dummyElement);
-      return dummyElement;
+    function paint() {
+      var done = states.filter(Boolean).length;
+      var total = items.length;
+      countEl.textContent = labels.progress
+        .replace(/\{\{done\}\}/g, String(done))
+        .replace(/\{\{total\}\}/g, String(total));
+      bar.style.width = (total ? Math.round(done / total * 100) : 0) + '%';
+      progress.setAttribute('aria-valuenow', String(done));
+      progress.setAttribute('aria-valuetext', countEl.textContent);
+      for (var r = 0; r < rows.length; r++) {
+        var running = !!(items[r].tour && items[r].tour.isActive());
+        rows[r].li.classList.toggle('tg-checklist-item-done', states[r]);
+        rows[r].li.classList.toggle('tg-checklist-item-running', running);
+        rows[r].button.setAttribute('aria-label', items[r].title + (states[r] ? ', ' + labels.done : ''));
+      }
     }
 
-    function highlight(element) {
-      var target = element || getOrCreateDummy();
-      activeElement = target;
-      var config = configManager.getConfig();
-      if (element && config.smoothScroll) bringIntoView(element, config.scrollIntoViewOptions);
-      requestAnimationFrame(function () {
-        requestAnimationFrame(function () { refresh(); });
+    /**
+     * Re-evaluates every item and updates the dock. Calls onComplete when
+     * the last item becomes done.
+     *
+     * @returns {Promise<void>}
+     */
+    function refresh() {
+      if (destroyed) return Promise.resolve();
+      var token = ++renderToken;
+      return Promise.all(items.map(itemDone)).then(function (results) {
+        if (destroyed || token !== renderToken) return;
+        states = results;
+        paint();
+        var complete = states.every(Boolean);
+        if (complete && wasComplete === false && options.onComplete) {
+          try { options.onComplete(api); }
+          catch (e) { warn(ErrorCodes.HOOK_ERROR, 'Checklist onComplete error: ' + e.message); }
+        }
+        wasComplete = complete;
       });
-      return target;
     }
 
-    function refresh() {
-      if (!activeElement) return;
-      if (activeElement.id === 'tg-dummy-element') { overlayManager.updateHighlight(null); return; }
-      var config = configManager.getConfig();
-      var rect = getElementRect(activeElement, config.stagePadding, config.stageRadius);
-      overlayManager.updateHighlight(rect);
+    function activate(idx) {
+      var item = items[idx];
+      if (item.onClick) {
+        try { item.onClick(item, api); }
+        catch (e) { warn(ErrorCodes.HOOK_ERROR, 'Checklist onClick error: ' + e.message); }
+      }
+      if (!item.tour) return;
+      completionOf(function () { return item.tour.isCompletedAsync(); }).then(function (done) {
+        if (!destroyed) launchGuide(item.tour, done);
+      });
     }
 
+    function collapse() { if (!destroyed) { collapsed = true; applyCollapsed(); } }
+    function expand() { if (!destroyed) { collapsed = false; applyCollapsed(); } }
+    function toggle() { if (collapsed) expand(); else collapse(); }
+
     function destroy() {
-      if (dummyElement && dummyElement.parentNode) dummyElement.remove();
-      dummyElement = null;
-      activeElement = null;
+      if (destroyed) return;
+      destroyed = true;
+      unsubscribe();
+      root.remove();
+      uiRoot.release();
     }
 
-    function getActiveElement() { return activeElement; }
+    var api = {
+      refresh: refresh,
+      collapse: collapse,
+      expand: expand,
+      toggle: toggle,
+      isCollapsed: function () { return collapsed; },
+      getProgress: function () {
+        return { done: states.filter(Boolean).length, total: items.length, items: states.slice() };
+      },
+      destroy: destroy,
+    };
 
-    return { highlight: highlight, refresh: refresh, destroy: destroy, getActiveElement: getActiveElement };
+    applyCollapsed();
+    paint();
+    var unsubscribe = getRegistry().subscribe(function () { refresh(); });
+    refresh();
+
+    return api;
   }
 
   // =========================================================================
-  // MODULE: Events Manager  [UNCHANGED]
+  // [NEW v1.6.0] MODULE: Definition Loader
+  // =========================================================================
+  // Builds a guide from a tour kept as data: a JSON string (for example
+  // from GM_getResourceText), or an object already parsed from JSON or
+  // YAML. JSON cannot hold functions or regular expressions, so:
+  //   - { "$fn": "name" } anywhere in the definition is replaced by the
+  //     function registered under that name. Keys that only accept a
+  //     function (hooks such as "onHighlighted", "when", "waitFor.until",
+  //     "popover.render", "popoverRender", "migrateProgress", a custom
+  //     button's "onClick") may give the name as a plain string.
+  //   - { "$regex": "^/docs/", "flags": "i" } becomes a RegExp, for the
+  //     "url" and "route" step properties.
+  // Functions come from the map passed to fromJSON(), then from the ones
+  // registered with tamperGuide.registerFunctions().
+  //
+  // The result goes through validateConfig() and validateStep() as usual.
+  // Their messages name the offending field first ('"popover.side" in
+  // step 2 ...'); the loader turns that into a JSON path such as
+  // $.steps[2].popover.side and reports it in the error, and in
+  // error.context.path.
   // =========================================================================
 
-  function createEventsManager(deps) {
-    var cm = deps.configManager, sm = deps.stateManager, em = deps.emitter;
-    var bound = [];
+  var namedFunctions = {};
 
-    function add(t, ev, h, o) {
-      o = o || false;
-      t.addEventListener(ev, h, o);
-      bound.push({ t: t, e: ev, h: h, o: o });
-    }
+  // Keys whose value can only be a function, so a string names one.
+  var FUNCTION_ONLY_KEYS = ['when', 'until', 'render', 'popoverRender', 'migrateProgress'];
 
-    function init() {
-      add(document, 'keydown', onKey, true);
-      add(window, 'resize', onResize);
-    }
+  function isFunctionOnlyKey(key) {
+    return FUNCTION_ONLY_KEYS.indexOf(key) !== -1 || /^on[A-Z]/.test(key);
+  }
 
-    function onKey(e) {
-      if (!sm.getState('isInitialized') || !cm.getConfig('allowKeyboardControl')) return;
-      switch (e.key) {
-        case 'Escape':
-          if (cm.getConfig('allowClose')) { e.preventDefault(); e.stopPropagation(); em.emit('close'); }
-          break;
-        case 'ArrowRight': e.preventDefault(); e.stopPropagation(); em.emit('next'); break;
-        case 'Tab': e.preventDefault(); e.stopPropagation(); em.emit(e.shiftKey ? 'prev' : 'next'); break;
-        case 'ArrowLeft': e.preventDefault(); e.stopPropagation(); em.emit('prev'); break;
+  function pathTo(path, key) {
+    if (typeof key === 'number') return path + '[' + key + ']';
+    return /^[A-Za-z_$][\w$]*$/.test(key) ? path + '.' + key : path + '[' + JSON.stringify(key) + ']';
+  }
+
+  function definitionError(path, message) {
+    return new TamperGuideError(ErrorCodes.INVALID_CONFIG,
+      'Invalid tour definition at ' + path + ': ' + message, { path: path });
+  }
+
+  /**
+   * Registers functions that tour definitions can reference by name.
+   *
+   * @param {Object<string, function>} functions
+   */
+  function registerFunctions(functions) {
+    if (functions === null || typeof functions !== 'object') {
+      throw new TamperGuideError(ErrorCodes.INVALID_CONFIG, 'registerFunctions() needs an object of named functions. Example: { isAdmin: function () { ... } }');
+    }
+    var names = Object.keys(functions);
+    for (var i = 0; i < names.length; i++) {
+      if (typeof functions[names[i]] !== 'function') {
+        throw new TamperGuideError(ErrorCodes.INVALID_CONFIG, 'registerFunctions(): "' + names[i] + '" is not a function.');
       }
     }
+    for (var j = 0; j < names.length; j++) namedFunctions[names[j]] = functions[names[j]];
+  }
 
-    function onResize() {
-      if (sm.getState('isInitialized')) em.emit('refresh');
+  /**
+   * Copies a parsed definition, replacing function and RegExp references.
+   *
+   * @param {*} value
+   * @param {string} path - JSON path of value, for error messages
+   * @param {string|number} key - Key of value in its parent
+   * @param {Object<string, function>} functions
+   * @returns {*}
+   */
+  function resolveDefinition(value, path, key, functions) {
+    function lookup(name) {
+      if (typeof name !== 'string' || name === '') {
+        throw definitionError(path, 'a function reference must be a non-empty string name.');
+      }
+      var fn = Object.prototype.hasOwnProperty.call(functions, name) ? functions[name]
+        : Object.prototype.hasOwnProperty.call(namedFunctions, name) ? namedFunctions[name] : null;
+      if (typeof fn !== 'function') {
+        var known = Object.keys(functions).concat(Object.keys(namedFunctions));
+        throw definitionError(path, 'unknown function "' + name + '". ' +
+          (known.length ? 'Known functions: ' + known.join(', ') + '.' : 'No functions were passed or registered.'));
+      }
+      return fn;
     }
 
-    function destroy() {
-      for (var i = 0; i < bound.length; i++) {
-        bound[i].t.removeEventListener(bound[i].e, bound[i].h, bound[i].o);
+    if (Array.isArray(value)) {
+      return value.map(function (item, i) { return resolveDefinition(item, pathTo(path, i), i, functions); });
+    }
+    if (value !== null && typeof value === 'object') {
+      if (Object.prototype.hasOwnProperty.call(value, '$fn')) return lookup(value.$fn);
+      if (Object.prototype.hasOwnProperty.call(value, '$regex')) {
+        try { return new RegExp(value.$regex, value.flags || ''); }
+        catch (e) { throw definitionError(path, 'invalid regular expression: ' + e.message); }
       }
-      bound.length = 0;
+      var copy = {};
+      var keys = Object.keys(value);
+      for (var i = 0; i < keys.length; i++) {
+        copy[keys[i]] = resolveDefinition(value[keys[i]], pathTo(path, keys[i]), keys[i], functions);
+      }
+      return copy;
     }
-
-    return { init: init, destroy: destroy };
+    if (typeof value === 'string' && typeof key === 'string' && isFunctionOnlyKey(key)) return lookup(value);
+    return value;
   }
 
-  // =========================================================================
-  // MODULE: Click Router  [UNCHANGED]
-  // =========================================================================
-
-  function createClickRouter(deps) {
-    var cm = deps.configManager, sm = deps.stateManager;
-    var pm = deps.popoverManager, om = deps.overlayManager, em = deps.emitter;
-    var dh = null;
+  /**
+   * JSON path of the field a validation error is about, built from the
+   * { step, field } context that validateConfig() and validateStep()
+   * attach to their errors.
+   *
+   * @param {object} context - The error's context
+   * @returns {string}
+   */
+  function validationPath(context) {
+    var path = '$';
+    if (typeof context.step === 'number') path += '.steps[' + context.step + ']';
+    if (context.field) path += '.' + context.field;
+    return path;
+  }
 
-    function onClick(e) {
-      if (!sm.getState('isInitialized')) return;
-      var p = pm.getElement();
-      if (p && p.contains(e.target)) {
-        if (e.target.classList.contains('tg-popover-btn-next') || e.target.classList.contains('tg-popover-btn-done')) {
-          e.preventDefault(); e.stopPropagation(); em.emit('next'); return;
-        }
-        if (e.target.classList.contains('tg-popover-btn-prev')) {
-          e.preventDefault(); e.stopPropagation(); em.emit('prev'); return;
-        }
-        if (e.target.classList.contains('tg-popover-btn-close')) {
-          e.preventDefault(); e.stopPropagation(); em.emit('close'); return;
-        }
-      }
+  /**
+   * Creates a guide from a JSON definition.
+   *
+   * @param {string|object} definition - JSON text, or the parsed object
+   * @param {Object<string, function>} [functions] - Named functions
+   * @returns {object} The guide
+   * @throws {TamperGuideError} INVALID_CONFIG or INVALID_STEP, with context.path
+   */
+  function fromJSON(definition, functions) {
+    if (functions !== undefined && (functions === null || typeof functions !== 'object')) {
+      throw new TamperGuideError(ErrorCodes.INVALID_CONFIG, 'fromJSON(definition, functions): "functions" must be an object of named functions.');
     }
-
-    function onOverlay() {
-      if (sm.getState('isInitialized') && cm.getConfig('allowClose')) em.emit('close');
+    var parsed = definition;
+    if (typeof definition === 'string') {
+      try { parsed = JSON.parse(definition); }
+      catch (e) { throw definitionError('$', 'not valid JSON (' + e.message + ').'); }
     }
-
-    function init() {
-      dh = function (e) { onClick(e); };
-      document.addEventListener('click', dh, true);
-      om.setClickHandler(onOverlay);
+    if (parsed === null || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw definitionError('$', 'the definition must be an object with a "steps" Array.');
     }
-
-    function destroy() {
-      if (dh) { document.removeEventListener('click', dh, true); dh = null; }
-      om.setClickHandler(null);
+    var config = resolveDefinition(parsed, '$', '', functions || {});
+    try {
+      return tamperGuide(config);
+    } catch (e) {
+      if (!(e instanceof TamperGuideError) || (e.code !== ErrorCodes.INVALID_CONFIG && e.code !== ErrorCodes.INVALID_STEP)) throw e;
+      var message = e.message.replace(/^\[TamperGuide:\w+\] /, '');
+      var path = validationPath(e.context);
+      throw new TamperGuideError(e.code, 'Invalid tour definition at ' + path + ': ' + message,
+        { path: path, step: e.context.step, field: e.context.field });
     }
+  }
 
-    return { init: init, destroy: destroy };
+  /**
+   * Creates a guide from a JSON definition declared with @resource.
+   *
+   * @param {string} name - The @resource name
+   * @param {Object<string, function>} [functions]
+   * @returns {object} The guide
+   */
+  function fromResource(name, functions) {
+    if (typeof GM_getResourceText !== 'function') {
+      throw new TamperGuideError(ErrorCodes.INVALID_CONFIG,
+        'fromResource() needs "@grant GM_getResourceText" and a "@resource ' + name + ' <url>" line in the userscript header.');
+    }
+    var text = GM_getResourceText(name);
+    if (typeof text !== 'string' || text.trim() === '') {
+      throw new TamperGuideError(ErrorCodes.INVALID_CONFIG,
+        'Resource "' + name + '" is empty or not declared. Add "@resource ' + name + ' <url>" to the userscript header.');
+    }
+    return fromJSON(text, functions);
   }
 
   // =========================================================================
@@ -2161,7 +6223,7 @@
     var emitter = createEmitter();
 
     // -----------------------------------------------------------------
-    // Determine z-index layers dynamically.  [UNCHANGED]
+    // Determine z-index layers dynamically.
     // -----------------------------------------------------------------
     var zOverlay, zPopover;
     var panelZIndex = 0;
@@ -2169,8 +6231,13 @@
 
     for (var si = 0; si < steps.length; si++) {
       if (!steps[si].element) continue;
-      var probeEl = resolveElement(steps[si].element);
+      // Steps with waitFor are expected to be missing at this point.
+      var probeEl = resolveStepElements(steps[si], !!steps[si].waitFor).primary;
       if (!probeEl) continue;
+      // [NEW v1.6.0] For an element inside iframes, the outermost iframe is
+      // what competes with the overlay in the top document.
+      var probeFrames = getFrameChain(probeEl);
+      if (probeFrames.length) probeEl = probeFrames[probeFrames.length - 1];
       var ancestor = findStackingAncestor(probeEl);
       if (ancestor) {
         var az = getEffectiveZIndex(ancestor);
@@ -2199,9 +6266,10 @@
       zPopover = 2147483646;
     }
 
-    var overlayManager = createOverlayManager(configManager, zOverlay);
-    var popoverManager = createPopoverManager(configManager, zPopover);
-    var highlightManager = createHighlightManager(configManager, overlayManager);
+    var uiRoot = createUiRoot(configManager);
+    var overlayManager = createOverlayManager(configManager, zOverlay, uiRoot);
+    var popoverManager = createPopoverManager(configManager, zPopover, uiRoot);
+    var highlightManager = createHighlightManager(configManager, overlayManager, uiRoot);
     var eventsManager = null;
     var clickRouter = null;
 
@@ -2211,9 +6279,12 @@
     // -----------------------------------------------------------------
     var persistenceManager = createPersistenceManager(configManager);
     var analyticsTracker = createAnalyticsTracker(configManager);
-    var accessibilityManager = createAccessibilityManager();
+    var accessibilityManager = createAccessibilityManager(uiRoot);
     var advanceOnManager = createAdvanceOnManager();
-    var hotspotManager = createHotspotManager(zPopover);
+    var hotspotManager = createHotspotManager(zPopover, uiRoot, configManager, function () { return api; }, persistenceManager);
+    // [NEW v1.6.0]
+    var spotlightManager = createSpotlightManager(configManager, zPopover, uiRoot, function () { return api; });
+    var tabSyncManager = createTabSyncManager(configManager);
     // autoRefreshManager is created later in init() because it needs
     // the handleRefresh function which is defined below.
     var autoRefreshManager = null;
@@ -2222,38 +6293,91 @@
     // can abort polling if the tour is destroyed while waiting.
     var activeWaitForCleanup = null;
 
+    // [NEW v1.6.0] Tracks the pending async guard or hook (see whenSettled)
+    // so its continuation can be dropped if the tour is destroyed while
+    // waiting.
+    var activeAsyncCleanup = null;
+
+    // [NEW v1.6.0] Incremented by every highlightStep() and pauseTour().
+    // The delayed part of a step transition only runs while the token it
+    // captured is still current, so a pause or a newer step drops it.
+    var stepToken = 0;
+
+    // [MODIFIED v1.6.0] safeHook - a returned Promise that rejects is
+    // handled like a hook that throws: warned, and treated as undefined.
     function safeHook(fn) {
       if (!fn) return undefined;
       try {
         var a = Array.prototype.slice.call(arguments, 1);
-        return fn.apply(null, a);
+        var result = fn.apply(null, a);
+        if (isThenable(result)) {
+          return result.then(null, function (e) {
+            warn(ErrorCodes.HOOK_ERROR, 'Hook error: ' + (e && e.message ? e.message : e));
+            return undefined;
+          });
+        }
+        return result;
       } catch (e) {
         warn(ErrorCodes.HOOK_ERROR, 'Hook error: ' + e.message);
         return undefined;
       }
     }
 
+    /**
+     * [NEW v1.6.0] Runs callback with the value of a guard or hook result.
+     * Plain values are passed through synchronously, so tours without async
+     * guards or hooks behave exactly as before. For a Promise, the
+     * transition lock is held until it settles; if the tour is destroyed
+     * in the meantime, performDestroy() cancels the continuation through
+     * activeAsyncCleanup, the same way it aborts a waitFor poll.
+     *
+     * The Promise must not reject: evaluateStepCondition() and safeHook()
+     * already turn rejections into warnings and fallback values.
+     *
+     * @param {*} result - A plain value or a Promise
+     * @param {function} callback - Called with the settled value
+     */
+    function whenSettled(result, callback) {
+      if (!isThenable(result)) { callback(result); return; }
+      var cancelled = false;
+      stateManager.setState('__transitionInProgress', true);
+      activeAsyncCleanup = function () { cancelled = true; };
+      result.then(function (value) {
+        if (cancelled) return;
+        activeAsyncCleanup = null;
+        stateManager.setState('__transitionInProgress', false);
+        try { callback(value); }
+        catch (e) { warn(e.code || ErrorCodes.HOOK_ERROR, 'Navigation after an async hook failed: ' + e.message); }
+      });
+    }
+
     // [MODIFIED v1.5.0] init() - added initialization of autoRefreshManager
     // and analyticsTracker.begin(). Original init logic is untouched.
     function init() {
       if (stateManager.getState('isInitialized')) return;
-      injectStyles(zOverlay, zPopover);
+      // [NEW v1.6.0] Registers the guide again after destroy().
+      getRegistry().add(guideEntry);
+      getRegistry().activate(guideEntry);
+      uiRoot.init(zOverlay, zPopover);
       overlayManager.show();
       stateManager.setState('__focusedBeforeActivation', document.activeElement);
       eventsManager = createEventsManager({
         configManager: configManager, stateManager: stateManager,
         popoverManager: popoverManager, emitter: emitter,
+        spotlightHasFocus: spotlightManager.hasFocus,
       });
       eventsManager.init();
       clickRouter = createClickRouter({
         configManager: configManager, stateManager: stateManager,
         popoverManager: popoverManager, overlayManager: overlayManager,
-        emitter: emitter,
+        emitter: emitter, uiRoot: uiRoot,
       });
       clickRouter.init();
       emitter.on('next', handleNext);
       emitter.on('prev', handlePrev);
       emitter.on('close', handleClose);
+      emitter.on('button', handleCustomButton);
+      emitter.on('shortcut', handleShortcut);
       emitter.on('refresh', handleRefresh);
       stateManager.setState('isInitialized', true);
 
@@ -2263,6 +6387,145 @@
       // [NEW v1.5.0] Start auto-refresh observer if configured.
       autoRefreshManager = createAutoRefreshManager(configManager, stateManager, handleRefresh);
       autoRefreshManager.start();
+
+      // [NEW v1.6.0] Follow SPA route changes.
+      routeUnsubscribe = subscribeRoute(handleRouteChange);
+    }
+
+    // [NEW v1.6.0] Stops the route subscription of the running tour.
+    var routeUnsubscribe = null;
+
+    /**
+     * [NEW v1.6.0] Re-evaluates the tour after a same-document navigation.
+     * onRouteChange runs first and may return false to skip the rest.
+     * Then:
+     *   - A paused tour resumes if the page of its step has been reached,
+     *     or with "jump", on the step that declares the new page.
+     *   - An active step that still belongs to the page (or declares no
+     *     page) is repositioned.
+     *   - Otherwise routeChangeBehavior applies: "pause" until the page
+     *     matches again, "jump" to the step of the new page (pausing if
+     *     there is none), "end" the tour, or "none".
+     *
+     * @param {string} from - Previous location.href
+     * @param {string} to - New location.href
+     */
+    function handleRouteChange(from, to) {
+      if (!stateManager.getState('isInitialized')) return;
+      var c = configManager.getConfig();
+      var as = stateManager.getState('activeStep'), ae = stateManager.getState('activeElement');
+      if (c.onRouteChange) {
+        var ctx = { config: c, state: stateManager.getState(), driver: api, from: from, to: to };
+        if (safeHook(c.onRouteChange, ae, as, ctx) === false) return;
+        // The hook may have navigated or ended the tour itself.
+        if (!stateManager.getState('isInitialized')) return;
+      }
+      var behavior = c.routeChangeBehavior;
+      var idx = isPaused() ? stateManager.getState('__pausedIndex') : stateManager.getState('activeIndex');
+      if (idx === undefined) return;
+      var step = (c.steps || [])[idx];
+      if (matchesPage(step, idx)) {
+        if (isPaused()) resumeTour();
+        else handleRefresh();
+        return;
+      }
+      if (behavior === 'none' || (isPaused() && behavior !== 'jump')) return;
+      if (behavior === 'end') {
+        performDestroy(false, true);
+        return;
+      }
+      if (behavior === 'jump') {
+        var target = findRouteStep(idx);
+        if (target !== -1) {
+          // The route wins over a step transition still in progress.
+          cancelTransition();
+          highlightStep(target);
+          return;
+        }
+      }
+      if (!isPaused()) pauseTour(idx);
+    }
+
+    /**
+     * [NEW v1.6.0] Finds the step that declares the current page, looking
+     * after idx first and then from the start. Returns -1 if none does.
+     *
+     * @param {number} idx - Current step index
+     * @returns {number}
+     */
+    function findRouteStep(idx) {
+      var steps = configManager.getConfig('steps') || [];
+      for (var n = 1; n < steps.length; n++) {
+        var i = (idx + n) % steps.length;
+        if (hasPage(steps[i]) && matchesPage(steps[i], i)) return i;
+      }
+      return -1;
+    }
+
+    // [NEW v1.6.0] Step this tab is following another tab to. Reaching it
+    // is not announced back, so two tabs never bounce a step between them.
+    var followedIndex = null;
+
+    /**
+     * [NEW v1.6.0] Joins the other tabs running the same tour (syncTabs)
+     * and asks them where they are. Only drive() joins: a highlight() is
+     * not part of the tour.
+     */
+    function joinTabs() {
+      if (!stateManager.getState('isInitialized')) return;
+      followedIndex = null;
+      tabSyncManager.start(handleTabMessage);
+      tabSyncManager.post('show');
+    }
+
+    // [NEW v1.6.0] Tells the other tabs which step this tab moved to.
+    function announceProgress(idx, history) {
+      if (idx === followedIndex) {
+        followedIndex = null;
+        return;
+      }
+      tabSyncManager.post('progress', { index: idx, history: history.slice() });
+    }
+
+    /**
+     * [NEW v1.6.0] Reacts to another tab running the same tour:
+     *   - "show": the tour started or resumed there; this tab answers with
+     *     its own step, so the other tab catches up.
+     *   - "progress": follows the other tab to its step.
+     *   - "complete": the tour closes here.
+     * Closing for another tab neither counts as a dismissal nor saves
+     * anything, and announces nothing.
+     *
+     * @param {{ type: string, tab: string, index: number, history: Array<number> }} msg
+     */
+    function handleTabMessage(msg) {
+      if (!stateManager.getState('isInitialized')) return;
+      if (msg.type === 'show') {
+        var idx = isPaused() ? stateManager.getState('__pausedIndex') : stateManager.getState('activeIndex');
+        if (idx !== undefined) {
+          tabSyncManager.post('progress', { index: idx, history: stateManager.getState('__history').slice() });
+        }
+      } else if (msg.type === 'complete') {
+        performDestroy(false, true, true);
+      } else if (msg.type === 'progress') {
+        var steps = configManager.getConfig('steps') || [];
+        if (typeof msg.index !== 'number' || msg.index < 0 || msg.index >= steps.length) return;
+        if (msg.index === stateManager.getState('activeIndex')) return;
+        if (isPaused()) {
+          // Paused for another page: wait for the page of the new step.
+          if (msg.index === stateManager.getState('__pausedIndex')) return;
+          if (Array.isArray(msg.history)) stateManager.setState('__history', msg.history.slice());
+          stateManager.setState('__pausedIndex', msg.index);
+          followedIndex = msg.index;
+          checkPage();
+          return;
+        }
+        if (Array.isArray(msg.history)) stateManager.setState('__history', msg.history.slice());
+        // A step transition of this tab gives way to the other tab.
+        cancelTransition();
+        followedIndex = msg.index;
+        highlightStep(msg.index);
+      }
     }
 
     // [MODIFIED v1.5.0] highlightStep - integrated conditional steps (when),
@@ -2270,41 +6533,120 @@
     // tracking, and accessibility announcements. The core flow is the same:
     // resolve element -> fire hooks -> update state -> highlight -> render popover.
     // The new logic wraps around this flow at specific points.
-    function highlightStep(idx) {
+    //
+    // [MODIFIED v1.6.0] highlightStep - records each shown step in the
+    // navigation history. When historyPos is given, the step is being
+    // revisited from history[historyPos] (Previous): nothing is pushed, the
+    // entries after it are dropped once it is shown, and if its "when" guard
+    // is now false the walk continues with the entry before it.
+    function highlightStep(idx, historyPos) {
       var steps = configManager.getConfig('steps');
       if (!steps || !steps.length) throw new TamperGuideError(ErrorCodes.NO_STEPS, 'No steps.');
       if (idx < 0 || idx >= steps.length) throw new TamperGuideError(ErrorCodes.INVALID_STEP_INDEX, 'Bad index: ' + idx);
       if (stateManager.getState('__transitionInProgress')) return;
+      stepToken++;
+      // [NEW v1.6.0] Showing any step ends a pause.
+      if (isPaused()) {
+        stateManager.setState('__pausedIndex', undefined);
+        overlayManager.show();
+      }
 
       var step = steps[idx];
+      var goingBack = historyPos !== undefined;
+
+      // [MODIFIED v1.6.0] "when" may return a Promise. whenSettled() keeps
+      // __transitionInProgress set while it is pending, so navigation input
+      // is ignored until the guard has decided.
+      whenSettled(evaluateStepCondition(step, idx), function (eligible) {
+        if (eligible) { showStep(idx, historyPos); return; }
+
+        // [NEW v1.6.0] Going back: skip history entries whose "when" guard is
+        // no longer true instead of searching by index, so Previous never
+        // lands on a step the user did not see.
+        if (goingBack) {
+          skipStep(idx, historyPos);
+          return;
+        }
 
-      // [NEW v1.5.0] Evaluate the "when" condition before activating the step.
-      // If it returns false, find the next eligible step in the same direction.
-      if (!evaluateStepCondition(step, idx)) {
+        // [NEW v1.5.0] The "when" condition returned false: move on to the
+        // next step in the same direction, which evaluates its own guard.
         // Determine direction: if we are moving forward or backward.
         var prevIdx = stateManager.getState('activeIndex');
         var direction = (prevIdx === undefined || idx > prevIdx) ? 1 : -1;
         var nextIdx = idx + direction;
-        // Search for the next eligible step, but guard against infinite loops
-        // by limiting the search to the total number of steps.
-        var searched = 0;
-        while (nextIdx >= 0 && nextIdx < steps.length && searched < steps.length) {
-          if (evaluateStepCondition(steps[nextIdx], nextIdx)) {
-            highlightStep(nextIdx);
-            return;
-          }
-          nextIdx += direction;
-          searched++;
+        if (nextIdx >= 0 && nextIdx < steps.length) {
+          highlightStep(nextIdx);
+          return;
         }
         // No eligible steps found in this direction.
         // If going forward, destroy the tour. If backward, do nothing.
         if (direction > 0) {
           performDestroy(false);
         }
+      });
+    }
+
+    /**
+     * [NEW v1.6.0] Keeps the active step when a transition away from it
+     * is abandoned: handleNext() and handlePrev() released the focus trap
+     * and the advanceOn listener, so both come back.
+     *
+     * @returns {boolean} False if no step is active (nothing to stay on)
+     */
+    function stayOnStep() {
+      var as = stateManager.getState('activeStep');
+      if (!as || stateManager.getState('activeIndex') === undefined) return false;
+      var popoverEl = popoverManager.getElement();
+      if (popoverEl) accessibilityManager.setupFocusTrap(popoverEl);
+      if (as.advanceOn) {
+        var ae = stateManager.getState('activeElement');
+        advanceOnManager.attach(as, ae && ae.id !== 'tg-dummy-element' ? ae : null, function () {
+          handleNext();
+        });
+      }
+      return true;
+    }
+
+    // [NEW v1.6.0] showStep - the part of highlightStep that runs once the
+    // step's "when" guard has passed.
+    function showStep(idx, historyPos) {
+      var steps = configManager.getConfig('steps');
+      var step = steps[idx];
+      var goingBack = historyPos !== undefined;
+
+      // [NEW v1.6.0] The step belongs to another page: go there (navigate)
+      // or wait until the user gets there.
+      if (!matchesPage(step, idx)) {
+        leaveForPage(idx, historyPos);
         return;
       }
 
+      // [NEW v1.6.0] A step without waitFor whose element exists but is
+      // hidden is handled by its hiddenBehavior. "error" reports it before
+      // any state changes and stays on the current step (or ends the tour
+      // if there is none yet).
+      var element = null;
+      var group = null;
+      var hiddenBehavior = null;
+      if (!step.waitFor) {
+        group = resolveStepElements(step);
+        element = group.primary;
+        var hiddenReason = element ? getHiddenReason(element) : null;
+        if (hiddenReason) {
+          hiddenBehavior = step.hiddenBehavior || configManager.getConfig('hiddenBehavior');
+          var hiddenMessage = 'The element of step ' + idx + ' is hidden (' + hiddenReason + ').';
+          if (hiddenBehavior === 'error') {
+            warn(ErrorCodes.ELEMENT_HIDDEN, hiddenMessage + ' Set hiddenBehavior to "wait", "skip", or "center" to show the step anyway.');
+            if (!stayOnStep()) performDestroy(false);
+            return;
+          }
+          if (hiddenBehavior === 'skip') warn(ErrorCodes.ELEMENT_HIDDEN, hiddenMessage + ' Skipping the step.');
+          if (hiddenBehavior === 'center') warn(ErrorCodes.ELEMENT_HIDDEN, hiddenMessage + ' Showing the popover centered instead.');
+        }
+      }
+
       stateManager.setState('__transitionInProgress', true);
+      var token = stepToken;
 
       // [NEW v1.5.0] Clean up any previous advanceOn listener and waitFor poll.
       advanceOnManager.detach();
@@ -2322,7 +6664,7 @@
 
       // [NEW v1.5.0] If the step has waitFor, use async element resolution.
       // Otherwise, resolve synchronously as before.
-      function proceedWithElement(element) {
+      function proceedWithElement(element, elements) {
         safeHook(step.onHighlightStarted || configManager.getConfig('onHighlightStarted'),
           element, step, { config: configManager.getConfig(), state: stateManager.getState(), driver: api });
 
@@ -2331,23 +6673,32 @@
         stateManager.setState('activeStep', step);
         stateManager.setState('activeIndex', idx);
 
-        var he = highlightManager.highlight(element);
+        // [NEW v1.6.0] Record the visit. Re-showing the step that is already
+        // on top (moveTo on the current step, or a persisted resume) does
+        // not create a duplicate entry.
+        var history = stateManager.getState('__history');
+        if (goingBack) history.length = historyPos + 1;
+        else if (history[history.length - 1] !== idx) history.push(idx);
+
+        var he = highlightManager.highlight(element, elements, step.cutout);
         stateManager.setState('activeElement', he);
+        if (eventsManager) eventsManager.watchFrames(element);
         popoverManager.hide();
 
         // [NEW v1.5.0] Track step change for analytics.
         analyticsTracker.trackStep(idx, step);
 
         // [NEW v1.5.0] Save progress for persistence.
-        persistenceManager.save(idx, false);
+        persistenceManager.save(idx, false, history);
+        announceProgress(idx, history);
 
         var ts = {
           activeIndex: idx, totalSteps: steps.length,
-          isFirst: idx === 0, isLast: idx === steps.length - 1,
+          isFirst: !hasPrevious(), isLast: isTerminalStep(steps, idx),
         };
         var delay = configManager.getConfig('animate') ? 350 : 50;
         setTimeout(function () {
-          if (!stateManager.getState('isInitialized')) return;
+          if (!stateManager.getState('isInitialized') || token !== stepToken) return;
           if (step.popover) popoverManager.render(step, element, ts);
 
           // [NEW v1.5.0] Set up accessibility: announce step and trap focus.
@@ -2374,36 +6725,180 @@
       }
 
       // [NEW v1.5.0] Branch: async (waitFor) or sync element resolution.
-      if (step.waitFor) {
-        activeWaitForCleanup = waitForElement(step, idx, function (element) {
+      // [MODIFIED v1.6.0] hiddenBehavior "wait" also goes through the waiter,
+      // with the default waitFor options (visible, stable, 5000ms).
+      if (step.waitFor || hiddenBehavior === 'wait') {
+        var waitStep = step.waitFor ? step : { element: step.element, multiple: step.multiple, primary: step.primary, waitFor: {} };
+        activeWaitForCleanup = waitForElement(waitStep, idx, function (found) {
           activeWaitForCleanup = null;
           if (!stateManager.getState('isInitialized')) {
             stateManager.setState('__transitionInProgress', false);
             return;
           }
-          if (!element && !step.popover) {
+          if (!found && !step.popover) {
             // Element not found and no popover to show: skip the step.
             stateManager.setState('__transitionInProgress', false);
-            var nextIdx = idx + 1;
-            if (nextIdx < steps.length) {
-              highlightStep(nextIdx);
-            } else {
-              performDestroy(false);
-            }
+            skipStep(idx, historyPos);
             return;
           }
-          proceedWithElement(element);
+          proceedWithElement(found, found ? resolveStepElements(step, true).elements : null);
         });
+      } else if (hiddenBehavior === 'skip' || (hiddenBehavior === 'center' && !step.popover)) {
+        stateManager.setState('__transitionInProgress', false);
+        skipStep(idx, historyPos);
       } else {
-        var element = resolveElement(step.element);
-        proceedWithElement(element);
+        if (hiddenBehavior === 'center') proceedWithElement(null);
+        else proceedWithElement(element, group.elements);
+      }
+    }
+
+    /**
+     * [NEW v1.6.0] Makes idx the saved position, pauses the tour until the
+     * page of the step is reached, and runs the step's "navigate" action.
+     * A full page load resumes the tour through drive(); a route change
+     * within the page resumes it through the page watcher.
+     *
+     * @param {number} idx - Step on another page
+     * @param {number} [historyPos] - As in highlightStep
+     */
+    function leaveForPage(idx, historyPos) {
+      var step = configManager.getConfig('steps')[idx];
+      var history = stateManager.getState('__history');
+      if (historyPos !== undefined) history.length = historyPos + 1;
+      else if (history[history.length - 1] !== idx) history.push(idx);
+      persistenceManager.save(idx, false, history);
+      announceProgress(idx, history);
+      pauseTour(idx);
+      if (step.navigate === undefined) return;
+      if (typeof step.navigate === 'string') {
+        window.location.assign(step.navigate);
+        return;
+      }
+      var result = safeHook(step.navigate, step, { config: configManager.getConfig(), state: stateManager.getState(), driver: api });
+      // An SPA router may have switched the page already, or does so once
+      // its Promise resolves.
+      if (isThenable(result)) result.then(checkPage, checkPage);
+      else checkPage();
+    }
+
+    // [NEW v1.6.0] Drops any step transition in progress: a pending "when"
+    // guard or hook, a waitFor poll, or the delayed popover render.
+    function cancelTransition() {
+      stepToken++;
+      if (activeAsyncCleanup) {
+        activeAsyncCleanup();
+        activeAsyncCleanup = null;
+      }
+      if (activeWaitForCleanup) {
+        activeWaitForCleanup();
+        activeWaitForCleanup = null;
+      }
+      stateManager.setState('__transitionInProgress', false);
+    }
+
+    /**
+     * [NEW v1.6.0] Hides the tour without ending it: the highlight, overlay,
+     * and popover go away, keyboard control and navigation are ignored, and
+     * there is no active step until the next highlightStep(). The tour stays
+     * initialized, so destroy() still ends it normally (never as completed).
+     *
+     * @param {number} idx - Step to show on resume
+     */
+    function pauseTour(idx) {
+      cancelTransition();
+      advanceOnManager.detach();
+      accessibilityManager.releaseFocusTrap();
+      var as = stateManager.getState('activeStep'), ae = stateManager.getState('activeElement');
+      if (as) {
+        safeHook(as.onDeselected || configManager.getConfig('onDeselected'),
+          ae, as, { config: configManager.getConfig(), state: stateManager.getState(), driver: api });
+      }
+      popoverManager.hide();
+      highlightManager.destroy();
+      overlayManager.destroy();
+      stateManager.setState('previousStep', as);
+      stateManager.setState('previousElement', ae);
+      stateManager.setState('activeStep', undefined);
+      stateManager.setState('activeElement', undefined);
+      stateManager.setState('activeIndex', undefined);
+      stateManager.setState('__pausedIndex', idx);
+    }
+
+    /**
+     * [NEW v1.6.0] Shows the paused step again. Any highlightStep() call
+     * ends the pause as well.
+     */
+    function resumeTour() {
+      if (isPaused()) highlightStep(stateManager.getState('__pausedIndex'));
+    }
+
+    function isPaused() {
+      return stateManager.getState('__pausedIndex') !== undefined;
+    }
+
+    // [NEW v1.6.0] Resumes the paused tour once the route reaches the page
+    // of the paused step.
+    function checkPage() {
+      if (!stateManager.getState('isInitialized') || !isPaused()) return;
+      var idx = stateManager.getState('__pausedIndex');
+      if (matchesPage(configManager.getConfig('steps')[idx], idx)) resumeTour();
+    }
+
+    /**
+     * [NEW v1.6.0] Finds where a resumed tour belongs on the current page:
+     * the saved step if it matches, else the first later step that declares
+     * this page. Returns -1 if there is none, i.e. the tour has to wait.
+     *
+     * @param {number} idx - Saved step index
+     * @returns {number}
+     */
+    function findStepForPage(idx) {
+      var steps = configManager.getConfig('steps') || [];
+      if (matchesPage(steps[idx], idx)) return idx;
+      for (var i = idx + 1; i < steps.length; i++) {
+        if (hasPage(steps[i]) && matchesPage(steps[i], i)) return i;
+      }
+      return -1;
+    }
+
+    // [NEW v1.6.0] Moves past a step that cannot be shown: forward to the
+    // following step (ending the tour after the last one), or, when going
+    // back, to the history entry before it.
+    function skipStep(idx, historyPos) {
+      if (historyPos !== undefined) {
+        if (historyPos > 0) highlightStep(stateManager.getState('__history')[historyPos - 1], historyPos - 1);
+        else stayAtHistoryStart();
+        return;
       }
+      if (idx + 1 < configManager.getConfig('steps').length) highlightStep(idx + 1);
+      else performDestroy(false);
+    }
+
+    // [NEW v1.6.0] Previous found no earlier step that can still be shown:
+    // the tour stays on the current step, which becomes the start of the
+    // history, and its Previous button goes away.
+    function stayAtHistoryStart() {
+      if (!stayOnStep()) return;
+      var history = stateManager.getState('__history');
+      history.splice(0, history.length - 1);
+      persistenceManager.save(stateManager.getState('activeIndex'), false, history);
+      var popoverEl = popoverManager.getElement();
+      var prevBtn = popoverEl ? popoverEl.querySelector('[data-tg-action="prev"]') : null;
+      if (prevBtn) prevBtn.remove();
+    }
+
+    // [NEW v1.6.0] Returns true if Previous has somewhere to go: the
+    // history holds at least one visited step below the current one.
+    function hasPrevious() {
+      return stateManager.getState('__history').length > 1;
     }
 
     // [MODIFIED v1.5.0] handleNext - added advanceOnManager.detach() and
     // accessibilityManager.releaseFocusTrap() calls. Original logic untouched.
-    function handleNext() {
-      if (stateManager.getState('__transitionInProgress')) return;
+    // [MODIFIED v1.6.0] handleNext - the target is resolved through the
+    // step's "next" property.
+    function handleNext(choice) {
+      if (stateManager.getState('__transitionInProgress') || isPaused()) return;
       // [NEW v1.5.0] Clean up current step's listeners before transitioning.
       advanceOnManager.detach();
       accessibilityManager.releaseFocusTrap();
@@ -2411,14 +6906,29 @@
       var c = configManager.getConfig(), i = stateManager.getState('activeIndex'), s = c.steps || [];
       var as = stateManager.getState('activeStep'), ae = stateManager.getState('activeElement');
       var h = (as && as.popover && as.popover.onNextClick) || c.onNextClick;
-      if (h && safeHook(h, ae, as, { config: c, state: stateManager.getState(), driver: api }) === false) return;
-      if (i !== undefined && i < s.length - 1) highlightStep(i + 1);
-      else performDestroy(false);
+      var ctx = { config: c, state: stateManager.getState(), driver: api, choice: choice };
+      // [MODIFIED v1.6.0] The hook may return a Promise resolving to false.
+      whenSettled(h ? safeHook(h, ae, as, ctx) : undefined, function (allowed) {
+        if (allowed === false) return;
+        if (i === undefined) { performDestroy(false); return; }
+        var target;
+        try { target = resolveNextStep(s, i, choice, ctx); }
+        catch (e) {
+          warn(ErrorCodes.INVALID_STEP_INDEX, 'Could not resolve "next" for step ' + i + ': ' + e.message);
+          return;
+        }
+        if (target === null) { performDestroy(false, false, false, true); return; }
+        highlightStep(target);
+      });
     }
 
     // [MODIFIED v1.5.0] handlePrev - same cleanup additions as handleNext.
+    // [MODIFIED v1.6.0] handlePrev - goes back to the previous entry of
+    // the navigation history instead of index - 1, so jumps, skipped steps,
+    // branches, and advanceOn auto-advances are undone in the order the
+    // user actually saw them.
     function handlePrev() {
-      if (stateManager.getState('__transitionInProgress')) return;
+      if (stateManager.getState('__transitionInProgress') || isPaused()) return;
       // [NEW v1.5.0] Clean up current step's listeners before transitioning.
       advanceOnManager.detach();
       accessibilityManager.releaseFocusTrap();
@@ -2426,8 +6936,12 @@
       var c = configManager.getConfig(), i = stateManager.getState('activeIndex');
       var as = stateManager.getState('activeStep'), ae = stateManager.getState('activeElement');
       var h = (as && as.popover && as.popover.onPrevClick) || c.onPrevClick;
-      if (h && safeHook(h, ae, as, { config: c, state: stateManager.getState(), driver: api }) === false) return;
-            if (i !== undefined && i > 0) highlightStep(i - 1);
+      // [MODIFIED v1.6.0] The hook may return a Promise resolving to false.
+      whenSettled(h ? safeHook(h, ae, as, { config: c, state: stateManager.getState(), driver: api }) : undefined, function (allowed) {
+        var history = stateManager.getState('__history');
+        if (allowed !== false && i !== undefined && history.length > 1) highlightStep(history[history.length - 2], history.length - 2);
+        else stayOnStep();
+      });
     }
 
     function handleClose() {
@@ -2443,7 +6957,38 @@
       performDestroy(true);
     }
 
+    /**
+     * [NEW v1.6.0] Runs the onClick of the active step's custom button at
+     * the given index (step.popover.buttons). Like the navigation hooks,
+     * it receives (element, step, { config, state, driver }).
+     *
+     * @param {number} index
+     */
+    function handleCustomButton(index) {
+      if (stateManager.getState('__transitionInProgress')) return;
+      var as = stateManager.getState('activeStep'), ae = stateManager.getState('activeElement');
+      var btn = as && as.popover && as.popover.buttons ? as.popover.buttons[index] : null;
+      if (!btn) return;
+      safeHook(btn.onClick, ae, as, { config: configManager.getConfig(), state: stateManager.getState(), driver: api });
+    }
+
+    // [NEW v1.6.0] Triggers the custom button whose "key" matches the
+    // pressed key (case-insensitive).
+    function handleShortcut(e) {
+      var as = stateManager.getState('activeStep');
+      var buttons = as && as.popover && as.popover.buttons;
+      if (!buttons) return;
+      for (var i = 0; i < buttons.length; i++) {
+        if (buttons[i].key && buttons[i].key.toLowerCase() === String(e.key).toLowerCase()) {
+          e.preventDefault(); e.stopPropagation();
+          handleCustomButton(i);
+          return;
+        }
+      }
+    }
+
     function handleRefresh() {
+      if (isPaused()) return;
       highlightManager.refresh();
       overlayManager.handleResize();
       var el = stateManager.getState('activeElement'), st = stateManager.getState('activeStep');
@@ -2456,10 +7001,20 @@
     // and persistenceManager.save() with completion status.
     // The original cleanup sequence for overlay, popover, highlight, events,
     // clickRouter, emitter, and state is completely untouched.
-    function performDestroy(withHook) {
+    // [MODIFIED v1.6.0] abandon ends the tour without counting it as
+    // completed, even on the last step (used by snooze/neverShowAgain).
+    // remote means another tab took the tour over or finished it.
+    // finished means Next resolved to the end of the tour, which counts as
+    // completed even when the step is not terminal by its config (a "next"
+    // function or choice map that returned null).
+    function performDestroy(withHook, abandon, remote, finished) {
       var c = configManager.getConfig();
       var ae = stateManager.getState('activeElement'), as = stateManager.getState('activeStep');
       var fb = stateManager.getState('__focusedBeforeActivation');
+      // [NEW v1.6.0] A paused tour has no active step; onDestroyed still
+      // receives the step it was paused on.
+      var pausedIdx = stateManager.getState('__pausedIndex');
+      var ps = pausedIdx !== undefined ? (c.steps || [])[pausedIdx] : undefined;
       if (withHook && c.onDestroyStarted) {
         if (safeHook(c.onDestroyStarted, ae, as, { config: c, state: stateManager.getState(), driver: api }) === false) return;
       }
@@ -2474,6 +7029,10 @@
         activeWaitForCleanup();
         activeWaitForCleanup = null;
       }
+      if (activeAsyncCleanup) {
+        activeAsyncCleanup();
+        activeAsyncCleanup = null;
+      }
       if (autoRefreshManager) {
         autoRefreshManager.stop();
         autoRefreshManager = null;
@@ -2483,15 +7042,22 @@
       // [NEW v1.5.0] Determine if the tour was completed (last step was reached).
       var activeIdx = stateManager.getState('activeIndex');
       var totalSteps = (c.steps || []).length;
-      var wasCompleted = (activeIdx !== undefined && activeIdx >= totalSteps - 1) && !withHook;
+      var wasCompleted = (activeIdx !== undefined && (finished || activeIdx >= totalSteps - 1 || isTerminalStep(c.steps, activeIdx))) && !withHook && !abandon;
 
       // [NEW v1.5.0] Fire analytics summary before state is reset.
       analyticsTracker.finish(wasCompleted, activeIdx);
 
       // [NEW v1.5.0] Save final persistence state.
       if (wasCompleted) {
-        persistenceManager.save(activeIdx, true);
+        persistenceManager.save(activeIdx, true, stateManager.getState('__history'));
+      } else if (withHook && activeIdx !== undefined) {
+        // [NEW v1.6.0] Closed by the user before the end: a dismissal.
+        persistenceManager.recordDismissal();
       }
+      // [NEW v1.6.0] Completion closes the tour in the other tabs too.
+      if (wasCompleted && !remote) tabSyncManager.post('complete');
+      tabSyncManager.stop();
+      if (routeUnsubscribe) { routeUnsubscribe(); routeUnsubscribe = null; }
 
       // --- Original cleanup sequence (unchanged) ---
       popoverManager.destroy();
@@ -2500,11 +7066,231 @@
       if (eventsManager) { eventsManager.destroy(); eventsManager = null; }
       if (clickRouter) { clickRouter.destroy(); clickRouter = null; }
       emitter.destroy();
-      var ds = as, de = ae;
+      var ds = as || ps, de = ae;
       stateManager.resetState();
-      removeStyles();
+      uiRoot.release();
       if (ds) safeHook(c.onDestroyed, de, ds, { config: c, state: {}, driver: api });
       if (fb && typeof fb.focus === 'function') { try { fb.focus(); } catch (e) { /* may be gone */ } }
+      // [NEW v1.6.0] Let the next queued tour start.
+      getRegistry().release(guideEntry, wasCompleted);
+    }
+
+    /**
+     * [NEW v1.6.0] True if a saved record says the tour should not be
+     * offered right now: "never show again", a snooze that has not expired,
+     * or at least maxDismissals dismissals.
+     *
+     * @param {object} saved - Record from persistenceManager.load()
+     * @returns {boolean}
+     */
+    function isSuppressed(saved) {
+      if (saved.neverShow) return true;
+      if (saved.snoozedUntil > Date.now()) return true;
+      var max = configManager.getConfig('maxDismissals');
+      return max > 0 && saved.dismissCount >= max;
+    }
+
+    // [NEW v1.6.0] Incremented by every async drive() and by destroy(), so that an
+    // async load finishing late does not start a tour that was meanwhile
+    // destroyed or restarted.
+    var driveToken = 0;
+
+    /**
+     * Starts the tour at the position stored in a saved record, or at step
+     * 0 if there is none. Does nothing if the saved tour was completed or is
+     * suppressed. Split out of drive() in v1.6.0 for async storage.
+     *
+     * @param {object|null} saved - Record from persistenceManager.load()
+     */
+    function resumeFrom(saved) {
+      if (saved) {
+        if (saved.completed) {
+          // Tour was already completed. Do not restart.
+          return;
+        }
+        // [NEW v1.6.0] Respect "never show again", a pending snooze,
+        // and the dismissal limit.
+        if (isSuppressed(saved)) return;
+        if (saved.snoozedUntil) persistenceManager.update({ snoozedUntil: 0 });
+        // [MODIFIED v1.6.0] Resume by step ID when the saved step
+        // still exists, otherwise from the saved index, clamped to
+        // the valid range.
+        var position = persistenceManager.resolvePosition(saved);
+        var resumeIdx = position.index;
+        var totalSteps = (configManager.getConfig('steps') || []).length;
+        if (resumeIdx >= 0 && resumeIdx < totalSteps) {
+          init();
+          // [NEW v1.6.0] Restore the navigation history so Previous
+          // keeps following the user's path. Entries for steps that
+          // no longer exist are dropped.
+          stateManager.setState('__history', position.history);
+          // [NEW v1.6.0] Resume on the step that belongs to this page, or
+          // wait (without navigating) until the user reaches its page.
+          var pageIdx = findStepForPage(resumeIdx);
+          if (pageIdx === -1) pauseTour(resumeIdx);
+          else highlightStep(pageIdx);
+          joinTabs();
+          return;
+        }
+      }
+      init();
+      highlightStep(0);
+      joinTabs();
+    }
+
+    // [NEW v1.6.0] Synchronous read for the sync API methods. Returns null
+    // (with a warning) when the storage is async.
+    function loadNow(method) {
+      var saved = persistenceManager.load();
+      if (!isThenable(saved)) return saved;
+      warn(ErrorCodes.PERSISTENCE_ERROR, method + '() cannot read asynchronous storage synchronously. Use ' + method + 'Async() instead.');
+      return null;
+    }
+
+    // [NEW v1.6.0] Copies a saved record so callers cannot mutate it.
+    function copyRecord(saved) {
+      if (!saved) return null;
+      var copy = {};
+      for (var k in saved) { copy[k] = Array.isArray(saved[k]) ? saved[k].slice() : saved[k]; }
+      return copy;
+    }
+
+    // [NEW v1.6.0] Checks the ID passed to the hotspot state methods.
+    function checkHotspotId(method, id) {
+      if (typeof id !== 'string' || !id) {
+        throw new TamperGuideError(ErrorCodes.INVALID_CONFIG, method + '(id) needs the non-empty string "id" given to addHotspot(). Received: ' + id + '.');
+      }
+    }
+
+    // [NEW v1.6.0] The public shape of a saved hotspot record.
+    function hotspotState(id, record) {
+      return {
+        id: id,
+        seen: !!record && record.seenAt > 0,
+        seenAt: record ? record.seenAt : 0,
+        dismissed: !!record && record.dismissedAt > 0,
+        dismissedAt: record ? record.dismissedAt : 0,
+        expiresAt: record ? record.expiresAt : 0,
+      };
+    }
+
+    // [NEW v1.6.0] Warns when a persistence-only API is used without persistence.
+    function requirePersistence(method) {
+      if (configManager.getConfig('persist') && configManager.getConfig('persistKey')) return true;
+      warn(ErrorCodes.PERSISTENCE_ERROR, method + '() needs persist: true and a persistKey. Nothing was saved.');
+      return false;
+    }
+
+    // [NEW v1.6.0] This guide's entry in the tour registry.
+    var guideEntry = {
+      id: configManager.getConfig('tourId') || configManager.getConfig('persistKey') || '',
+      title: configManager.getConfig('tourTitle'),
+      priority: configManager.getConfig('priority'),
+      api: null,
+      isCompleted: function () {
+        var saved = persistenceManager.load();
+        if (isThenable(saved)) return saved.then(function (r) { return !!(r && r.completed); });
+        return !!(saved && saved.completed);
+      },
+      // Ends the tour, and cancels a drive() still waiting for async
+      // storage, prerequisites, or another guide's tour. A guide that is
+      // not running is left alone otherwise.
+      stop: function () {
+        driveToken++;
+        getRegistry().cancel(guideEntry);
+        if (stateManager.getState('isInitialized')) performDestroy(false);
+      },
+    };
+
+    /**
+     * [NEW v1.6.0] Starts the tour through the registry: run is called
+     * right away if the prerequisites are completed and no other tour is
+     * running, later otherwise. An active tour runs it directly.
+     *
+     * @param {function} run - Actually starts the tour
+     */
+    function requestStart(run) {
+      if (stateManager.getState('isInitialized')) { run(); return; }
+      var token = driveToken;
+      var met = prerequisitesMet();
+      if (isThenable(met)) met.then(proceed);
+      else proceed(met);
+
+      function proceed(ok) {
+        if (token !== driveToken) return;
+        if (stateManager.getState('isInitialized')) { run(); return; }
+        if (!ok) {
+          getRegistry().wait(guideEntry, function () { requestStart(run); });
+          return;
+        }
+        if (getRegistry().request(guideEntry, run)) run();
+      }
+    }
+
+    // [NEW v1.6.0] Prerequisite IDs already warned about as unknown.
+    var unknownPrerequisites = {};
+
+    /**
+     * [NEW v1.6.0] Whether every tour in config.prerequisites is completed.
+     *
+     * @returns {boolean|Promise<boolean>}
+     */
+    function prerequisitesMet() {
+      var ids = configManager.getConfig('prerequisites') || [];
+      var results = ids.map(function (id) {
+        var done = getRegistry().isCompleted(id);
+        if (done === null) {
+          if (unknownPrerequisites[id]) return false;
+          unknownPrerequisites[id] = true;
+          warn(ErrorCodes.INVALID_CONFIG, 'Prerequisite "' + id + '" is not the tourId or persistKey of any tour on this page (yet). ' +
+            'This tour waits until a tour with that ID is completed.');
+          return false;
+        }
+        return done;
+      });
+      if (results.some(isThenable)) {
+        return Promise.all(results).then(function (all) { return all.every(Boolean); }, function () { return false; });
+      }
+      return results.every(Boolean);
+    }
+
+    /**
+     * [NEW v1.6.0] The body of drive(), run once the registry lets the
+     * tour start.
+     *
+     * @param {number} [i] - Step index to start at
+     */
+    function startDrive(i) {
+      // [MODIFIED v1.5.0] drive() - added persistence resume logic.
+      // If persist is enabled and saved progress exists, the tour resumes
+      // from the saved index instead of index 0. If the saved tour was
+      // already completed, drive() does nothing (the user finished before).
+      // This check runs BEFORE init() so that the overlay is not shown
+      // unnecessarily for completed tours.
+      // The original behavior (init + highlightStep) is preserved when
+      // persistence is disabled or no saved data exists.
+      if (configManager.getConfig('persist') && configManager.getConfig('persistKey') && i === undefined) {
+        var saved = persistenceManager.load();
+        // [NEW v1.6.0] With async storage the tour starts once the saved
+        // record arrives, unless it was started or destroyed meanwhile.
+        if (isThenable(saved)) {
+          var token = ++driveToken;
+          Promise.resolve(saved).then(function (record) {
+            if (token !== driveToken || stateManager.getState('isInitialized')) return;
+            // Another guide may have started its tour while this loaded.
+            if (getRegistry().request(guideEntry, function () { resumeFrom(record); })) resumeFrom(record);
+          }).then(null, function (e) {
+            warn(ErrorCodes.PERSISTENCE_ERROR, 'Could not resume the tour from its saved progress: ' +
+              (e && e.message ? e.message : e) + '.');
+          });
+          return;
+        }
+        resumeFrom(saved);
+        return;
+      }
+      init();
+      highlightStep(i || 0);
+      joinTabs();
     }
 
     // [MODIFIED v1.5.0] api object - added new methods at the end.
@@ -2514,54 +7300,35 @@
       // --- Original API methods (unchanged) ---
       isActive: function () { return stateManager.getState('isInitialized') || false; },
       refresh: function () { if (stateManager.getState('isInitialized')) handleRefresh(); },
-      drive: function (i) {
-        // [MODIFIED v1.5.0] drive() - added persistence resume logic.
-        // If persist is enabled and saved progress exists, the tour resumes
-        // from the saved index instead of index 0. If the saved tour was
-        // already completed, drive() does nothing (the user finished before).
-        // This check runs BEFORE init() so that the overlay is not shown
-        // unnecessarily for completed tours.
-        // The original behavior (init + highlightStep) is preserved when
-        // persistence is disabled or no saved data exists.
-        if (configManager.getConfig('persist') && configManager.getConfig('persistKey') && i === undefined) {
-          var saved = persistenceManager.load();
-          if (saved) {
-            if (saved.completed) {
-              // Tour was already completed. Do not restart.
-              return;
-            }
-            // Resume from saved index, clamped to valid range.
-            var resumeIdx = saved.index;
-            var totalSteps = (configManager.getConfig('steps') || []).length;
-            if (resumeIdx >= 0 && resumeIdx < totalSteps) {
-              init();
-              highlightStep(resumeIdx);
-              return;
-            }
-          }
-        }
-        init();
-        highlightStep(i || 0);
-      },
-      moveNext: function () { handleNext(); },
+      // [MODIFIED v1.6.0] Goes through the tour registry: waits for
+      // prerequisites and for the running tour of another guide.
+      drive: function (i) { requestStart(function () { startDrive(i); }); },
+      moveNext: function (choice) { handleNext(choice); },
       movePrevious: function () { handlePrev(); },
-      moveTo: function (i) { if (!stateManager.getState('isInitialized')) init(); highlightStep(i); },
+      // [MODIFIED v1.6.0] Starting the tour goes through the registry.
+      moveTo: function (i) { requestStart(function () { init(); highlightStep(i); }); },
       hasNextStep: function () {
         var s = configManager.getConfig('steps') || [], i = stateManager.getState('activeIndex');
-        return i !== undefined && i < s.length - 1;
+        return i !== undefined && !isTerminalStep(s, i);
       },
       hasPreviousStep: function () {
         var i = stateManager.getState('activeIndex');
-        return i !== undefined && i > 0;
+        return i !== undefined && hasPrevious();
       },
       isFirstStep: function () { return stateManager.getState('activeIndex') === 0; },
       isLastStep: function () {
         var s = configManager.getConfig('steps') || [], i = stateManager.getState('activeIndex');
-        return i !== undefined && i === s.length - 1;
+        return i !== undefined && isTerminalStep(s, i);
       },
       getActiveIndex: function () { return stateManager.getState('activeIndex'); },
       getActiveStep: function () { return stateManager.getState('activeStep'); },
       getActiveElement: function () { return stateManager.getState('activeElement'); },
+      // [NEW v1.6.0] All highlighted elements of the active step; the
+      // primary element (getActiveElement) is one of them.
+      getActiveElements: function () { return highlightManager.getActiveElements(); },
+      // [NEW v1.6.0] True while the tour waits for the page of its step
+      // (see the "url" and "route" step properties); nothing is shown then.
+      isPaused: function () { return stateManager.getState('isInitialized') === true && isPaused(); },
       getPreviousElement: function () { return stateManager.getState('previousElement'); },
       getPreviousStep: function () { return stateManager.getState('previousStep'); },
       highlight: function (step) {
@@ -2569,8 +7336,17 @@
           throw new TamperGuideError(ErrorCodes.INVALID_STEP, 'highlight() needs a step object.');
         }
         init();
-        var el = resolveElement(step.element);
-        var he = highlightManager.highlight(el);
+        var group = resolveStepElements(step);
+        var el = group.primary;
+        // [NEW v1.6.0] A hidden element would produce a 0x0 cutout; show
+        // the popover centered instead.
+        var hiddenReason = el ? getHiddenReason(el) : null;
+        if (hiddenReason) {
+          warn(ErrorCodes.ELEMENT_HIDDEN, 'highlight(): the element is hidden (' + hiddenReason + '). Showing the popover centered instead.');
+          el = null;
+        }
+        var he = highlightManager.highlight(el, group.elements, step.cutout);
+        if (eventsManager) eventsManager.watchFrames(el);
         stateManager.setState('activeStep', step);
         stateManager.setState('activeElement', he);
         stateManager.setState('activeIndex', undefined);
@@ -2590,7 +7366,15 @@
       },
       getConfig: function (k) { return configManager.getConfig(k); },
       getState: function (k) { return stateManager.getState(k); },
-      destroy: function () { performDestroy(false); },
+      destroy: function () {
+        // [NEW v1.6.0] Also cancels a drive() still waiting, and
+        // unregisters the guide until it is started again. Like before,
+        // the teardown (and onTourComplete) runs even if nothing was shown.
+        var running = stateManager.getState('isInitialized');
+        guideEntry.stop();
+        if (!running) performDestroy(false);
+        getRegistry().remove(guideEntry);
+      },
 
       // =================================================================
       // [NEW v1.5.0] New API methods.
@@ -2620,8 +7404,12 @@
       moveToStep: function (id) {
         var s = configManager.getConfig('steps') || [];
         var idx = resolveStepId(s, id);
-        if (!stateManager.getState('isInitialized')) init();
-        highlightStep(idx);
+        // [MODIFIED v1.6.0] Starting the tour goes through the registry,
+        // like moveTo().
+        requestStart(function () {
+          if (!stateManager.getState('isInitialized')) init();
+          highlightStep(idx);
+        });
       },
 
       /**
@@ -2636,6 +7424,24 @@
         return (configManager.getConfig('steps') || []).length;
       },
 
+      /**
+       * getHistory(): number[]
+       *
+       * Returns the indices of the steps the user actually visited in this
+       * tour session, oldest first. The last entry is the active step.
+       * movePrevious() walks this list backwards, so jumps (moveTo,
+       * moveToStep, branches), steps skipped by "when", and advanceOn
+       * auto-advances are undone in the order the user saw them.
+       *
+       * Returns an empty array when no tour is active. The returned array
+       * is a copy: modifying it does not affect navigation.
+       *
+       * @returns {number[]}
+       */
+      getHistory: function () {
+        return stateManager.getState('__history').slice();
+      },
+
       /**
        * resetProgress(): void
        *
@@ -2669,10 +7475,103 @@
        * @returns {boolean}
        */
       isCompleted: function () {
-        var saved = persistenceManager.load();
+        var saved = loadNow('isCompleted');
         return saved ? (saved.completed === true) : false;
       },
 
+      /**
+       * [NEW v1.6.0] isCompletedAsync(): Promise<boolean>
+       *
+       * Same as isCompleted(), for any storage backend, including async
+       * ones ("GM_async" or a custom adapter returning Promises).
+       *
+       *   guide.isCompletedAsync().then(function (done) {
+       *     if (!done) guide.drive();
+       *   });
+       *
+       * @returns {Promise<boolean>}
+       */
+      isCompletedAsync: function () {
+        return persistenceManager.loadAsync().then(function (saved) {
+          return saved ? (saved.completed === true) : false;
+        });
+      },
+
+      /**
+       * [NEW v1.6.0] snooze(ms: number): void
+       *
+       * "Remind me later": closes the tour if it is running and makes
+       * drive() do nothing until ms milliseconds have passed. The saved
+       * position is kept, so the tour later resumes where it was left.
+       * Requires persistence.
+       *
+       * Usage (as a custom popover button):
+       *   buttons: [{ label: 'Remind me tomorrow', onClick: function (el, step, opts) {
+       *     opts.driver.snooze(24 * 60 * 60 * 1000);
+       *   } }]
+       *
+       * @param {number} ms - Snooze duration in milliseconds
+       */
+      snooze: function (ms) {
+        if (typeof ms !== 'number' || !(ms >= 0)) {
+          throw new TamperGuideError(ErrorCodes.INVALID_CONFIG, 'snooze(ms) needs a non-negative number of milliseconds. Received: ' + ms + '.');
+        }
+        if (!requirePersistence('snooze')) return;
+        persistenceManager.update({ snoozedUntil: Date.now() + ms });
+        if (stateManager.getState('isInitialized')) performDestroy(false, true);
+      },
+
+      /**
+       * [NEW v1.6.0] neverShowAgain(): void
+       *
+       * Closes the tour if it is running and makes drive() do nothing from
+       * now on, until resetProgress() is called. Requires persistence.
+       */
+      neverShowAgain: function () {
+        if (!requirePersistence('neverShowAgain')) return;
+        persistenceManager.update({ neverShow: true });
+        if (stateManager.getState('isInitialized')) performDestroy(false, true);
+      },
+
+      /**
+       * [NEW v1.6.0] launch(): void
+       *
+       * drive() on the user's explicit request, as from a launcher or a
+       * checklist: clears "never show again", a pending snooze, and the
+       * dismissal count first, so the tour starts even if it was
+       * suppressed. The saved position is kept. Does nothing while the
+       * tour runs.
+       */
+      launch: function () {
+        if (stateManager.getState('isInitialized')) return;
+        persistenceManager.update({ neverShow: false, snoozedUntil: 0, dismissCount: 0 });
+        api.drive();
+      },
+
+      /**
+       * [NEW v1.6.0] getProgress(): object | null
+       *
+       * Returns a copy of the saved progress record, or null if there is
+       * none (or persistence is disabled):
+       *   { index, completed, timestamp, history, snoozedUntil, dismissCount, neverShow }
+       *
+       * @returns {object|null}
+       */
+      getProgress: function () {
+        return copyRecord(loadNow('getProgress'));
+      },
+
+      /**
+       * [NEW v1.6.0] getProgressAsync(): Promise<object | null>
+       *
+       * Same as getProgress(), for any storage backend.
+       *
+       * @returns {Promise<object|null>}
+       */
+      getProgressAsync: function () {
+        return persistenceManager.loadAsync().then(copyRecord);
+      },
+
       /**
        * addHotspot(options: object): void
        *
@@ -2688,6 +7587,23 @@
        *   pulseColor     {string}  - Color of the dot. Default: '#ef4444'.
        *   dismissOnClick {boolean} - Remove when the target element is clicked. Default: false.
        *   autoDismiss    {number}  - Auto-remove after N milliseconds. 0 = never. Default: 0.
+       *   popover        {object}  - [NEW v1.6.0] Rich popover opened on click or keyboard
+       *                              focus: { title, description, side, align, buttons }.
+       *                              Buttons: { label, variant?, onClick?, tour?, step?, dismiss? }.
+       *   label          {string}  - [NEW v1.6.0] Accessible name of the dot.
+       *   id             {string}  - [NEW v1.6.0] Saves the seen and dismissed state under
+       *                              this ID in the persistStorage backend. A dismissed
+       *                              hotspot is not shown again.
+       *   expiry         {number}  - [NEW v1.6.0] Forget the saved state N milliseconds
+       *                              after its last change. 0 = never. Default: 0.
+       *   all            {boolean} - [NEW v1.6.0] A dot on every match of the selector,
+       *                              including matches added later. Default: false.
+       *   anchor         {string|object} - [NEW v1.6.0] Where the dot sits: 'top-left', 'top',
+       *                              'top-right', 'right', 'bottom-right', 'bottom',
+       *                              'bottom-left', 'left', 'center', or { x, y } in pixels
+       *                              from the target's top-left corner. Default: 'top-right'.
+       *   group          {string}  - [NEW v1.6.0] Group name, for showHotspotGroup(),
+       *                              hideHotspotGroup(), and removeHotspotGroup().
        *
        * Usage:
        *   guide.addHotspot({
@@ -2698,7 +7614,7 @@
        */
       addHotspot: function (options) {
         // Ensure styles are injected even if no tour has been started.
-        injectStyles(zOverlay, zPopover);
+        uiRoot.init(zOverlay, zPopover);
         hotspotManager.add(options);
       },
 
@@ -2714,6 +7630,8 @@
        */
       removeHotspot: function (selector) {
         hotspotManager.remove(selector);
+        // [NEW v1.6.0] Drop the stylesheet reference once nothing is shown.
+        if (!stateManager.getState('isInitialized')) uiRoot.release();
       },
 
       /**
@@ -2723,16 +7641,286 @@
        */
       removeAllHotspots: function () {
         hotspotManager.removeAll();
+        if (!stateManager.getState('isInitialized')) uiRoot.release();
+      },
+
+      /**
+       * [NEW v1.6.0] spotlight(step: object): void
+       *
+       * Highlights an element without blocking the page: a ring around it
+       * and an optional popover. There is no overlay, and no key or click
+       * is intercepted. Independent of the tour, so it can be shown while
+       * a tour is running. Replaces the previous spotlight of this guide.
+       *
+       * Step:
+       *   element   {string|Element|function} - Required. The target.
+       *   popover   {object} - Optional: { title, description, side, align, buttons }.
+       *                        Only the close button and custom buttons are shown;
+       *                        onClick(element, step, { config, driver }).
+       *   ring      {string} - 'outline' or 'glow'. Default: 'outline'.
+       *   ringColor {string} - CSS color of the ring. Default: the theme's primary color.
+       *
+       * Usage:
+       *   guide.spotlight({
+       *     element: '#export-btn',
+       *     ring: 'glow',
+       *     popover: { title: 'Export', description: 'Downloads the table as CSV.' },
+       *   });
+       *
+       * @param {object} step
+       * @throws {TamperGuideError} If the step object is invalid
+       */
+      spotlight: function (step) {
+        if (!step || typeof step !== 'object') {
+          throw new TamperGuideError(ErrorCodes.INVALID_STEP, 'spotlight() needs a step object: { element, popover }.');
+        }
+        if (step.element === undefined || step.element === null) {
+          throw new TamperGuideError(ErrorCodes.INVALID_STEP, 'spotlight() needs an "element" to highlight.');
+        }
+        if (step.ring !== undefined && SPOTLIGHT_RINGS.indexOf(step.ring) === -1) {
+          throw new TamperGuideError(ErrorCodes.INVALID_STEP, '"ring" must be "' + SPOTLIGHT_RINGS.join('" or "') + '". Received: ' + step.ring + '.');
+        }
+        if (step.ringColor !== undefined && typeof step.ringColor !== 'string') {
+          throw new TamperGuideError(ErrorCodes.INVALID_STEP, '"ringColor" must be a CSS color string.');
+        }
+        // The spotlight is validated like step 0 of a tour: element,
+        // popover side, align, buttons, and so on.
+        try { validateStep(step, 0); }
+        catch (e) {
+          throw new TamperGuideError(e.code, 'spotlight(): ' + e.message.replace(/^\[TamperGuide:\w+\] /, ''), e.context);
+        }
+        uiRoot.init(zOverlay, zPopover);
+        if (!spotlightManager.show(step) && !stateManager.getState('isInitialized')) uiRoot.release();
+      },
+
+      /**
+       * [NEW v1.6.0] clearSpotlight(): void
+       *
+       * Removes the spotlight shown by spotlight(), if any.
+       */
+      clearSpotlight: function () {
+        spotlightManager.clear();
+        if (!stateManager.getState('isInitialized')) uiRoot.release();
+      },
+
+      /**
+       * [NEW v1.6.0] showHotspotGroup(group: string): void
+       *
+       * Shows the hotspots of a group hidden with hideHotspotGroup().
+       *
+       * @param {string} group - The "group" given to addHotspot()
+       */
+      showHotspotGroup: function (group) {
+        hotspotManager.showGroup(group);
+      },
+
+      /**
+       * [NEW v1.6.0] hideHotspotGroup(group: string): void
+       *
+       * Hides every hotspot of a group without removing it. Hotspots added
+       * to the group while it is hidden start hidden.
+       *
+       * Usage:
+       *   guide.hideHotspotGroup('editor');   // while a modal is open
+       *   guide.showHotspotGroup('editor');
+       *
+       * @param {string} group - The "group" given to addHotspot()
+       */
+      hideHotspotGroup: function (group) {
+        hotspotManager.hideGroup(group);
+      },
+
+      /**
+       * [NEW v1.6.0] removeHotspotGroup(group: string): void
+       *
+       * Removes every hotspot of a group, as removeHotspot() does.
+       *
+       * @param {string} group - The "group" given to addHotspot()
+       */
+      removeHotspotGroup: function (group) {
+        hotspotManager.removeGroup(group);
+        if (!stateManager.getState('isInitialized')) uiRoot.release();
+      },
+
+      /**
+       * [NEW v1.6.0] dismissHotspot(id: string): void
+       *
+       * Dismisses the hotspot added with this "id" as if the user had:
+       * removes it and saves the dismissal, so addHotspot() with this ID
+       * does nothing until the dismissal expires or is reset. Also works
+       * for an ID that is not on the page.
+       *
+       * @param {string} id - The "id" given to addHotspot()
+       */
+      dismissHotspot: function (id) {
+        checkHotspotId('dismissHotspot', id);
+        hotspotManager.dismiss(id);
+        if (!stateManager.getState('isInitialized')) uiRoot.release();
+      },
+
+      /**
+       * [NEW v1.6.0] getHotspotState(id: string): object | null
+       *
+       * Returns the saved state of the hotspot with this "id":
+       *   { id, seen, seenAt, dismissed, dismissedAt, expiresAt }
+       * Timestamps are 0 when unset (expiresAt 0 = never expires).
+       * Returns null, with a warning, for asynchronous storage; use
+       * getHotspotStateAsync() there.
+       *
+       * Usage:
+       *   if (!guide.getHotspotState('new-export').seen) showBanner();
+       *
+       * @param {string} id - The "id" given to addHotspot()
+       * @returns {object|null}
+       */
+      getHotspotState: function (id) {
+        checkHotspotId('getHotspotState', id);
+        var saved = persistenceManager.loadHotspot(id);
+        if (isThenable(saved)) {
+          warn(ErrorCodes.PERSISTENCE_ERROR, 'getHotspotState() cannot read asynchronous storage synchronously. Use getHotspotStateAsync() instead.');
+          return null;
+        }
+        return hotspotState(id, saved);
+      },
+
+      /**
+       * [NEW v1.6.0] getHotspotStateAsync(id: string): Promise<object>
+       *
+       * Same as getHotspotState(), for any storage backend.
+       *
+       * @param {string} id
+       * @returns {Promise<object>}
+       */
+      getHotspotStateAsync: function (id) {
+        try {
+          checkHotspotId('getHotspotStateAsync', id);
+          return Promise.resolve(persistenceManager.loadHotspot(id)).then(function (saved) {
+            return hotspotState(id, saved);
+          });
+        } catch (e) {
+          return Promise.reject(e);
+        }
+      },
+
+      /**
+       * [NEW v1.6.0] resetHotspot(id: string): void
+       *
+       * Clears the saved seen and dismissed state of this "id". A hotspot
+       * that its dismissal kept off the page is added again.
+       *
+       * @param {string} id - The "id" given to addHotspot()
+       */
+      resetHotspot: function (id) {
+        checkHotspotId('resetHotspot', id);
+        uiRoot.init(zOverlay, zPopover);
+        hotspotManager.reset(id);
+      },
+
+      /**
+       * [NEW v1.6.0] resetAllHotspots(): void
+       *
+       * resetHotspot() for every "id" added through this guide on this page.
+       */
+      resetAllHotspots: function () {
+        uiRoot.init(zOverlay, zPopover);
+        hotspotManager.resetAll();
       },
     };
 
+    // [NEW v1.6.0] Register with the page-wide tour registry.
+    guideEntry.api = api;
+    getRegistry().add(guideEntry);
+
     return api;
   }
 
   // =========================================================================
-  // GLOBAL EXPORT  [UNCHANGED]
+  // GLOBAL EXPORT  [MODIFIED v1.6.0]
   // =========================================================================
 
+  // [NEW v1.6.0] Registry-wide helpers.
+
+  /**
+   * tamperGuide.getActive(): object | null
+   * Returns the API object of the tour currently running on the page.
+   */
+  tamperGuide.getActive = function () { return getRegistry().getActive(); };
+
+  /**
+   * tamperGuide.stopAll(): void
+   * Destroys the running tour and drops every queued or waiting start.
+   */
+  tamperGuide.stopAll = function () { getRegistry().stopAll(); };
+
+  /**
+   * tamperGuide.createLauncher(options?: object): object
+   * Adds a help menu listing the page's tours (guides with a tourTitle)
+   * with their completion state; picking one starts it, or restarts it if
+   * it was completed.
+   *
+   * Options:
+   *   mode          {string}  - 'auto' (menu commands when GM_registerMenuCommand
+   *                             is granted, else the widget), 'widget' or 'menu'. Default: 'auto'.
+   *   tours         {Array}   - Guides to list, in this order. Default: every guide with a tourTitle.
+   *   position      {string}  - Widget corner: 'bottom-right'|'bottom-left'|'top-right'|'top-left'.
+   *   theme         {string}  - One of the popover themes. Default: 'default'.
+   *   labels        {object}  - Texts: button, title, start, restart, completed,
+   *                             running, notCompleted, empty.
+   *   isolateStyles {boolean} - Mount the widget in a shadow root, like the tour.
+   *   customStyles  {string}  - Extra CSS for the isolated widget.
+   *
+   * Returns { mode, open(), close(), toggle(), isOpen(), refresh(), destroy() }.
+   * open/close/toggle do nothing in menu mode.
+   */
+  tamperGuide.createLauncher = function (options) { return createLauncher(options); };
+
+  /**
+   * tamperGuide.createChecklist(options: object): object
+   * Docks an onboarding checklist in a corner of the page. Each item is
+   * bound to a tour (done when the tour's saved progress is completed) or
+   * to a done() predicate; clicking an item starts its tour.
+   *
+   * Options:
+   *   items         {Array}    - Required. { title, description?, tour?, done?, onClick? }
+   *   title         {string}   - Heading. Default: 'Getting started'.
+   *   position      {string}   - 'bottom-right'|'bottom-left'|'top-right'|'top-left'.
+   *   collapsed     {boolean}  - Start collapsed. Default: false.
+   *   theme         {string}   - One of the popover themes. Default: 'default'.
+   *   labels        {object}   - Texts: progress ('{{done}} of {{total}} done'), done,
+   *                              collapse, expand.
+   *   onComplete    {function} - Called with the checklist when the last item is done.
+   *   isolateStyles {boolean}  - Mount the dock in a shadow root, like the tour.
+   *   customStyles  {string}   - Extra CSS for the isolated dock.
+   *
+   * Returns { refresh(), collapse(), expand(), toggle(), isCollapsed(),
+   * getProgress(), destroy() }.
+   */
+  tamperGuide.createChecklist = function (options) { return createChecklist(options); };
+
+  /**
+   * tamperGuide.fromJSON(definition: string | object, functions?: object): object
+   * Creates a guide from a tour kept as data. Functions are referenced by
+   * name: { "$fn": "name" }, or a plain string for hook keys and "when".
+   * Validation errors carry the JSON path of the field (error.context.path).
+   *
+   *   const guide = tamperGuide.fromJSON(GM_getResourceText('tour'), {
+   *     isAdmin: function () { return !!document.querySelector('.admin'); },
+   *   });
+   */
+  tamperGuide.fromJSON = function (definition, functions) { return fromJSON(definition, functions); };
+
+  /**
+   * tamperGuide.fromResource(name: string, functions?: object): object
+   * fromJSON() on the text of a @resource. Needs @grant GM_getResourceText.
+   */
+  tamperGuide.fromResource = function (name, functions) { return fromResource(name, functions); };
+
+  /**
+   * tamperGuide.registerFunctions(functions: object): void
+   * Registers named functions for every definition loaded afterwards.
+   */
+  tamperGuide.registerFunctions = function (functions) { registerFunctions(functions); };
+
   if (typeof window !== 'undefined') window.tamperGuide = tamperGuide;
   if (typeof globalThis !== 'undefined') globalThis.tamperGuide = tamperGuide;
 
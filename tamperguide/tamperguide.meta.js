@@ -1,7 +1,7 @@
 // ==UserScript==
 // @name         TamperGuide
 // @namespace    https://github.com/UNKchr/tamperguide
-// @version      1.4.0
+// @version      1.6.0
 // @description  Lightweight library for product tours, highlights, and contextual help in Tampermonkey userscripts. Inspired by driver.js.
 // @author       UNKchr
 // @license      MIT
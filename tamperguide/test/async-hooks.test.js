@@ -0,0 +1,141 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers');
+
+// A Promise with its resolve function, to settle it from the test.
+function deferred() {
+  var d = {};
+  d.promise = new Promise(function (resolve) { d.resolve = resolve; });
+  return d;
+}
+
+test('a pending "when" keeps the transition locked until it settles', async function () {
+  var page = helpers.createPage();
+  var gate = deferred();
+  var guide = page.window.tamperGuide({
+    animate: false,
+    steps: [
+      { element: '#a', popover: { title: 'One' } },
+      { element: '#b', when: function () { return gate.promise; }, popover: { title: 'Two' } },
+      { element: '#c', popover: { title: 'Three' } },
+    ],
+  });
+  guide.drive();
+  await helpers.sleep(100);
+  guide.moveNext();
+  assert.strictEqual(guide.getState('__transitionInProgress'), true);
+  guide.moveNext();
+  guide.movePrevious();
+  await helpers.sleep(20);
+  assert.strictEqual(guide.getActiveIndex(), 0);
+
+  gate.resolve(false);
+  await helpers.sleep(100);
+  assert.strictEqual(guide.getActiveIndex(), 2);
+  assert.strictEqual(guide.getState('__transitionInProgress'), false);
+  guide.destroy();
+  page.close();
+});
+
+test('a pending onNextClick blocks moveNext and resolving false stays put', async function () {
+  var page = helpers.createPage();
+  var answers = [];
+  var calls = 0;
+  var guide = page.window.tamperGuide({
+    animate: false,
+    onNextClick: function () {
+      calls++;
+      var d = deferred();
+      answers.push(d);
+      return d.promise;
+    },
+    steps: [
+      { element: '#a', popover: { title: 'One' } },
+      { element: '#b', popover: { title: 'Two' } },
+    ],
+  });
+  guide.drive();
+  await helpers.sleep(100);
+  guide.moveNext();
+  guide.moveNext();
+  assert.strictEqual(calls, 1);
+  assert.strictEqual(guide.getState('__transitionInProgress'), true);
+
+  answers[0].resolve(false);
+  await helpers.sleep(20);
+  assert.strictEqual(guide.getActiveIndex(), 0);
+  assert.strictEqual(guide.getState('__transitionInProgress'), false);
+
+  guide.moveNext();
+  answers[1].resolve(true);
+  await helpers.sleep(100);
+  assert.strictEqual(guide.getActiveIndex(), 1);
+  guide.destroy();
+  page.close();
+});
+
+test('a pending onPrevClick blocks navigation until it resolves', async function () {
+  var page = helpers.createPage();
+  var gate = deferred();
+  var guide = page.window.tamperGuide({
+    animate: false,
+    steps: [
+      { element: '#a', popover: { title: 'One' } },
+      { element: '#b', popover: { title: 'Two', onPrevClick: function () { return gate.promise; } } },
+    ],
+  });
+  guide.drive();
+  await helpers.sleep(100);
+  guide.moveNext();
+  await helpers.sleep(100);
+  guide.movePrevious();
+  assert.strictEqual(guide.getState('__transitionInProgress'), true);
+  guide.moveNext();
+  await helpers.sleep(20);
+  assert.strictEqual(guide.getActiveIndex(), 1);
+
+  gate.resolve(true);
+  await helpers.sleep(100);
+  assert.strictEqual(guide.getActiveIndex(), 0);
+  guide.destroy();
+  page.close();
+});
+
+test('destroy() while a hook is pending cancels the transition', async function () {
+  var page = helpers.createPage();
+  var gate = deferred();
+  var shown = 0;
+  var guide = page.window.tamperGuide({
+    animate: false,
+    steps: [
+      { element: '#a', popover: { title: 'One' } },
+      {
+        element: '#b',
+        when: function () { return gate.promise; },
+        onHighlighted: function () { shown++; },
+        popover: { title: 'Two' },
+      },
+    ],
+  });
+  guide.drive();
+  await helpers.sleep(100);
+  guide.moveNext();
+  guide.destroy();
+  assert.strictEqual(guide.isActive(), false);
+  assert.strictEqual(guide.getState('__transitionInProgress'), false);
+
+  gate.resolve(true);
+  await helpers.sleep(100);
+  assert.strictEqual(guide.isActive(), false);
+  assert.strictEqual(shown, 0);
+  assert.strictEqual(page.warnings.length, 0);
+
+  // The guide starts again normally.
+  guide.drive();
+  await helpers.sleep(100);
+  assert.strictEqual(guide.getActiveIndex(), 0);
+  guide.destroy();
+  page.close();
+});
@@ -0,0 +1,100 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers');
+
+function keydown(target, key, init) {
+  var window = target.ownerDocument ? target.ownerDocument.defaultView : target.defaultView;
+  var options = { key: key, bubbles: true, cancelable: true };
+  Object.keys(init || {}).forEach(function (name) { options[name] = init[name]; });
+  var e = new window.KeyboardEvent('keydown', options);
+  target.dispatchEvent(e);
+  return e;
+}
+
+function buttonGuide(buttons) {
+  var page = helpers.createPage({ body: '<h1 id="a">A</h1><p id="b">B</p><input id="field">' });
+  var guide = page.window.tamperGuide({
+    animate: false,
+    steps: [
+      { id: 'first', element: '#a', popover: { title: 'One', buttons: buttons } },
+      { id: 'second', element: '#b', popover: { title: 'Two' } },
+    ],
+  });
+  return { page: page, guide: guide };
+}
+
+test('a custom button calls onClick with the element, the step and the driver', async function () {
+  var calls = [];
+  var t = buttonGuide([
+    { label: 'Skip', variant: 'link', className: 'skip extra', onClick: function (el, step, opts) {
+      calls.push({ el: el, step: step, opts: opts });
+      opts.driver.moveToStep('second');
+    } },
+    { label: 'Later', onClick: function () {} },
+  ]);
+  t.guide.drive();
+  await helpers.sleep(100);
+  var skip = helpers.findUI(t.page.document, '[data-tg-button="0"]');
+  var later = helpers.findUI(t.page.document, '[data-tg-button="1"]');
+  assert.ok(skip.classList.contains('tg-popover-btn-link'));
+  assert.ok(skip.classList.contains('skip') && skip.classList.contains('extra'));
+  assert.ok(later.classList.contains('tg-popover-btn-secondary'));
+  // Custom buttons come before Previous/Next.
+  assert.strictEqual(skip.parentNode.firstElementChild, skip);
+
+  skip.click();
+  assert.strictEqual(calls.length, 1);
+  assert.strictEqual(calls[0].el, t.page.document.getElementById('a'));
+  assert.strictEqual(calls[0].step.id, 'first');
+  assert.strictEqual(calls[0].opts.driver, t.guide);
+  await helpers.sleep(100);
+  assert.strictEqual(t.guide.getActiveIndex(), 1);
+  t.guide.destroy();
+  t.page.close();
+});
+
+test('a button "key" triggers it, and other keys and editable targets are left alone', async function () {
+  var clicks = 0;
+  var t = buttonGuide([{ label: 'Snooze', key: 's', onClick: function () { clicks++; } }]);
+  var document = t.page.document;
+  t.guide.drive();
+  await helpers.sleep(100);
+  assert.strictEqual(helpers.findUI(document, '[data-tg-button="0"]').getAttribute('aria-keyshortcuts'), 's');
+
+  assert.strictEqual(keydown(document, 'S').defaultPrevented, true);
+  assert.strictEqual(clicks, 1);
+  assert.strictEqual(keydown(document, 'x').defaultPrevented, false);
+  assert.strictEqual(keydown(document, 's', { ctrlKey: true }).defaultPrevented, false);
+  assert.strictEqual(keydown(document.getElementById('field'), 's').defaultPrevented, false);
+  assert.strictEqual(clicks, 1);
+  assert.strictEqual(t.guide.getActiveIndex(), 0);
+  t.guide.destroy();
+  t.page.close();
+});
+
+test('invalid custom buttons and showButtons values are rejected', function () {
+  var page = helpers.createPage();
+  var tg = page.window.tamperGuide;
+  function rejects(config, field) {
+    assert.throws(function () { tg(config); }, function (e) {
+      return e.name === 'TamperGuideError' && e.context.field === field;
+    });
+  }
+  function withButtons(buttons) {
+    return { steps: [{ element: '#a', popover: { title: 'One', buttons: buttons } }] };
+  }
+  var noop = function () {};
+  rejects(withButtons({ label: 'Go', onClick: noop }), 'popover.buttons');
+  rejects(withButtons([{ onClick: noop }]), 'popover.buttons[0]');
+  rejects(withButtons([{ label: 'Go', onClick: noop }, { label: 'Later' }]), 'popover.buttons[1]');
+  rejects(withButtons([{ label: 'Go', onClick: noop, variant: 'danger' }]), 'popover.buttons[0]');
+  rejects(withButtons([{ label: 'Go', onClick: noop, key: '' }]), 'popover.buttons[0]');
+  rejects(withButtons([{ label: 'Go', onClick: noop, className: ['a'] }]), 'popover.buttons[0]');
+  rejects({ showButtons: ['next', 'skip'], steps: [{ element: '#a' }] }, 'showButtons[1]');
+  assert.doesNotThrow(function () {
+    tg(withButtons([{ label: 'Go', onClick: noop, variant: 'primary', key: 'g', className: 'go' }]));
+  });
+  page.close();
+});
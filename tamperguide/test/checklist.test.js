@@ -0,0 +1,89 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers');
+
+var STEPS = [
+  { element: '#a', popover: { title: 'One' } },
+  { element: '#b', popover: { title: 'Two' } },
+];
+
+function markCompleted(window, key) {
+  window.localStorage.setItem('tg_' + key, JSON.stringify({
+    index: 1, completed: true, timestamp: Date.now(), history: [0, 1],
+    stepId: null, historyIds: [], snoozedUntil: 0, dismissCount: 0, neverShow: false, version: 1,
+  }));
+}
+
+// A page with two tours, the second one already completed.
+function createTours() {
+  var page = helpers.createPage();
+  markCompleted(page.window, 'editor');
+  var tg = page.window.tamperGuide;
+  var welcome = tg({ animate: false, persist: true, persistKey: 'welcome', steps: STEPS });
+  var editor = tg({ animate: false, persist: true, persistKey: 'editor', steps: STEPS });
+  return { page: page, tg: tg, welcome: welcome, editor: editor };
+}
+
+test('the checklist shows progress, and clicking an item launches its tour', async function () {
+  var t = createTours();
+  var clicked = [];
+  var completions = 0;
+  var configured = false;
+  var checklist = t.tg.createChecklist({
+    items: [
+      { title: 'Take the welcome tour', tour: t.welcome },
+      { title: 'Open the editor', tour: t.editor },
+      { title: 'Configure', done: function () { return configured; }, onClick: function (item) { clicked.push(item.title); } },
+    ],
+    onComplete: function () { completions++; },
+  });
+  await checklist.refresh();
+  var document = t.page.document;
+  var rows = helpers.findUI(document, '.tg-checklist-items').querySelectorAll('.tg-checklist-item');
+  assert.strictEqual(helpers.findUI(document, '.tg-checklist-count').textContent, '1 of 3 done');
+  assert.strictEqual(helpers.findUI(document, '.tg-checklist-progress-bar').style.width, '33%');
+  assert.strictEqual(rows[1].classList.contains('tg-checklist-item-done'), true);
+  assert.strictEqual(rows[0].classList.contains('tg-checklist-item-done'), false);
+
+  rows[2].querySelector('button').click();
+  assert.deepStrictEqual(clicked, ['Configure']);
+  configured = true;
+
+  rows[0].querySelector('button').click();
+  await helpers.sleep(200);
+  assert.strictEqual(t.welcome.isActive(), true);
+  t.welcome.moveNext();
+  await helpers.sleep(200);
+  t.welcome.moveNext();
+  assert.strictEqual(t.welcome.isCompleted(), true);
+  // The registry reports the end of the tour, and the checklist updates.
+  await helpers.sleep(200);
+  assert.strictEqual(helpers.findUI(document, '.tg-checklist-count').textContent, '3 of 3 done');
+  assert.strictEqual(completions, 1);
+  checklist.destroy();
+  t.page.close();
+});
+
+test('clicking a completed item restarts its tour, and the header collapses the dock', async function () {
+  var t = createTours();
+  var checklist = t.tg.createChecklist({ items: [{ title: 'Open the editor', tour: t.editor }], collapsed: true });
+  await checklist.refresh();
+  var document = t.page.document;
+  var list = helpers.findUI(document, '.tg-checklist-items');
+  assert.strictEqual(list.hidden, true);
+  helpers.findUI(document, '.tg-checklist-header').click();
+  assert.strictEqual(list.hidden, false);
+
+  list.querySelector('button').click();
+  await helpers.sleep(200);
+  assert.strictEqual(t.editor.isActive(), true);
+  assert.strictEqual(t.editor.getActiveIndex(), 0);
+  await helpers.sleep(200);
+  assert.strictEqual(helpers.findUI(document, '.tg-checklist-count').textContent, '0 of 1 done');
+  assert.ok(list.querySelector('.tg-checklist-item').classList.contains('tg-checklist-item-running'));
+  t.editor.destroy();
+  checklist.destroy();
+  t.page.close();
+});
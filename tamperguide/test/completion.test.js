@@ -0,0 +1,116 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers');
+
+test('a "next" function that returns null completes the tour', async function () {
+  var page = helpers.createPage();
+  var guide = page.window.tamperGuide({
+    animate: false,
+    persist: true,
+    persistKey: 'branching',
+    steps: [
+      { element: '#a', next: function () { return null; }, popover: { title: 'One' } },
+      { element: '#b', popover: { title: 'Two' } },
+    ],
+  });
+  guide.drive();
+  await helpers.sleep(100);
+  guide.moveNext();
+  assert.strictEqual(guide.isActive(), false);
+  assert.strictEqual(guide.isCompleted(), true);
+  page.close();
+});
+
+var BRANCH_STEPS = [
+  { id: 'start', element: '#a', popover: { title: 'One' } },
+  { id: 'basics', element: '#b', popover: { title: 'Two' } },
+  { id: 'admin', element: '#c', popover: { title: 'Three' } },
+];
+
+function branchingGuide(first) {
+  var page = helpers.createPage();
+  var steps = BRANCH_STEPS.slice();
+  steps[0] = Object.assign({}, steps[0], first);
+  var guide = page.window.tamperGuide({ animate: false, steps: steps });
+  return { page: page, guide: guide };
+}
+
+test('a fixed "next" ID jumps to that step', async function () {
+  var t = branchingGuide({ next: 'admin' });
+  t.guide.drive();
+  await helpers.sleep(100);
+  t.guide.moveNext();
+  assert.strictEqual(t.guide.getActiveIndex(), 2);
+  await helpers.sleep(100);
+  // Previous retraces the jump.
+  t.guide.movePrevious();
+  assert.strictEqual(t.guide.getActiveIndex(), 0);
+  t.guide.destroy();
+  t.page.close();
+});
+
+test('a "next" function receives the driver and picks the step by ID', async function () {
+  var received = null;
+  var t = branchingGuide({
+    next: function (ctx) {
+      received = ctx;
+      return ctx.state.activeIndex === 0 ? 'admin' : undefined;
+    },
+  });
+  t.guide.drive();
+  await helpers.sleep(100);
+  t.guide.moveNext();
+  assert.strictEqual(received.driver, t.guide);
+  assert.strictEqual(received.choice, undefined);
+  assert.strictEqual(t.guide.getActiveIndex(), 2);
+  t.guide.destroy();
+  t.page.close();
+});
+
+test('clicking a choice follows the matching entry of the choice map', async function () {
+  var t = branchingGuide({
+    next: { admin: 'admin', 'default': 'basics' },
+    popover: {
+      title: 'Who are you?',
+      choices: [{ label: 'Admin', value: 'admin' }, { label: 'User', value: 'user' }],
+    },
+  });
+  t.guide.drive();
+  await helpers.sleep(100);
+  helpers.findUI(t.page.document, '[data-tg-choice="admin"]').click();
+  assert.strictEqual(t.guide.getActiveIndex(), 2);
+  await helpers.sleep(100);
+
+  t.guide.moveTo(0);
+  await helpers.sleep(100);
+  // A value missing from the map falls back to "default".
+  helpers.findUI(t.page.document, '[data-tg-choice="user"]').click();
+  assert.strictEqual(t.guide.getActiveIndex(), 1);
+  t.guide.destroy();
+  t.page.close();
+});
+
+test('a "next" function returning an unknown ID warns and stays on the step', async function () {
+  var t = branchingGuide({ next: function () { return 'missing'; } });
+  t.guide.drive();
+  await helpers.sleep(100);
+  t.guide.moveNext();
+  assert.strictEqual(t.guide.getActiveIndex(), 0);
+  assert.strictEqual(t.guide.isActive(), true);
+  assert.ok(t.page.warnings.some(function (w) { return w.indexOf('Could not resolve "next" for step 0') !== -1; }));
+  t.guide.destroy();
+  t.page.close();
+});
+
+test('a "next" function that throws falls back to the following step', async function () {
+  var t = branchingGuide({ next: function () { throw new Error('boom'); } });
+  t.guide.drive();
+  await helpers.sleep(100);
+  t.guide.moveNext();
+  assert.strictEqual(t.guide.getActiveIndex(), 1);
+  assert.ok(t.page.warnings.some(function (w) { return w.indexOf('boom') !== -1; }));
+  t.guide.destroy();
+  t.page.close();
+});
@@ -0,0 +1,29 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers');
+
+function pathOf(window, definition) {
+  try {
+    window.tamperGuide.fromJSON(definition);
+  } catch (e) {
+    return e.context.path;
+  }
+  return null;
+}
+
+test('fromJSON reports the JSON path of the faulty field', function () {
+  var page = helpers.createPage();
+  var window = page.window;
+  assert.strictEqual(pathOf(window, {
+    steps: [{ element: '#a' }, { element: '#b', popover: { side: 'middle' } }],
+  }), '$.steps[1].popover.side');
+  assert.strictEqual(pathOf(window, { overlayOpacity: 2, steps: [{ element: '#a' }] }), '$.overlayOpacity');
+  assert.strictEqual(pathOf(window, { steps: [{}] }), '$.steps[0]');
+  assert.strictEqual(pathOf(window, {
+    steps: [{ element: '#a', popover: { buttons: [{ label: 'Skip' }] } }],
+  }), '$.steps[0].popover.buttons[0]');
+  assert.strictEqual(pathOf(window, { showButtons: ['next', 'later'], steps: [{ element: '#a' }] }), '$.showButtons[1]');
+  page.close();
+});
@@ -0,0 +1,65 @@
+'use strict';
+
+// Loads tamperGuide.js into a fresh jsdom page. jsdom has no layout, so
+// every element gets a visible 100x20 rect unless the test overrides
+// getBoundingClientRect.
+
+var fs = require('fs');
+var path = require('path');
+var JSDOM = require('jsdom').JSDOM;
+
+var SOURCE = fs.readFileSync(path.join(__dirname, '..', 'tamperGuide.js'), 'utf8');
+var DEFAULT_BODY = '<h1 id="a">A</h1><p id="b">B</p><p id="c">C</p>';
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.body] - Inner HTML of <body>
+ * @param {string} [options.url] - Page URL
+ * @param {object} [options.globals] - Extra window properties, set before the library loads
+ * @returns {{ window: Window, document: Document, warnings: string[], close: function }}
+ */
+function createPage(options) {
+  options = options || {};
+  var dom = new JSDOM('<!doctype html><html><body>' + (options.body || DEFAULT_BODY) + '</body></html>', {
+    url: options.url || 'https://example.com/',
+    pretendToBeVisual: true,
+    runScripts: 'outside-only',
+  });
+  var window = dom.window;
+  var warnings = [];
+  window.console.warn = function () { warnings.push(Array.prototype.join.call(arguments, ' ')); };
+  window.HTMLElement.prototype.getBoundingClientRect = function () {
+    return { top: 10, left: 10, right: 110, bottom: 30, width: 100, height: 20, x: 10, y: 10 };
+  };
+  Object.keys(options.globals || {}).forEach(function (key) { window[key] = options.globals[key]; });
+  window.eval(SOURCE);
+  return {
+    window: window,
+    document: window.document,
+    warnings: warnings,
+    close: function () { window.close(); },
+  };
+}
+
+function sleep(ms) {
+  return new Promise(function (resolve) { setTimeout(resolve, ms); });
+}
+
+/**
+ * querySelector that also looks inside open shadow roots, where the UI
+ * lives when isolateStyles is on.
+ */
+function findUI(document, selector) {
+  var found = document.querySelector(selector);
+  if (found) return found;
+  var all = document.querySelectorAll('*');
+  for (var i = 0; i < all.length; i++) {
+    if (all[i].shadowRoot) {
+      found = all[i].shadowRoot.querySelector(selector);
+      if (found) return found;
+    }
+  }
+  return null;
+}
+
+module.exports = { createPage: createPage, sleep: sleep, findUI: findUI };
@@ -0,0 +1,46 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers');
+
+var BODY = '<h1 id="a">A</h1><p id="hidden" style="display: none">B</p>';
+
+test('hiddenBehavior "error" stays on the current step instead of throwing', async function () {
+  var page = helpers.createPage({ body: BODY });
+  var advanced = 0;
+  var guide = page.window.tamperGuide({
+    animate: false,
+    hiddenBehavior: 'error',
+    steps: [
+      { element: '#a', advanceOn: { event: 'click' }, popover: { title: 'One' } },
+      { element: '#hidden', popover: { title: 'Two' }, onHighlighted: function () { advanced++; } },
+    ],
+  });
+  guide.drive();
+  await helpers.sleep(100);
+  assert.doesNotThrow(function () { guide.moveNext(); });
+  assert.strictEqual(guide.getActiveIndex(), 0);
+  assert.strictEqual(guide.getState('__transitionInProgress'), false);
+  assert.ok(page.warnings.some(function (w) { return w.indexOf('ELEMENT_HIDDEN') !== -1; }));
+
+  // The advanceOn listener of the current step is back.
+  page.warnings.length = 0;
+  page.document.getElementById('a').click();
+  await helpers.sleep(10);
+  assert.ok(page.warnings.some(function (w) { return w.indexOf('ELEMENT_HIDDEN') !== -1; }));
+  assert.strictEqual(advanced, 0);
+  guide.destroy();
+  page.close();
+});
+
+test('hiddenBehavior "error" on the first step ends the tour', function () {
+  var page = helpers.createPage({ body: BODY });
+  var guide = page.window.tamperGuide({
+    animate: false,
+    steps: [{ element: '#hidden', hiddenBehavior: 'error', popover: { title: 'One' } }],
+  });
+  assert.doesNotThrow(function () { guide.drive(); });
+  assert.strictEqual(guide.isActive(), false);
+  page.close();
+});
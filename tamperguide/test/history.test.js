@@ -0,0 +1,32 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers');
+
+test('Previous stays on the current step when no earlier step can be shown', async function () {
+  var page = helpers.createPage();
+  var open = true;
+  var guide = page.window.tamperGuide({
+    animate: false,
+    steps: [
+      { element: '#a', when: function () { return open; }, popover: { title: 'One' } },
+      { element: '#b', advanceOn: { event: 'click' }, popover: { title: 'Two' } },
+      { element: '#a', popover: { title: 'Three' } },
+    ],
+  });
+  guide.drive();
+  await helpers.sleep(100);
+  guide.moveNext();
+  await helpers.sleep(100);
+  open = false;
+  guide.movePrevious();
+  await helpers.sleep(100);
+  assert.strictEqual(guide.getActiveIndex(), 1);
+  assert.strictEqual(guide.hasPreviousStep(), false);
+  assert.strictEqual(helpers.findUI(page.document, '[data-tg-action="prev"]'), null);
+  page.document.getElementById('b').click();
+  await helpers.sleep(100);
+  assert.strictEqual(guide.getActiveIndex(), 2);
+  page.close();
+});
@@ -0,0 +1,50 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers');
+
+function dots(page) {
+  return page.document.querySelectorAll('.tg-hotspot').length;
+}
+
+test('a broad "all" selector does not put dots on dots', async function () {
+  var page = helpers.createPage({ body: '<div class="row">1</div><div class="row">2</div>' });
+  var guide = page.window.tamperGuide({ isolateStyles: false });
+  guide.addHotspot({ element: 'div', all: true, tooltip: 'Hint' });
+  assert.strictEqual(dots(page), 2);
+  // Let the mutation observer run a few times.
+  await helpers.sleep(100);
+  assert.strictEqual(dots(page), 2);
+  guide.removeAllHotspots();
+  page.close();
+});
+
+test('an "all" hotspot without matches yet gets its dots later', async function () {
+  var page = helpers.createPage({ body: '<ul id="list"></ul>' });
+  var guide = page.window.tamperGuide({ isolateStyles: false });
+  guide.addHotspot({ element: '#list li', all: true, tooltip: 'Hint' });
+  assert.strictEqual(dots(page), 0);
+  assert.strictEqual(page.warnings.length, 0);
+
+  var list = page.document.getElementById('list');
+  list.appendChild(page.document.createElement('li'));
+  list.appendChild(page.document.createElement('li'));
+  await helpers.sleep(100);
+  assert.strictEqual(dots(page), 2);
+
+  list.removeChild(list.firstChild);
+  await helpers.sleep(100);
+  assert.strictEqual(dots(page), 1);
+  guide.removeAllHotspots();
+  page.close();
+});
+
+test('a hotspot without "all" still warns when nothing matches', function () {
+  var page = helpers.createPage();
+  var guide = page.window.tamperGuide({ isolateStyles: false });
+  guide.addHotspot({ element: '#missing', tooltip: 'Hint' });
+  assert.strictEqual(dots(page), 0);
+  assert.ok(page.warnings.some(function (w) { return w.indexOf('HOTSPOT_ERROR') !== -1; }));
+  page.close();
+});
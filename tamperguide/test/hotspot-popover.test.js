@@ -0,0 +1,125 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers');
+
+var STEPS = [
+  { id: 'intro', element: '#a', popover: { title: 'One' } },
+  { id: 'details', element: '#b', popover: { title: 'Two' } },
+];
+
+function keydown(target, key) {
+  var e = new target.ownerDocument.defaultView.KeyboardEvent('keydown', { key: key, bubbles: true, cancelable: true });
+  target.dispatchEvent(e);
+  return e;
+}
+
+function setup() {
+  var page = helpers.createPage();
+  var tg = page.window.tamperGuide;
+  var other = tg({ animate: false, steps: STEPS });
+  var guide = tg({ animate: false, isolateStyles: false, steps: STEPS });
+  var clicks = [];
+  guide.addHotspot({
+    element: '#c',
+    popover: {
+      title: 'New <b>export</b>',
+      description: 'Export to <i>CSV</i>.',
+      buttons: [
+        { label: 'Take the tour', tour: other },
+        { label: 'Show me', step: 'details', variant: 'primary' },
+        { label: 'Log', onClick: function (e, ctx) { clicks.push(ctx); } },
+      ],
+    },
+  });
+  return { page: page, document: page.document, guide: guide, other: other, clicks: clicks };
+}
+
+function popover(document) {
+  return document.querySelector('.tg-hotspot-popover');
+}
+
+test('clicking the dot toggles a popover with the title, description, buttons and arrow', function () {
+  var t = setup();
+  var dot = t.document.querySelector('.tg-hotspot');
+  assert.strictEqual(dot.getAttribute('role'), 'button');
+  assert.strictEqual(dot.getAttribute('aria-label'), 'New export');
+  assert.strictEqual(popover(t.document), null);
+
+  dot.click();
+  var pop = popover(t.document);
+  assert.ok(pop);
+  assert.strictEqual(dot.getAttribute('aria-expanded'), 'true');
+  assert.strictEqual(pop.querySelector('.tg-popover-title').innerHTML, 'New <b>export</b>');
+  assert.strictEqual(pop.querySelector('.tg-popover-description').textContent, 'Export to CSV.');
+  assert.strictEqual(pop.querySelectorAll('[data-tg-button]').length, 3);
+  assert.ok(pop.querySelector('[data-tg-button="1"]').classList.contains('tg-popover-btn-primary'));
+  assert.ok(pop.querySelector('.tg-popover-arrow'));
+  // Only the close button, no Previous/Next.
+  assert.strictEqual(pop.querySelector('[data-tg-action="next"]'), null);
+  assert.ok(pop.querySelector('[data-tg-action="close"]'));
+
+  dot.click();
+  assert.strictEqual(popover(t.document), null);
+  assert.strictEqual(dot.getAttribute('aria-expanded'), 'false');
+  t.page.close();
+});
+
+test('Enter opens the popover with focus inside, and Escape closes it back to the dot', function () {
+  var t = setup();
+  var dot = t.document.querySelector('.tg-hotspot');
+  dot.focus();
+  assert.strictEqual(keydown(dot, 'Enter').defaultPrevented, true);
+  var pop = popover(t.document);
+  assert.strictEqual(t.document.activeElement, pop.querySelector('[data-tg-button="0"]'));
+  keydown(t.document.activeElement, 'Escape');
+  assert.strictEqual(popover(t.document), null);
+  assert.strictEqual(t.document.activeElement, dot);
+
+  // A pointer press outside closes it too.
+  dot.click();
+  t.document.body.dispatchEvent(new t.page.window.Event('pointerdown', { bubbles: true }));
+  assert.strictEqual(popover(t.document), null);
+  t.page.close();
+});
+
+test('popover buttons start a tour, jump to a step, or run a function', async function () {
+  var t = setup();
+  var dot = t.document.querySelector('.tg-hotspot');
+
+  dot.click();
+  popover(t.document).querySelector('[data-tg-button="0"]').click();
+  assert.strictEqual(popover(t.document), null);
+  await helpers.sleep(100);
+  assert.strictEqual(t.other.isActive(), true);
+  assert.strictEqual(t.other.getActiveIndex(), 0);
+  t.other.destroy();
+
+  dot.click();
+  popover(t.document).querySelector('[data-tg-button="1"]').click();
+  await helpers.sleep(100);
+  assert.strictEqual(t.guide.isActive(), true);
+  assert.strictEqual(t.guide.getActiveIndex(), 1);
+  t.guide.destroy();
+
+  dot.click();
+  popover(t.document).querySelector('[data-tg-button="2"]').click();
+  assert.strictEqual(t.clicks.length, 1);
+  assert.strictEqual(t.clicks[0].hotspot, '#c');
+  assert.strictEqual(t.clicks[0].element, t.document.getElementById('c'));
+  assert.strictEqual(t.clicks[0].driver, t.guide);
+  // The hotspot stays; only "dismiss: true" removes it.
+  assert.ok(t.document.querySelector('.tg-hotspot'));
+  t.guide.removeAllHotspots();
+  t.page.close();
+});
+
+test('a popover button that does nothing is rejected', function () {
+  var page = helpers.createPage();
+  var guide = page.window.tamperGuide({ isolateStyles: false });
+  guide.addHotspot({ element: '#a', popover: { title: 'Hint', buttons: [{ label: 'Nothing' }] } });
+  assert.strictEqual(page.document.querySelector('.tg-hotspot'), null);
+  assert.ok(page.warnings.some(function (w) { return w.indexOf('does nothing') !== -1; }));
+  page.close();
+});
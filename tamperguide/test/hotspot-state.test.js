@@ -0,0 +1,135 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers');
+
+function dots(page) {
+  return page.document.querySelectorAll('.tg-hotspot').length;
+}
+
+// A second guide on the same page stands in for a reload: it has its own
+// hotspot manager and reads the state back from storage.
+function reload(page) {
+  return page.window.tamperGuide({ isolateStyles: false });
+}
+
+test('a dismissal by the user is saved, and the hotspot stays away after a reload', function () {
+  var page = helpers.createPage();
+  var guide = reload(page);
+  guide.addHotspot({ id: 'export', element: '#a', tooltip: 'New', dismissOnClick: true });
+  assert.strictEqual(dots(page), 1);
+  assert.strictEqual(guide.getHotspotState('export').dismissed, false);
+
+  page.document.getElementById('a').click();
+  assert.strictEqual(dots(page), 0);
+  var state = guide.getHotspotState('export');
+  assert.strictEqual(state.dismissed, true);
+  assert.ok(state.dismissedAt > 0);
+  assert.strictEqual(state.expiresAt, 0);
+
+  var again = reload(page);
+  again.addHotspot({ id: 'export', element: '#a', tooltip: 'New', dismissOnClick: true });
+  assert.strictEqual(dots(page), 0);
+
+  // resetHotspot() clears the state and brings the hotspot back.
+  again.resetHotspot('export');
+  assert.strictEqual(dots(page), 1);
+  assert.strictEqual(again.getHotspotState('export').dismissed, false);
+  again.removeAllHotspots();
+  page.close();
+});
+
+test('removeHotspot() and autoDismiss are not saved as dismissals', async function () {
+  var page = helpers.createPage();
+  var guide = reload(page);
+  guide.addHotspot({ id: 'one', element: '#a', tooltip: 'One' });
+  guide.addHotspot({ id: 'two', element: '#b', tooltip: 'Two', autoDismiss: 30 });
+  guide.removeHotspot('#a');
+  await helpers.sleep(60);
+  assert.strictEqual(dots(page), 0);
+  assert.strictEqual(guide.getHotspotState('one').dismissed, false);
+  assert.strictEqual(guide.getHotspotState('two').dismissed, false);
+  page.close();
+});
+
+test('opening a tooltip marks the hotspot seen, which stops the pulse', function () {
+  var page = helpers.createPage();
+  var guide = reload(page);
+  guide.addHotspot({ id: 'tip', element: '#a', tooltip: 'New' });
+  var dot = page.document.querySelector('.tg-hotspot');
+  assert.strictEqual(dot.classList.contains('tg-hotspot-seen'), false);
+  dot.click();
+  assert.strictEqual(dot.classList.contains('tg-hotspot-seen'), true);
+  assert.strictEqual(guide.getHotspotState('tip').seen, true);
+  guide.removeAllHotspots();
+
+  var again = reload(page);
+  again.addHotspot({ id: 'tip', element: '#a', tooltip: 'New' });
+  dot = page.document.querySelector('.tg-hotspot');
+  assert.strictEqual(dot.classList.contains('tg-hotspot-seen'), true);
+  again.resetAllHotspots();
+  assert.strictEqual(dot.classList.contains('tg-hotspot-seen'), false);
+  assert.strictEqual(again.getHotspotState('tip').seen, false);
+  again.removeAllHotspots();
+  page.close();
+});
+
+test('saved state with an expiry is forgotten once it expires', async function () {
+  var page = helpers.createPage();
+  var guide = reload(page);
+  var before = Date.now();
+  guide.addHotspot({ id: 'brief', element: '#a', tooltip: 'New', expiry: 50 });
+  guide.dismissHotspot('brief');
+  assert.strictEqual(dots(page), 0);
+  var state = guide.getHotspotState('brief');
+  assert.strictEqual(state.dismissed, true);
+  assert.ok(state.expiresAt >= before + 50);
+
+  await helpers.sleep(80);
+  assert.strictEqual(guide.getHotspotState('brief').dismissed, false);
+  assert.strictEqual(page.window.localStorage.getItem('tg_hotspot_brief'), null);
+  var again = reload(page);
+  again.addHotspot({ id: 'brief', element: '#a', tooltip: 'New', expiry: 50 });
+  assert.strictEqual(dots(page), 1);
+  again.removeAllHotspots();
+  page.close();
+});
+
+test('dismissHotspot() works for an ID that is not on the page', function () {
+  var page = helpers.createPage();
+  var guide = reload(page);
+  guide.dismissHotspot('later');
+  assert.strictEqual(guide.getHotspotState('later').dismissed, true);
+  guide.addHotspot({ id: 'later', element: '#a', tooltip: 'New' });
+  assert.strictEqual(dots(page), 0);
+  assert.throws(function () { guide.dismissHotspot(''); });
+  page.close();
+});
+
+test('hotspot state goes through an async storage backend', async function () {
+  var records = {};
+  var storage = {
+    get: function (key) { return Promise.resolve(records[key] ? JSON.parse(records[key]) : null); },
+    set: function (key, value) { records[key] = JSON.stringify(value); return Promise.resolve(); },
+    remove: function (key) { delete records[key]; return Promise.resolve(); },
+  };
+  var page = helpers.createPage();
+  var guide = page.window.tamperGuide({ isolateStyles: false, persistStorage: storage });
+  guide.addHotspot({ id: 'async', element: '#a', tooltip: 'New', dismissOnClick: true });
+  assert.strictEqual(dots(page), 0);
+  await helpers.sleep(20);
+  assert.strictEqual(dots(page), 1);
+
+  page.document.getElementById('a').click();
+  assert.strictEqual(guide.getHotspotState('async'), null);
+  var state = await guide.getHotspotStateAsync('async');
+  assert.strictEqual(state.dismissed, true);
+  assert.ok(records.tg_hotspot_async);
+
+  var again = page.window.tamperGuide({ isolateStyles: false, persistStorage: storage });
+  again.addHotspot({ id: 'async', element: '#a', tooltip: 'New', dismissOnClick: true });
+  await helpers.sleep(20);
+  assert.strictEqual(dots(page), 0);
+  page.close();
+});
@@ -0,0 +1,105 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers');
+
+function setRect(el, left, top) {
+  el.getBoundingClientRect = function () {
+    return { top: top, left: left, right: left + 100, bottom: top + 20, width: 100, height: 20, x: left, y: top };
+  };
+}
+
+// The dot is centered on the target's top-right corner by default.
+function dotAt(dot) {
+  return [parseFloat(dot.style.left) + 6, parseFloat(dot.style.top) + 6];
+}
+
+test('a hotspot follows its target when a scrolling ancestor scrolls, and hides when clipped', async function () {
+  var page = helpers.createPage({ body: '<div id="panel" style="overflow: auto"><button id="save">Save</button></div>' });
+  var document = page.document;
+  var panel = document.getElementById('panel'), save = document.getElementById('save');
+  panel.getBoundingClientRect = function () {
+    return { top: 0, left: 0, right: 300, bottom: 200, width: 300, height: 200, x: 0, y: 0 };
+  };
+  setRect(save, 50, 100);
+  var guide = page.window.tamperGuide({ isolateStyles: false });
+  guide.addHotspot({ element: '#save', tooltip: 'Hint' });
+  var dot = document.querySelector('.tg-hotspot');
+  assert.deepStrictEqual(dotAt(dot), [150, 100]);
+
+  setRect(save, 50, 40);
+  panel.dispatchEvent(new page.window.Event('scroll'));
+  await helpers.sleep(50);
+  assert.deepStrictEqual(dotAt(dot), [150, 40]);
+
+  // Scrolled out of the panel: the dot is hidden, not left floating.
+  setRect(save, 50, -60);
+  panel.dispatchEvent(new page.window.Event('scroll'));
+  await helpers.sleep(50);
+  assert.strictEqual(dot.style.display, 'none');
+
+  setRect(save, 50, 10);
+  page.window.dispatchEvent(new page.window.Event('scroll'));
+  await helpers.sleep(50);
+  assert.strictEqual(dot.style.display, '');
+  assert.deepStrictEqual(dotAt(dot), [150, 10]);
+  guide.removeAllHotspots();
+  page.close();
+});
+
+test('a hotspot follows a resize of its target reported by ResizeObserver', async function () {
+  var observers = [];
+  function FakeResizeObserver(callback) {
+    this.callback = callback;
+    this.targets = [];
+    observers.push(this);
+  }
+  FakeResizeObserver.prototype.observe = function (el) { this.targets.push(el); };
+  FakeResizeObserver.prototype.unobserve = function (el) { this.targets.splice(this.targets.indexOf(el), 1); };
+  FakeResizeObserver.prototype.disconnect = function () { this.targets = []; };
+
+  var page = helpers.createPage({ globals: { ResizeObserver: FakeResizeObserver } });
+  var document = page.document;
+  var guide = page.window.tamperGuide({ isolateStyles: false });
+  guide.addHotspot({ element: '#b', tooltip: 'Hint' });
+  var b = document.getElementById('b');
+  assert.strictEqual(observers.length, 1);
+  assert.strictEqual(observers[0].targets[0], b);
+
+  b.getBoundingClientRect = function () {
+    return { top: 10, left: 10, right: 310, bottom: 30, width: 300, height: 20, x: 10, y: 10 };
+  };
+  observers[0].callback([]);
+  await helpers.sleep(50);
+  assert.deepStrictEqual(dotAt(document.querySelector('.tg-hotspot')), [310, 10]);
+
+  guide.removeAllHotspots();
+  assert.strictEqual(observers[0].targets.length, 0);
+  page.close();
+});
+
+test('a hotspot moves to the new node when its target is re-rendered', async function () {
+  var page = helpers.createPage({ body: '<div id="app"><button id="save">Save</button></div>' });
+  var document = page.document;
+  var guide = page.window.tamperGuide({ isolateStyles: false });
+  guide.addHotspot({ element: '#save', tooltip: 'Hint', dismissOnClick: true });
+  var dot = document.querySelector('.tg-hotspot');
+
+  var app = document.getElementById('app');
+  app.innerHTML = '';
+  await helpers.sleep(50);
+  assert.strictEqual(dot.style.display, 'none');
+
+  var save = document.createElement('button');
+  save.id = 'save';
+  setRect(save, 200, 50);
+  app.appendChild(save);
+  await helpers.sleep(50);
+  assert.strictEqual(dot.style.display, '');
+  assert.deepStrictEqual(dotAt(dot), [300, 50]);
+  // Listeners moved with it.
+  save.click();
+  assert.strictEqual(document.querySelector('.tg-hotspot'), null);
+  page.close();
+});
@@ -0,0 +1,107 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers');
+
+var STEPS = [
+  { element: '#a', popover: { title: 'One' } },
+  { element: '#b', popover: { title: 'Two' } },
+];
+
+function markCompleted(window, key) {
+  window.localStorage.setItem('tg_' + key, JSON.stringify({
+    index: 1, completed: true, timestamp: Date.now(), history: [0, 1],
+    stepId: null, historyIds: [], snoozedUntil: 0, dismissCount: 0, neverShow: false, version: 1,
+  }));
+}
+
+// A page with two titled tours, the second one already completed.
+function createTours(globals) {
+  var page = helpers.createPage({ globals: globals });
+  markCompleted(page.window, 'editor');
+  var tg = page.window.tamperGuide;
+  var welcome = tg({ animate: false, persist: true, persistKey: 'welcome', tourTitle: 'Welcome', steps: STEPS });
+  var editor = tg({ animate: false, persist: true, persistKey: 'editor', tourTitle: 'Editor', steps: STEPS });
+  return { page: page, tg: tg, welcome: welcome, editor: editor };
+}
+
+function items(document) {
+  var list = helpers.findUI(document, '.tg-launcher-list');
+  return Array.prototype.map.call(list.querySelectorAll('.tg-launcher-item'), function (li) {
+    return {
+      title: li.querySelector('.tg-launcher-item-title').textContent,
+      state: li.querySelector('.tg-launcher-item-state').textContent,
+      button: li.querySelector('button'),
+    };
+  });
+}
+
+test('the launcher lists the titled tours with their completion state', async function () {
+  var t = createTours();
+  t.tg({ steps: STEPS });  // no tourTitle: not listed
+  var launcher = t.tg.createLauncher({ mode: 'widget' });
+  assert.strictEqual(launcher.isOpen(), false);
+  helpers.findUI(t.page.document, '.tg-launcher-button').click();
+  assert.strictEqual(launcher.isOpen(), true);
+  await helpers.sleep(50);
+  var listed = items(t.page.document);
+  assert.strictEqual(listed.length, 2);
+  assert.deepStrictEqual([listed[0].title, listed[0].state, listed[0].button.textContent], ['Welcome', 'Not completed', 'Start']);
+  assert.deepStrictEqual([listed[1].title, listed[1].state, listed[1].button.textContent], ['Editor', '\u2713 Completed', 'Restart']);
+
+  // Start resumes the tour; while it runs, its entry says so.
+  listed[0].button.click();
+  await helpers.sleep(100);
+  assert.strictEqual(launcher.isOpen(), false);
+  assert.strictEqual(t.welcome.isActive(), true);
+  launcher.open();
+  await helpers.sleep(50);
+  listed = items(t.page.document);
+  assert.strictEqual(listed[0].state, 'Running');
+  assert.strictEqual(listed[0].button.disabled, true);
+  t.welcome.destroy();
+  launcher.destroy();
+  assert.strictEqual(helpers.findUI(t.page.document, '.tg-launcher'), null);
+  t.page.close();
+});
+
+test('restarting a completed tour resets its progress and starts it over', async function () {
+  var t = createTours();
+  t.editor.neverShowAgain();
+  var launcher = t.tg.createLauncher({ mode: 'widget', tours: [t.editor] });
+  launcher.open();
+  await helpers.sleep(50);
+  var listed = items(t.page.document);
+  assert.strictEqual(listed.length, 1);
+  listed[0].button.click();
+  await helpers.sleep(100);
+  assert.strictEqual(t.editor.isActive(), true);
+  assert.strictEqual(t.editor.getActiveIndex(), 0);
+  assert.strictEqual(t.editor.isCompleted(), false);
+  t.editor.destroy();
+  launcher.destroy();
+  t.page.close();
+});
+
+test('in menu mode each tour gets a menu command labelled with its state', async function () {
+  var commands = {};
+  var nextId = 1;
+  var t = createTours({
+    GM_registerMenuCommand: function (label, fn) { commands[nextId] = { label: label, fn: fn }; return nextId++; },
+    GM_unregisterMenuCommand: function (id) { delete commands[id]; },
+  });
+  var launcher = t.tg.createLauncher();
+  assert.strictEqual(launcher.mode, 'menu');
+  await helpers.sleep(50);
+  var labels = Object.keys(commands).map(function (id) { return commands[id].label; });
+  assert.deepStrictEqual(labels, ['Start: Welcome', 'Restart: Editor \u2713']);
+
+  commands[Object.keys(commands)[0]].fn();
+  await helpers.sleep(100);
+  assert.strictEqual(t.welcome.isActive(), true);
+  launcher.destroy();
+  assert.strictEqual(Object.keys(commands).length, 0);
+  t.welcome.destroy();
+  t.page.close();
+});
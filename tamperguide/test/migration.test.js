@@ -0,0 +1,95 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers');
+
+var STEPS = [
+  { id: 'intro', element: '#a', popover: { title: 'One' } },
+  { id: 'details', element: '#b', popover: { title: 'Two' } },
+];
+
+function savedRecord(fields) {
+  var record = {
+    index: 1, completed: false, timestamp: Date.now(), history: [0, 1],
+    stepId: 'removed-step', historyIds: ['intro', 'removed-step'],
+    snoozedUntil: 0, dismissCount: 0, neverShow: false, version: 1,
+  };
+  Object.keys(fields || {}).forEach(function (key) { record[key] = fields[key]; });
+  return record;
+}
+
+function createGuide(record, options) {
+  var page = helpers.createPage();
+  page.window.localStorage.setItem('tg_migrating', JSON.stringify(record));
+  var config = { animate: false, persist: true, persistKey: 'migrating', tourVersion: 2, steps: STEPS };
+  Object.keys(options || {}).forEach(function (key) { config[key] = options[key]; });
+  return { page: page, guide: page.window.tamperGuide(config) };
+}
+
+test('without a hook, an unknown step ID only resets the position', function () {
+  var until = Date.now() + 60000;
+  var t = createGuide(savedRecord({ neverShow: true, snoozedUntil: until, dismissCount: 2 }));
+  var progress = t.guide.getProgress();
+  assert.strictEqual(progress.index, 0);
+  assert.strictEqual(progress.stepId, null);
+  assert.strictEqual(progress.history.length, 0);
+  assert.strictEqual(progress.neverShow, true);
+  assert.strictEqual(progress.snoozedUntil, until);
+  assert.strictEqual(progress.dismissCount, 2);
+  assert.strictEqual(progress.version, 2);
+  t.guide.drive();
+  assert.strictEqual(t.guide.isActive(), false);
+  t.page.close();
+});
+
+test('without a hook, a completed tour stays completed', function () {
+  var t = createGuide(savedRecord({ completed: true }));
+  assert.strictEqual(t.guide.isCompleted(), true);
+  t.page.close();
+});
+
+test('without a hook, a known step ID resumes there', async function () {
+  var t = createGuide(savedRecord({ index: 0, stepId: 'details', history: [1], historyIds: ['details'] }));
+  t.guide.drive();
+  await helpers.sleep(100);
+  assert.strictEqual(t.guide.getActiveIndex(), 1);
+  t.guide.destroy();
+  t.page.close();
+});
+
+test('a hook returning false discards the record', function () {
+  var t = createGuide(savedRecord({ completed: true }), {
+    migrateProgress: function () { return false; },
+  });
+  assert.strictEqual(t.guide.getProgress(), null);
+  assert.strictEqual(t.guide.isCompleted(), false);
+  t.page.close();
+});
+
+test('a slow migration write does not overwrite the progress saved after resuming', async function () {
+  var page = helpers.createPage();
+  var records = { tg_migrating: savedRecord() };
+  var writes = 0;
+  var storage = {
+    get: function (key) { return helpers.sleep(10).then(function () { return records[key] || null; }); },
+    set: function (key, value) {
+      // The first write (the migration) is the slowest.
+      var delay = writes++ === 0 ? 200 : 0;
+      var copy = JSON.parse(JSON.stringify(value));
+      return helpers.sleep(delay).then(function () { records[key] = copy; });
+    },
+    remove: function (key) { delete records[key]; return Promise.resolve(); },
+  };
+  var guide = page.window.tamperGuide({
+    animate: false, persist: true, persistKey: 'migrating', tourVersion: 2,
+    persistStorage: storage, steps: STEPS,
+  });
+  guide.drive();
+  await helpers.sleep(500);
+  assert.strictEqual(guide.getActiveIndex(), 0);
+  assert.strictEqual(records.tg_migrating.version, 2);
+  assert.strictEqual(records.tg_migrating.history.length, 1);
+  guide.destroy();
+  page.close();
+});
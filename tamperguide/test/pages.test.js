@@ -0,0 +1,160 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers');
+
+var URL = 'https://example.com/users/42?tab=info';
+
+// Shows a one-step tour on URL and reports whether the step matched the
+// page (a step that does not match pauses the tour).
+function matches(fields) {
+  var page = helpers.createPage({ url: URL });
+  var step = { element: '#a', popover: { title: 'One' } };
+  Object.keys(fields).forEach(function (key) { step[key] = fields[key]; });
+  var guide = page.window.tamperGuide({ animate: false, steps: [step] });
+  guide.drive();
+  var result = !guide.isPaused();
+  guide.destroy();
+  page.close();
+  return result;
+}
+
+test('url and route accept strings, globs, RegExps and functions', function () {
+  assert.strictEqual(matches({ route: '/users/42' }), true);
+  assert.strictEqual(matches({ route: '/users' }), false);
+  assert.strictEqual(matches({ route: '/users/*' }), true);
+  assert.strictEqual(matches({ route: '/teams/*' }), false);
+  assert.strictEqual(matches({ route: /^\/users\/\d+$/ }), true);
+  assert.strictEqual(matches({ route: /^\/teams\// }), false);
+  assert.strictEqual(matches({ url: URL }), true);
+  assert.strictEqual(matches({ url: 'https://example.com/users/*' }), true);
+  assert.strictEqual(matches({ url: '*?tab=settings' }), false);
+  assert.strictEqual(matches({ url: /tab=info/ }), true);
+  assert.strictEqual(matches({ url: function (loc) { return loc.search === '?tab=info'; } }), true);
+  assert.strictEqual(matches({ route: function () { return false; } }), false);
+  // With both, both must match.
+  assert.strictEqual(matches({ url: /tab=info/, route: '/teams/*' }), false);
+});
+
+test('a url function that throws counts as a match, with a warning', function () {
+  var page = helpers.createPage({ url: URL });
+  var guide = page.window.tamperGuide({
+    animate: false,
+    steps: [{ element: '#a', url: function () { throw new Error('boom'); }, popover: { title: 'One' } }],
+  });
+  guide.drive();
+  assert.strictEqual(guide.isPaused(), false);
+  assert.strictEqual(guide.getActiveIndex(), 0);
+  assert.ok(page.warnings.some(function (w) { return w.indexOf('boom') !== -1; }));
+  guide.destroy();
+  page.close();
+});
+
+test('a string "navigate" goes to the page of the next step, which resumes there', async function () {
+  var page = helpers.createPage({ url: 'https://example.com/a' });
+  var guide = page.window.tamperGuide({
+    animate: false,
+    steps: [
+      { element: '#a', popover: { title: 'One' } },
+      { element: '#b', url: '*#details', navigate: '#details', popover: { title: 'Two' } },
+    ],
+  });
+  guide.drive();
+  await helpers.sleep(50);
+  guide.moveNext();
+  assert.strictEqual(guide.isPaused(), true);
+  await helpers.sleep(100);
+  assert.strictEqual(page.window.location.hash, '#details');
+  assert.strictEqual(guide.isPaused(), false);
+  assert.strictEqual(guide.getActiveIndex(), 1);
+  guide.destroy();
+  page.close();
+});
+
+test('a "navigate" function may switch the page once its Promise resolves', async function () {
+  var page = helpers.createPage({ url: 'https://example.com/a' });
+  var window = page.window;
+  var calls = [];
+  var guide = window.tamperGuide({
+    animate: false,
+    persist: true,
+    persistKey: 'navigating',
+    steps: [
+      { element: '#a', route: '/a', popover: { title: 'One' } },
+      {
+        element: '#b', route: '/b', popover: { title: 'Two' },
+        navigate: function (step, opts) {
+          calls.push({ step: step, driver: opts.driver });
+          return new Promise(function (resolve) {
+            setTimeout(function () {
+              window.history.pushState({}, '', '/b');
+              resolve();
+            }, 50);
+          });
+        },
+      },
+    ],
+  });
+  guide.drive();
+  await helpers.sleep(50);
+  guide.moveNext();
+  assert.strictEqual(calls.length, 1);
+  assert.strictEqual(calls[0].step.route, '/b');
+  assert.strictEqual(calls[0].driver, guide);
+  assert.strictEqual(guide.isPaused(), true);
+  // The step is saved before leaving, so a full page load resumes on it.
+  assert.strictEqual(guide.getProgress().index, 1);
+  await helpers.sleep(150);
+  assert.strictEqual(guide.isPaused(), false);
+  assert.strictEqual(guide.getActiveIndex(), 1);
+  guide.destroy();
+  page.close();
+});
+
+function saveProgress(window, index, history) {
+  window.localStorage.setItem('tg_pages', JSON.stringify({
+    index: index, completed: false, timestamp: Date.now(), history: history,
+    stepId: null, historyIds: [], snoozedUntil: 0, dismissCount: 0, neverShow: false, version: 1,
+  }));
+}
+
+var PAGE_STEPS = [
+  { element: '#a', route: '/a', popover: { title: 'One' } },
+  { element: '#b', popover: { title: 'Two' } },
+  { element: '#c', route: '/c', popover: { title: 'Three' } },
+];
+
+test('a resumed tour starts on the first later step that declares this page', async function () {
+  var page = helpers.createPage({ url: 'https://example.com/c' });
+  saveProgress(page.window, 0, [0]);
+  var guide = page.window.tamperGuide({ animate: false, persist: true, persistKey: 'pages', steps: PAGE_STEPS });
+  guide.drive();
+  await helpers.sleep(50);
+  assert.strictEqual(guide.isPaused(), false);
+  assert.strictEqual(guide.getActiveIndex(), 2);
+  guide.destroy();
+  page.close();
+});
+
+test('a resumed tour with no step for this page waits for its page without navigating', async function () {
+  var page = helpers.createPage({ url: 'https://example.com/elsewhere' });
+  var window = page.window;
+  saveProgress(window, 0, [0]);
+  var navigations = 0;
+  var steps = PAGE_STEPS.slice();
+  steps[0] = { element: '#a', route: '/a', navigate: function () { navigations++; }, popover: { title: 'One' } };
+  var guide = window.tamperGuide({ animate: false, persist: true, persistKey: 'pages', steps: steps });
+  guide.drive();
+  assert.strictEqual(guide.isActive(), true);
+  assert.strictEqual(guide.isPaused(), true);
+  assert.strictEqual(guide.getActiveIndex(), undefined);
+  assert.strictEqual(navigations, 0);
+
+  window.history.pushState({}, '', '/a');
+  await helpers.sleep(100);
+  assert.strictEqual(guide.isPaused(), false);
+  assert.strictEqual(guide.getActiveIndex(), 0);
+  guide.destroy();
+  page.close();
+});
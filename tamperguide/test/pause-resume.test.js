@@ -0,0 +1,83 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers');
+
+test('a route change during a waitFor step pauses, and coming back resumes', async function () {
+  var page = helpers.createPage({ url: 'https://example.com/a' });
+  var window = page.window;
+  var guide = window.tamperGuide({
+    animate: false,
+    steps: [
+      { element: '#a', route: '/a', popover: { title: 'One' } },
+      { element: '#late', route: '/a', waitFor: { timeout: 5000 }, popover: { title: 'Two' } },
+    ],
+  });
+  guide.drive();
+  guide.moveNext();
+  assert.strictEqual(guide.getState('__transitionInProgress'), true);
+
+  window.history.pushState({}, '', '/b');
+  await helpers.sleep(50);
+  assert.strictEqual(guide.isPaused(), true);
+  assert.strictEqual(guide.getState('__transitionInProgress'), false);
+
+  // The step being waited for was never shown, so the tour resumes on
+  // the one before it, and Next works again.
+  window.history.pushState({}, '', '/a');
+  await helpers.sleep(100);
+  assert.strictEqual(guide.isPaused(), false);
+  assert.strictEqual(guide.getActiveIndex(), 0);
+  assert.strictEqual(guide.getState('__transitionInProgress'), false);
+
+  var late = page.document.createElement('div');
+  late.id = 'late';
+  page.document.body.appendChild(late);
+  guide.moveNext();
+  await helpers.sleep(300);
+  assert.strictEqual(guide.getActiveIndex(), 1);
+  assert.strictEqual(guide.getActiveElement(), late);
+  guide.destroy();
+  page.close();
+});
+
+test('pausing during the render delay drops the pending popover', async function () {
+  var page = helpers.createPage({ url: 'https://example.com/a' });
+  var window = page.window;
+  var guide = window.tamperGuide({
+    animate: true,
+    steps: [{ element: '#a', route: '/a', popover: { title: 'One' } }],
+  });
+  guide.drive();
+  window.history.pushState({}, '', '/b');
+  await helpers.sleep(500);
+  assert.strictEqual(guide.isPaused(), true);
+  assert.strictEqual(helpers.findUI(page.document, '.tg-popover-visible'), null);
+  guide.destroy();
+  page.close();
+});
+
+test('route checks run after the app has rendered the new route', async function () {
+  var page = helpers.createPage({ url: 'https://example.com/a' });
+  var window = page.window;
+  var guide = window.tamperGuide({
+    animate: false,
+    routeChangeBehavior: 'jump',
+    steps: [
+      { element: '#a', route: '/a', popover: { title: 'One' } },
+      { element: '#settings', route: '/settings', popover: { title: 'Two' } },
+    ],
+  });
+  guide.drive();
+  window.history.pushState({}, '', '/settings');
+  // The app renders the new view right after pushState returns.
+  var view = page.document.createElement('section');
+  view.id = 'settings';
+  page.document.body.appendChild(view);
+  await helpers.sleep(100);
+  assert.strictEqual(guide.getActiveIndex(), 1);
+  assert.strictEqual(guide.getActiveElement(), view);
+  guide.destroy();
+  page.close();
+});
@@ -0,0 +1,109 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers');
+
+var STEPS = [
+  { element: '#a', popover: { title: 'One' } },
+  { element: '#b', popover: { title: 'Two' } },
+];
+
+function asyncStore(records) {
+  return {
+    get: function (key) { return helpers.sleep(20).then(function () { return records[key] || null; }); },
+    set: function (key, value) { records[key] = value; return Promise.resolve(); },
+    remove: function (key) { delete records[key]; return Promise.resolve(); },
+  };
+}
+
+test('a second tour is queued until the running one ends', function () {
+  var page = helpers.createPage();
+  var tg = page.window.tamperGuide;
+  var first = tg({ animate: false, steps: STEPS });
+  var second = tg({ animate: false, steps: STEPS });
+  first.drive();
+  second.drive();
+  assert.strictEqual(tg.getActive(), first);
+  assert.strictEqual(second.isActive(), false);
+  first.destroy();
+  assert.strictEqual(tg.getActive(), second);
+  assert.strictEqual(second.isActive(), true);
+  second.destroy();
+  page.close();
+});
+
+test('highlight() shows right away while another tour runs', function () {
+  var page = helpers.createPage();
+  var tg = page.window.tamperGuide;
+  var tour = tg({ animate: false, steps: STEPS });
+  var hint = tg({ animate: false });
+  tour.drive();
+  hint.highlight({ element: '#c', popover: { title: 'Hint' } });
+  assert.strictEqual(hint.isActive(), true);
+  assert.strictEqual(tg.getActive(), tour);
+  hint.destroy();
+  assert.strictEqual(tour.isActive(), true);
+  tour.destroy();
+  page.close();
+});
+
+test('a prerequisite created after the dependent drive() still lets it start', async function () {
+  var page = helpers.createPage();
+  var tg = page.window.tamperGuide;
+  var records = {
+    tg_welcome: { index: 1, completed: true, timestamp: Date.now(), history: [0] },
+  };
+  var reports = tg({ animate: false, prerequisites: ['welcome'], steps: STEPS });
+  reports.drive();
+  await helpers.sleep(10);
+  assert.strictEqual(reports.isActive(), false);
+
+  tg({ animate: false, persist: true, persistKey: 'welcome', persistStorage: asyncStore(records), steps: STEPS });
+  await helpers.sleep(100);
+  assert.strictEqual(reports.isActive(), true);
+  assert.strictEqual(page.warnings.filter(function (w) { return w.indexOf('"welcome"') !== -1; }).length, 1);
+  reports.destroy();
+  page.close();
+});
+
+test('destroy() unregisters a guide until it is started again', function () {
+  var page = helpers.createPage();
+  var tg = page.window.tamperGuide;
+  var guide = tg({ animate: false, steps: STEPS });
+  var registry = page.window.__tamperGuideRegistry;
+  assert.strictEqual(registry.list().length, 1);
+  guide.destroy();
+  assert.strictEqual(registry.list().length, 0);
+  guide.drive();
+  assert.strictEqual(registry.list().length, 1);
+  guide.destroy();
+  page.close();
+});
+
+test('stopAll() cancels a drive() still waiting for async storage', async function () {
+  var page = helpers.createPage();
+  var tg = page.window.tamperGuide;
+  var guide = tg({ animate: false, persist: true, persistKey: 'slow', persistStorage: asyncStore({}), steps: STEPS });
+  guide.drive();
+  tg.stopAll();
+  await helpers.sleep(100);
+  assert.strictEqual(guide.isActive(), false);
+  assert.strictEqual(tg.getActive(), null);
+  page.close();
+});
+
+test('stopAll() cancels a drive() still checking an async prerequisite', async function () {
+  var page = helpers.createPage();
+  var tg = page.window.tamperGuide;
+  var records = {
+    tg_welcome: { index: 1, completed: true, timestamp: Date.now(), history: [0] },
+  };
+  tg({ animate: false, persist: true, persistKey: 'welcome', persistStorage: asyncStore(records), steps: STEPS });
+  var reports = tg({ animate: false, prerequisites: ['welcome'], steps: STEPS });
+  reports.drive();
+  tg.stopAll();
+  await helpers.sleep(100);
+  assert.strictEqual(reports.isActive(), false);
+  page.close();
+});
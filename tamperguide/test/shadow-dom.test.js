@@ -0,0 +1,46 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers');
+
+var BODY = '<x-card id="one"></x-card><x-card id="two"></x-card><x-card id="three"></x-card>';
+
+function fillCards(document) {
+  ['one', 'two', 'three'].forEach(function (id) {
+    var root = document.getElementById(id).attachShadow({ mode: 'open' });
+    // The first card has no title.
+    root.innerHTML = id === 'one' ? '<p>empty</p>' : '<h2 class="title">' + id + '</h2>';
+  });
+}
+
+test('">>>" with multiple collects matches from every shadow host', async function () {
+  var page = helpers.createPage({ body: BODY });
+  fillCards(page.document);
+  var guide = page.window.tamperGuide({
+    animate: false,
+    steps: [{ element: 'x-card >>> .title', multiple: true, popover: { title: 'Titles' } }],
+  });
+  guide.drive();
+  await helpers.sleep(100);
+  var elements = guide.getActiveElements();
+  assert.strictEqual(elements.length, 2);
+  assert.strictEqual(elements[0].textContent, 'two');
+  assert.strictEqual(elements[1].textContent, 'three');
+  guide.destroy();
+  page.close();
+});
+
+test('">>>" without multiple finds the first match past a host without one', async function () {
+  var page = helpers.createPage({ body: BODY });
+  fillCards(page.document);
+  var guide = page.window.tamperGuide({
+    animate: false,
+    steps: [{ element: 'x-card >>> .title', popover: { title: 'Title' } }],
+  });
+  guide.drive();
+  await helpers.sleep(100);
+  assert.strictEqual(guide.getActiveElement().textContent, 'two');
+  guide.destroy();
+  page.close();
+});
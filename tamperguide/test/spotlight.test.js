@@ -0,0 +1,43 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers');
+
+test('spotlight() validates its popover like a tour step', function () {
+  var page = helpers.createPage();
+  var guide = page.window.tamperGuide({ steps: [{ element: '#a' }] });
+  assert.throws(function () {
+    guide.spotlight({ element: '#b', popover: { title: 'B', side: 'middle' } });
+  }, function (e) { return e.code === 'INVALID_STEP' && e.context.field === 'popover.side'; });
+  assert.throws(function () {
+    guide.spotlight({ element: '#b', popover: { title: 'B', buttons: [{ label: 'Go' }] } });
+  }, function (e) { return e.code === 'INVALID_STEP'; });
+  page.close();
+});
+
+test('keys inside the spotlight popover do not drive the running tour', async function () {
+  var page = helpers.createPage();
+  var guide = page.window.tamperGuide({
+    animate: false,
+    steps: [
+      { element: '#a', popover: { title: 'One' } },
+      { element: '#b', popover: { title: 'Two' } },
+    ],
+  });
+  guide.drive();
+  await helpers.sleep(100);
+  guide.spotlight({
+    element: '#c',
+    popover: { title: 'Help', buttons: [{ label: 'More', onClick: function () {} }] },
+  });
+  var more = helpers.findUI(page.document, '.tg-spotlight-popover [data-tg-button]');
+  more.focus();
+  more.dispatchEvent(new page.window.KeyboardEvent('keydown', { key: 'Tab', bubbles: true }));
+  assert.strictEqual(guide.getActiveIndex(), 0);
+  more.dispatchEvent(new page.window.KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+  assert.strictEqual(guide.isActive(), true);
+  assert.strictEqual(helpers.findUI(page.document, '.tg-spotlight-popover'), null);
+  guide.destroy();
+  page.close();
+});
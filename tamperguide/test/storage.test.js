@@ -0,0 +1,156 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers');
+
+var STEPS = [
+  { element: '#a', popover: { title: 'One' } },
+  { element: '#b', popover: { title: 'Two' } },
+  { element: '#c', popover: { title: 'Three' } },
+];
+
+function record(fields) {
+  var r = { index: 0, completed: false, timestamp: Date.now(), history: [0] };
+  Object.keys(fields || {}).forEach(function (key) { r[key] = fields[key]; });
+  return r;
+}
+
+// An adapter whose reads and writes settle after a delay. writeDelays
+// gives the delay of each write in turn (the last one repeats).
+function asyncStore(records, writeDelays) {
+  var writes = 0;
+  writeDelays = writeDelays || [0];
+  return {
+    get: function (key) { return helpers.sleep(10).then(function () { return records[key] || null; }); },
+    set: function (key, value) {
+      var delay = writeDelays[Math.min(writes++, writeDelays.length - 1)];
+      var copy = JSON.parse(JSON.stringify(value));
+      return helpers.sleep(delay).then(function () { records[key] = copy; });
+    },
+    remove: function (key) { delete records[key]; return Promise.resolve(); },
+  };
+}
+
+// Collects unhandled rejections while fn runs.
+async function unhandledDuring(fn) {
+  var seen = [];
+  function onRejection(reason) { seen.push(reason); }
+  process.on('unhandledRejection', onRejection);
+  try { await fn(); }
+  finally { process.removeListener('unhandledRejection', onRejection); }
+  return seen;
+}
+
+test('drive() resumes once an async adapter has read the saved progress', async function () {
+  var page = helpers.createPage();
+  var records = { tg_async: record({ index: 2, history: [0, 2] }) };
+  var guide = page.window.tamperGuide({
+    animate: false, persist: true, persistKey: 'async', persistStorage: asyncStore(records), steps: STEPS,
+  });
+  guide.drive();
+  assert.strictEqual(guide.isActive(), false);
+  await helpers.sleep(100);
+  assert.strictEqual(guide.getActiveIndex(), 2);
+  assert.strictEqual(guide.hasPreviousStep(), true);
+  guide.destroy();
+  page.close();
+});
+
+test('a rejecting adapter is warned about, never left unhandled', async function () {
+  var page = helpers.createPage();
+  var failing = {
+    get: function () { return Promise.reject(new Error('offline')); },
+    set: function () { return Promise.reject(new Error('offline')); },
+    remove: function () { return Promise.reject(new Error('offline')); },
+  };
+  var guide = page.window.tamperGuide({
+    animate: false, persist: true, persistKey: 'failing', persistStorage: failing, steps: STEPS,
+  });
+  var unhandled = await unhandledDuring(async function () {
+    guide.drive();
+    await helpers.sleep(200);
+    guide.moveNext();
+    await helpers.sleep(100);
+    assert.strictEqual(await guide.getProgressAsync(), null);
+  });
+  assert.strictEqual(unhandled.length, 0);
+  // The tour runs without saved progress.
+  assert.strictEqual(guide.getActiveIndex(), 1);
+  assert.ok(page.warnings.some(function (w) { return w.indexOf('PERSISTENCE_ERROR') !== -1 && w.indexOf('offline') !== -1; }));
+  guide.destroy();
+  page.close();
+});
+
+test('async writes land in the order they were made', async function () {
+  var page = helpers.createPage();
+  var records = {};
+  // Each write is faster than the one before it.
+  var guide = page.window.tamperGuide({
+    animate: false, persist: true, persistKey: 'ordered',
+    persistStorage: asyncStore(records, [300, 150, 0]), steps: STEPS,
+  });
+  guide.drive(0);
+  await helpers.sleep(60);
+  guide.moveNext();
+  await helpers.sleep(60);
+  guide.moveNext();
+  await helpers.sleep(800);
+  assert.strictEqual(records.tg_ordered.index, 2);
+  var progress = await guide.getProgressAsync();
+  assert.strictEqual(progress.index, 2);
+  assert.strictEqual(progress.history.length, 3);
+  guide.destroy();
+  page.close();
+});
+
+test('isCompletedAsync() reads completion from an async adapter', async function () {
+  var page = helpers.createPage();
+  var records = { tg_done: record({ index: 2, completed: true }) };
+  var tg = page.window.tamperGuide;
+  var done = tg({ persist: true, persistKey: 'done', persistStorage: asyncStore(records), steps: STEPS });
+  var fresh = tg({ persist: true, persistKey: 'fresh', persistStorage: asyncStore(records), steps: STEPS });
+  assert.strictEqual(await done.isCompletedAsync(), true);
+  assert.strictEqual(await fresh.isCompletedAsync(), false);
+  page.close();
+});
+
+test('"sessionStorage" keeps progress out of localStorage', async function () {
+  var page = helpers.createPage();
+  var guide = page.window.tamperGuide({
+    animate: false, persist: true, persistKey: 'session', persistStorage: 'sessionStorage', steps: STEPS,
+  });
+  guide.drive();
+  await helpers.sleep(100);
+  guide.moveNext();
+  await helpers.sleep(100);
+  assert.strictEqual(page.window.localStorage.getItem('tg_session'), null);
+  assert.strictEqual(JSON.parse(page.window.sessionStorage.getItem('tg_session')).index, 1);
+  assert.strictEqual(guide.getProgress().index, 1);
+  guide.destroy();
+  page.close();
+});
+
+test('"GM_async" stores progress through GM.setValue', async function () {
+  var values = {};
+  var GM = {
+    getValue: function (key, fallback) { return Promise.resolve(key in values ? values[key] : fallback); },
+    setValue: function (key, value) { values[key] = value; return Promise.resolve(); },
+    deleteValue: function (key) { delete values[key]; return Promise.resolve(); },
+  };
+  var page = helpers.createPage({ globals: { GM: GM } });
+  var guide = page.window.tamperGuide({
+    animate: false, persist: true, persistKey: 'gm', persistStorage: 'GM_async', steps: STEPS,
+  });
+  guide.drive();
+  await helpers.sleep(100);
+  guide.moveNext();
+  await helpers.sleep(100);
+  assert.strictEqual(typeof values.tg_gm, 'string');
+  assert.strictEqual(JSON.parse(values.tg_gm).index, 1);
+  var progress = await guide.getProgressAsync();
+  assert.strictEqual(progress.index, 1);
+  assert.strictEqual(page.warnings.length, 0);
+  guide.destroy();
+  page.close();
+});
@@ -0,0 +1,121 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers');
+
+var STEPS = [
+  { element: '#a', popover: { title: 'One' } },
+  { element: '#b', popover: { title: 'Two' } },
+];
+
+function createGuide(options) {
+  var page = helpers.createPage();
+  var config = { animate: false, persist: true, persistKey: 'offer', steps: STEPS };
+  Object.keys(options || {}).forEach(function (key) { config[key] = options[key]; });
+  return { page: page, guide: page.window.tamperGuide(config) };
+}
+
+test('snooze() closes the tour and drive() waits until it expires', async function () {
+  var t = createGuide();
+  t.guide.drive();
+  await helpers.sleep(100);
+  t.guide.moveNext();
+  await helpers.sleep(100);
+  var before = Date.now();
+  t.guide.snooze(60000);
+  assert.strictEqual(t.guide.isActive(), false);
+  var progress = t.guide.getProgress();
+  assert.ok(progress.snoozedUntil >= before + 60000);
+  // Abandoned, not completed, and the position is kept.
+  assert.strictEqual(progress.completed, false);
+  assert.strictEqual(progress.index, 1);
+  t.guide.drive();
+  assert.strictEqual(t.guide.isActive(), false);
+
+  // Once the snooze is over, drive() resumes and clears it.
+  progress.snoozedUntil = Date.now() - 1;
+  t.page.window.localStorage.setItem('tg_offer', JSON.stringify(progress));
+  t.guide.drive();
+  await helpers.sleep(100);
+  assert.strictEqual(t.guide.getActiveIndex(), 1);
+  assert.strictEqual(t.guide.getProgress().snoozedUntil, 0);
+  t.guide.destroy();
+  t.page.close();
+});
+
+test('snooze() rejects a bad duration and needs persistence', function () {
+  var t = createGuide();
+  assert.throws(function () { t.guide.snooze(-1); }, function (e) { return e.code === 'INVALID_CONFIG'; });
+  assert.throws(function () { t.guide.snooze('1h'); }, function (e) { return e.code === 'INVALID_CONFIG'; });
+  t.page.close();
+
+  var page = helpers.createPage();
+  var guide = page.window.tamperGuide({ animate: false, steps: STEPS });
+  guide.snooze(1000);
+  guide.neverShowAgain();
+  assert.strictEqual(page.warnings.length, 2);
+  assert.ok(page.warnings[0].indexOf('snooze() needs persist: true') !== -1);
+  page.close();
+});
+
+test('neverShowAgain() keeps drive() from showing the tour', async function () {
+  var t = createGuide();
+  t.guide.drive();
+  await helpers.sleep(100);
+  t.guide.neverShowAgain();
+  assert.strictEqual(t.guide.isActive(), false);
+  assert.strictEqual(t.guide.getProgress().neverShow, true);
+  assert.strictEqual(t.guide.isCompleted(), false);
+  t.guide.drive();
+  assert.strictEqual(t.guide.isActive(), false);
+  t.page.close();
+});
+
+test('closing the tour counts a dismissal, and maxDismissals stops offering it', async function () {
+  var t = createGuide({ maxDismissals: 2 });
+  for (var i = 1; i <= 2; i++) {
+    t.guide.drive();
+    await helpers.sleep(100);
+    assert.strictEqual(t.guide.isActive(), true);
+    helpers.findUI(t.page.document, '[data-tg-action="close"]').click();
+    assert.strictEqual(t.guide.isActive(), false);
+    assert.strictEqual(t.guide.getProgress().dismissCount, i);
+  }
+  t.guide.drive();
+  assert.strictEqual(t.guide.isActive(), false);
+
+  // destroy() from code is not a dismissal.
+  t.guide.launch();
+  await helpers.sleep(100);
+  t.guide.destroy();
+  assert.strictEqual(t.guide.getProgress().dismissCount, 0);
+  t.page.close();
+});
+
+test('launch() clears never-show, the snooze and the dismissal count and starts the tour', async function () {
+  var t = createGuide({ maxDismissals: 1 });
+  t.guide.drive();
+  await helpers.sleep(100);
+  t.guide.moveNext();
+  await helpers.sleep(100);
+  t.guide.neverShowAgain();
+  t.guide.snooze(60000);
+  t.page.window.localStorage.setItem('tg_offer', JSON.stringify(Object.assign(t.guide.getProgress(), { dismissCount: 1 })));
+  t.guide.drive();
+  assert.strictEqual(t.guide.isActive(), false);
+
+  t.guide.launch();
+  await helpers.sleep(100);
+  assert.strictEqual(t.guide.isActive(), true);
+  assert.strictEqual(t.guide.getActiveIndex(), 1);
+  var progress = t.guide.getProgress();
+  assert.strictEqual(progress.neverShow, false);
+  assert.strictEqual(progress.snoozedUntil, 0);
+  assert.strictEqual(progress.dismissCount, 0);
+  // While the tour runs, launch() does nothing.
+  t.guide.launch();
+  assert.strictEqual(t.guide.getActiveIndex(), 1);
+  t.guide.destroy();
+  t.page.close();
+});
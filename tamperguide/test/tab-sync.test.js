@@ -0,0 +1,63 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var BroadcastChannel = require('node:worker_threads').BroadcastChannel;
+var helpers = require('./helpers');
+
+var STEPS = [
+  { element: '#a', popover: { title: 'One' } },
+  { element: '#b', popover: { title: 'Two' } },
+  { element: '#c', popover: { title: 'Three' } },
+];
+
+// Each jsdom page stands for a tab; their BroadcastChannels connect.
+function openTab() {
+  var page = helpers.createPage({ globals: { BroadcastChannel: BroadcastChannel } });
+  var guide = page.window.tamperGuide({ animate: false, persist: true, persistKey: 'sync', syncTabs: true, steps: STEPS });
+  return { page: page, guide: guide };
+}
+
+test('tabs follow each other instead of closing each other', async function () {
+  var one = openTab();
+  var two = openTab();
+  one.guide.drive();
+  await helpers.sleep(50);
+  two.guide.drive();
+  await helpers.sleep(100);
+  assert.strictEqual(one.guide.isActive(), true);
+  assert.strictEqual(two.guide.isActive(), true);
+
+  one.guide.moveNext();
+  await helpers.sleep(100);
+  assert.strictEqual(two.guide.getActiveIndex(), 1);
+
+  // A tab that starts later catches up with the others.
+  two.guide.moveNext();
+  await helpers.sleep(100);
+  var three = openTab();
+  three.guide.drive();
+  await helpers.sleep(150);
+  assert.deepStrictEqual([one, two, three].map(function (t) { return t.guide.getActiveIndex(); }), [2, 2, 2]);
+
+  // Completing the tour anywhere ends it everywhere.
+  three.guide.moveNext();
+  await helpers.sleep(100);
+  assert.deepStrictEqual([one, two, three].map(function (t) { return t.guide.isActive(); }), [false, false, false]);
+  [one, two, three].forEach(function (t) { t.page.close(); });
+});
+
+test('highlight() does not join the other tabs', async function () {
+  var one = openTab();
+  var two = openTab();
+  one.guide.drive();
+  two.guide.highlight({ element: '#c', popover: { title: 'Hint' } });
+  await helpers.sleep(50);
+  one.guide.moveNext();
+  await helpers.sleep(100);
+  assert.strictEqual(two.guide.getActiveIndex(), undefined);
+  assert.strictEqual(two.guide.getActiveElement(), two.page.document.getElementById('c'));
+  one.guide.destroy();
+  two.guide.destroy();
+  [one, two].forEach(function (t) { t.page.close(); });
+});
@@ -0,0 +1,139 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers');
+
+function activeIn(popover) {
+  return popover.getRootNode().activeElement;
+}
+
+function pressTab(target, shiftKey) {
+  var e = new target.ownerDocument.defaultView.KeyboardEvent('keydown', { key: 'Tab', shiftKey: !!shiftKey, bubbles: true, cancelable: true });
+  target.dispatchEvent(e);
+  return e;
+}
+
+test('a template places the default parts in its slots and keeps the arrow', async function () {
+  var page = helpers.createPage();
+  var guide = page.window.tamperGuide({
+    animate: false,
+    popoverTemplate: '<section class="mine"><h2>{{title}}</h2><p class="count">{{current}}/{{total}} {{unknown}}</p>{{buttons}}' +
+      '<a href="#" class="skip" data-tg-action="close">Skip</a></section>',
+    steps: [
+      { element: '#a', popover: { title: 'One' } },
+      { element: '#b', popover: { title: 'Two' } },
+    ],
+  });
+  guide.drive();
+  await helpers.sleep(100);
+  var popover = helpers.findUI(page.document, '.tg-popover');
+  assert.ok(popover.querySelector('.mine h2 .tg-popover-title'));
+  assert.strictEqual(popover.querySelector('.count').textContent, '1/2 {{unknown}}');
+  // The first step has no Previous button, so only Next fills {{buttons}}.
+  assert.strictEqual(popover.querySelectorAll('.tg-popover-buttons button').length, 1);
+  assert.ok(popover.querySelector('.tg-popover-arrow'));
+
+  popover.querySelector('[data-tg-action="next"]').click();
+  await helpers.sleep(100);
+  assert.strictEqual(guide.getActiveIndex(), 1);
+  popover = helpers.findUI(page.document, '.tg-popover');
+  assert.strictEqual(popover.querySelector('.count').textContent, '2/2 {{unknown}}');
+  popover.querySelector('.skip').click();
+  assert.strictEqual(guide.isActive(), false);
+  page.close();
+});
+
+test('a renderer builds the content, and the library still wires actions and the focus trap', async function () {
+  var page = helpers.createPage();
+  var document = page.document;
+  var calls = [];
+  var guide = page.window.tamperGuide({
+    animate: false,
+    // With keyboard control on, Tab moves between steps instead.
+    allowKeyboardControl: false,
+    popoverRender: function (step, ctx) {
+      calls.push(ctx.state.activeIndex);
+      var root = document.createElement('div');
+      root.className = 'custom';
+      root.appendChild(ctx.slot('title'));
+      var back = document.createElement('button');
+      back.className = 'back';
+      back.setAttribute('data-tg-action', 'prev');
+      var forward = document.createElement('button');
+      forward.className = 'forward';
+      forward.setAttribute('data-tg-action', 'next');
+      root.appendChild(back);
+      root.appendChild(forward);
+      return root;
+    },
+    steps: [
+      { element: '#a', popover: { title: 'One' } },
+      { element: '#b', popover: { title: 'Two' } },
+    ],
+  });
+  guide.drive();
+  await helpers.sleep(100);
+  var popover = helpers.findUI(document, '.tg-popover');
+  assert.strictEqual(calls[0], 0);
+  assert.strictEqual(popover.querySelector('.custom .tg-popover-title').textContent, 'One');
+  assert.ok(popover.querySelector('.tg-popover-arrow'));
+
+  // The first focusable element gets focus, and Tab cycles inside.
+  var back = popover.querySelector('.back'), forward = popover.querySelector('.forward');
+  assert.strictEqual(activeIn(popover), back);
+  forward.focus();
+  assert.strictEqual(pressTab(forward).defaultPrevented, true);
+  assert.strictEqual(activeIn(popover), back);
+  assert.strictEqual(pressTab(back, true).defaultPrevented, true);
+  assert.strictEqual(activeIn(popover), forward);
+
+  forward.click();
+  await helpers.sleep(100);
+  assert.strictEqual(guide.getActiveIndex(), 1);
+  helpers.findUI(document, '.tg-popover .back').click();
+  await helpers.sleep(100);
+  assert.strictEqual(guide.getActiveIndex(), 0);
+  guide.destroy();
+  page.close();
+});
+
+test('a step template overrides the tour renderer', async function () {
+  var page = helpers.createPage();
+  var guide = page.window.tamperGuide({
+    animate: false,
+    popoverRender: function () { return '<div class="from-renderer"></div>'; },
+    steps: [{ element: '#a', popover: { title: 'One', template: '<div class="from-template">{{title}}</div>' } }],
+  });
+  guide.drive();
+  await helpers.sleep(100);
+  var popover = helpers.findUI(page.document, '.tg-popover');
+  assert.ok(popover.querySelector('.from-template .tg-popover-title'));
+  assert.strictEqual(popover.querySelector('.from-renderer'), null);
+  guide.destroy();
+  page.close();
+});
+
+test('a renderer that throws or returns nothing usable falls back to the default content', async function () {
+  var results = [
+    function () { throw new Error('boom'); },
+    function () { return 42; },
+    function () { return null; },
+  ];
+  for (var i = 0; i < results.length; i++) {
+    var page = helpers.createPage();
+    var guide = page.window.tamperGuide({
+      animate: false,
+      popoverRender: results[i],
+      steps: [{ element: '#a', popover: { title: 'One' } }],
+    });
+    guide.drive();
+    await helpers.sleep(50);
+    var popover = helpers.findUI(page.document, '.tg-popover');
+    assert.strictEqual(popover.querySelector('.tg-popover-title').textContent, 'One');
+    assert.ok(popover.querySelector('[data-tg-action="next"]'));
+    assert.strictEqual(page.warnings.length, i === 2 ? 0 : 1);
+    guide.destroy();
+    page.close();
+  }
+});
@@ -0,0 +1,46 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var helpers = require('./helpers');
+
+var BODY = '<div id="wrap" style="opacity: 0"><p id="target">T</p></div>';
+
+test('waitFor notices a style change on an ancestor', async function () {
+  var page = helpers.createPage({ body: BODY });
+  var guide = page.window.tamperGuide({
+    animate: false,
+    steps: [{ element: '#target', waitFor: { timeout: 2000, stable: false }, popover: { title: 'One' } }],
+  });
+  guide.drive();
+  await helpers.sleep(100);
+  assert.strictEqual(guide.getActiveIndex(), undefined);
+  page.document.getElementById('wrap').style.opacity = '1';
+  await helpers.sleep(150);
+  assert.strictEqual(guide.getActiveIndex(), 0);
+  assert.strictEqual(guide.getActiveElement(), page.document.getElementById('target'));
+  guide.destroy();
+  page.close();
+});
+
+test('waitFor re-checks when a transition ends', async function () {
+  var page = helpers.createPage();
+  var faded = false;
+  var guide = page.window.tamperGuide({
+    animate: false,
+    steps: [{
+      element: '#a',
+      waitFor: { timeout: 2000, stable: false, until: function () { return faded; } },
+      popover: { title: 'One' },
+    }],
+  });
+  guide.drive();
+  await helpers.sleep(100);
+  assert.strictEqual(guide.getActiveIndex(), undefined);
+  faded = true;
+  page.document.getElementById('a').dispatchEvent(new page.window.Event('transitionend', { bubbles: true }));
+  await helpers.sleep(100);
+  assert.strictEqual(guide.getActiveIndex(), 0);
+  guide.destroy();
+  page.close();
+});